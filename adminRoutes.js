@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { getMailQueue, retryFailedMail } = require('../controllers/mailController');
+
+/**
+ * @route   GET /api/admin/mail
+ * @desc    Get queued and failed outgoing emails (?status=queued,sending,sent,failed)
+ * @access  Private (admin)
+ */
+router.get('/admin/mail', requireAuth, requirePermission('manageMail'), getMailQueue);
+
+/**
+ * @route   POST /api/admin/mail/:id/retry
+ * @desc    Requeue a failed email with a fresh set of attempts
+ * @access  Private (admin)
+ */
+router.post('/admin/mail/:id/retry', requireAuth, requirePermission('manageMail'), retryFailedMail);
+
+module.exports = router;
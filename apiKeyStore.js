@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { getStorageAdapter, runInTransaction } = require('./storage');
+
+const API_KEYS = 'apiKeys';
+
+// apk_<16 hex id>_<32 char base64url secret>; the id locates the record, only a hash of the secret is stored
+const API_KEY_PATTERN = /^apk_([a-f0-9]{16})_([A-Za-z0-9_-]{32})$/;
+
+/**
+ * SHA-256 hash of an API key secret
+ * @param {string} secret - Secret part of the key
+ * @returns {string} Hex digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Public view of a stored key (never includes the hash)
+ * @param {Object} record - Stored API key record
+ * @returns {Object} Key metadata
+ */
+const describeApiKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  role: record.role,
+  subject: record.subject,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt || null,
+  revokedAt: record.revokedAt || null
+});
+
+/**
+ * Issue a new API key. The plaintext key is only available in the return value.
+ * @param {Object} options - Key options
+ * @param {string} options.name - Human readable name (who the key is for)
+ * @param {string} [options.role='agent'] - Role granted to requests made with the key
+ * @param {string} [options.subject] - User ID the key acts as (defaults to apikey:<id>)
+ * @param {string} [options.expiresAt] - ISO expiry date
+ * @returns {Object} { key, apiKey } with the plaintext key and its metadata
+ */
+const issueApiKey = ({ name, role = 'agent', subject, expiresAt }) => {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const record = {
+    id,
+    name,
+    role,
+    subject: subject || `apikey:${id}`,
+    hash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt || null
+  };
+
+  runInTransaction(() => getStorageAdapter().insert(API_KEYS, record));
+  return { key: `apk_${id}_${secret}`, apiKey: describeApiKey(record) };
+};
+
+/**
+ * Revoke an API key
+ * @param {string} id - Key ID
+ * @returns {Object|null} Revoked key metadata, or null if not found
+ */
+const revokeApiKey = (id) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const record = adapter.get(API_KEYS, id);
+  if (!record) {
+    return null;
+  }
+  const revoked = adapter.update(API_KEYS, id, {
+    ...record,
+    revokedAt: record.revokedAt || new Date().toISOString()
+  });
+  return describeApiKey(revoked);
+});
+
+/**
+ * List all API keys
+ * @returns {Array} Key metadata
+ */
+const listApiKeys = () => getStorageAdapter().list(API_KEYS).map(describeApiKey);
+
+/**
+ * Verify a presented API key
+ * @param {string} key - Key as sent by the client
+ * @returns {Object|null} Key metadata if the key is valid, active and not expired
+ */
+const verifyApiKey = (key) => {
+  const match = API_KEY_PATTERN.exec(key);
+  if (!match) {
+    return null;
+  }
+
+  const record = getStorageAdapter().get(API_KEYS, match[1]);
+  if (!record || record.revokedAt) {
+    return null;
+  }
+  if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+    return null;
+  }
+
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? describeApiKey(record) : null;
+};
+
+module.exports = {
+  issueApiKey,
+  revokeApiKey,
+  listApiKeys,
+  verifyApiKey
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+process.env.STORAGE_ADAPTER = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(dataDir, 'storage.sqlite');
+
+const { getStorageAdapter } = require('./storage');
+const { issueApiKey, revokeApiKey, listApiKeys, verifyApiKey } = require('./apiKeyStore');
+
+afterAll(() => {
+  getStorageAdapter().close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('API keys', () => {
+  it('verifies an issued key and describes it without its hash', () => {
+    const { key, apiKey } = issueApiKey({ name: 'Import job', role: 'landlord', subject: 'land1' });
+
+    expect(key).toMatch(/^apk_[a-f0-9]{16}_[A-Za-z0-9_-]{32}$/);
+    expect(verifyApiKey(key)).toEqual(apiKey);
+    expect(apiKey).toMatchObject({ name: 'Import job', role: 'landlord', subject: 'land1', revokedAt: null });
+    expect(listApiKeys().find(listed => listed.id === apiKey.id)).not.toHaveProperty('hash');
+  });
+
+  it('acts as its own subject and as an agent by default', () => {
+    const { key, apiKey } = issueApiKey({ name: 'CRM' });
+
+    expect(verifyApiKey(key)).toMatchObject({ role: 'agent', subject: `apikey:${apiKey.id}` });
+  });
+
+  it('rejects a revoked key', () => {
+    const { key, apiKey } = issueApiKey({ name: 'Old integration' });
+
+    const revoked = revokeApiKey(apiKey.id);
+
+    expect(revoked.revokedAt).not.toBeNull();
+    expect(verifyApiKey(key)).toBeNull();
+    expect(revokeApiKey('0000000000000000')).toBeNull();
+  });
+
+  it('rejects an expired key', () => {
+    const { key } = issueApiKey({ name: 'Trial', expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect(verifyApiKey(key)).toBeNull();
+  });
+
+  it('rejects a key with the wrong secret or shape', () => {
+    const { key } = issueApiKey({ name: 'Website' });
+    const lastChar = key.slice(-1) === 'A' ? 'B' : 'A';
+
+    expect(verifyApiKey(key.slice(0, -1) + lastChar)).toBeNull();
+    expect(verifyApiKey(`${key}x`)).toBeNull();
+    expect(verifyApiKey('apk_nope')).toBeNull();
+  });
+});
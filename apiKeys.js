@@ -0,0 +1,100 @@
+/**
+ * Manage API keys for server-to-server clients.
+ *
+ * Usage:
+ *   node apiKeys.js issue --name <name> [--role admin|agent|landlord|viewer] [--subject <userId>] [--expires-days <days>]
+ *   node apiKeys.js revoke <keyId>
+ *   node apiKeys.js list
+ *
+ * Keys look like apk_<id>_<secret>. Only a SHA-256 hash of the secret is
+ * stored, so the full key is printed once when it is issued and cannot be
+ * recovered afterwards.
+ */
+require('dotenv').config();
+
+const { issueApiKey, revokeApiKey, listApiKeys } = require('./src/utils/apiKeyStore');
+const { ROLES } = require('./src/utils/permissions');
+
+/**
+ * Parse --key value pairs from the command line
+ * @param {Array} argv - Command line arguments
+ * @returns {Object} Parsed options
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+};
+
+const commands = {
+  issue: (args) => {
+    const options = parseArgs(args);
+    if (!options.name) {
+      throw new Error('--name is required');
+    }
+    if (options.role !== undefined && !ROLES.includes(options.role)) {
+      throw new Error(`--role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    let expiresAt;
+    if (options['expires-days'] !== undefined) {
+      const days = Number(options['expires-days']);
+      if (!Number.isFinite(days) || days <= 0) {
+        throw new Error('--expires-days must be a positive number');
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const { key, apiKey } = issueApiKey({
+      name: options.name,
+      role: options.role,
+      subject: options.subject,
+      expiresAt
+    });
+    console.log(`✅ Issued API key ${apiKey.id} for "${apiKey.name}" (role: ${apiKey.role}, acts as ${apiKey.subject})`);
+    console.log('Store it now, it will not be shown again:');
+    console.log(key);
+  },
+
+  revoke: ([id]) => {
+    if (!id) {
+      throw new Error('Key ID is required');
+    }
+    const apiKey = revokeApiKey(id);
+    if (!apiKey) {
+      throw new Error(`API key ${id} not found`);
+    }
+    console.log(`✅ Revoked API key ${apiKey.id} ("${apiKey.name}") at ${apiKey.revokedAt}`);
+  },
+
+  list: () => {
+    const apiKeys = listApiKeys();
+    if (apiKeys.length === 0) {
+      console.log('No API keys issued');
+      return;
+    }
+    apiKeys.forEach(apiKey => {
+      const status = apiKey.revokedAt ? `revoked ${apiKey.revokedAt}`
+        : apiKey.expiresAt && Date.parse(apiKey.expiresAt) <= Date.now() ? `expired ${apiKey.expiresAt}`
+          : 'active';
+      console.log(`${apiKey.id}  ${apiKey.name}  role=${apiKey.role}  subject=${apiKey.subject}  created=${apiKey.createdAt}  ${status}`);
+    });
+  }
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command || ''}". Use issue, revoke or list`);
+  }
+  commands[command](args);
+} catch (error) {
+  console.error('API key command failed:', error.message);
+  process.exit(1);
+}
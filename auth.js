@@ -0,0 +1,219 @@
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { verifyApiKey } = require('../utils/apiKeyStore');
+const { getPropertyById, getTrashedPropertyById } = require('../utils/storage');
+const { can } = require('../utils/permissions');
+
+// Allowed clock difference when checking exp/nbf of bearer tokens
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+let publicKey;
+
+/**
+ * Verification keys for bearer tokens, by algorithm. HS256 uses JWT_SECRET,
+ * RS256 the PEM public key in JWT_PUBLIC_KEY_FILE; an algorithm is only
+ * accepted if its key is configured.
+ * @returns {Object} Algorithm -> key
+ */
+const getVerificationKeys = () => {
+  const keys = {};
+  if (process.env.JWT_SECRET) {
+    keys.HS256 = process.env.JWT_SECRET;
+  }
+  if (process.env.JWT_PUBLIC_KEY_FILE) {
+    if (publicKey === undefined) {
+      publicKey = fs.readFileSync(process.env.JWT_PUBLIC_KEY_FILE, 'utf8');
+    }
+    keys.RS256 = publicKey;
+  }
+  return keys;
+};
+
+/**
+ * Verify a bearer token and describe its user
+ * @param {string} token - JWT
+ * @returns {Object|null} Principal, or null if the token is not valid
+ */
+const verifyBearerToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && getVerificationKeys()[decoded.header.alg];
+  if (!key) {
+    return null;
+  }
+
+  try {
+    // Pin the algorithm to the key type so an RS256 public key can never be used as an HS256 secret
+    const payload = jwt.verify(token, key, {
+      algorithms: [decoded.header.alg],
+      issuer: process.env.JWT_ISSUER || undefined,
+      audience: process.env.JWT_AUDIENCE || undefined,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+    if (typeof payload.sub !== 'string' || payload.sub.length === 0) {
+      return null;
+    }
+    return { type: 'user', id: payload.sub, role: payload.role || 'viewer' };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the credentials of a request: "Authorization: Bearer <jwt>",
+ * "Authorization: ApiKey <key>" or an "X-API-Key" header
+ * @param {Object} req - Express request object
+ * @returns {Object|null} { type: 'bearer'|'apiKey', value } or null if none were sent
+ */
+const readCredentials = (req) => {
+  const apiKeyHeader = req.get('X-API-Key');
+  if (apiKeyHeader) {
+    return { type: 'apiKey', value: apiKeyHeader.trim() };
+  }
+
+  const authorization = req.get('Authorization');
+  if (!authorization) {
+    return null;
+  }
+  const [scheme, value = ''] = authorization.trim().split(/\s+/, 2);
+  if (/^bearer$/i.test(scheme)) {
+    // API keys are also accepted as bearer tokens
+    return { type: value.startsWith('apk_') ? 'apiKey' : 'bearer', value };
+  }
+  if (/^apikey$/i.test(scheme)) {
+    return { type: 'apiKey', value };
+  }
+  return { type: 'unsupported', value };
+};
+
+/**
+ * Resolve the principal behind a request's credentials
+ * @param {Object} credentials - Result of readCredentials
+ * @returns {Object|null} Principal ({ type, id, role, ... }) or null if invalid
+ */
+const authenticate = (credentials) => {
+  if (credentials.type === 'bearer') {
+    return verifyBearerToken(credentials.value);
+  }
+  if (credentials.type === 'apiKey') {
+    const apiKey = verifyApiKey(credentials.value);
+    return apiKey && { type: 'apiKey', id: apiKey.subject, role: apiKey.role, keyId: apiKey.id };
+  }
+  return null;
+};
+
+/**
+ * Send a 401 response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} message - Error message
+ */
+const unauthorized = (req, res, message) => {
+  res.set('WWW-Authenticate', 'Bearer realm="api"');
+  res.status(401).json({
+    success: false,
+    message,
+    requestId: req.requestId
+  });
+};
+
+/**
+ * Build an authentication middleware
+ * @param {boolean} required - Whether anonymous requests are rejected
+ * @returns {Function} Express middleware
+ */
+const createAuthMiddleware = (required) => (req, res, next) => {
+  const credentials = readCredentials(req);
+
+  if (!credentials) {
+    if (required) {
+      return unauthorized(req, res, 'Authentication required');
+    }
+    req.auth = null;
+    return next();
+  }
+
+  // Credentials that were sent must be valid, even where authentication is optional
+  const principal = authenticate(credentials);
+  if (!principal) {
+    console.log(`[${req.requestId}] Authentication failed (${credentials.type})`);
+    return unauthorized(req, res, 'Invalid or expired credentials');
+  }
+
+  req.auth = principal;
+  next();
+};
+
+// Middleware for routes that need an authenticated caller (sets req.auth)
+const requireAuth = createAuthMiddleware(true);
+
+// Middleware for routes open to anonymous callers (req.auth is null for them)
+const optionalAuth = createAuthMiddleware(false);
+
+// How actions read in error messages, where the action name alone does not
+const ACTION_PHRASES = {
+  viewHistory: 'view the history of',
+  manageInquiries: 'manage the inquiries about',
+  manageViewings: 'manage the viewings of',
+  manageMail: 'manage the mail queue'
+};
+
+/**
+ * Build a middleware checking that the authenticated caller may perform an
+ * action on listings (see utils/permissions). Actions other than create load
+ * the listing named by req.params.id (from the trash for restore); runs before
+ * any upload is accepted.
+ * @param {string} action - create, update, delete, restore, transfer, viewHistory, manageInquiries or manageViewings
+ * @returns {Function} Express middleware (after requireAuth)
+ */
+const authorize = (action) => (req, res, next) => {
+  let property;
+  if (action !== 'create') {
+    property = action === 'restore' ? getTrashedPropertyById(req.params.id) : getPropertyById(req.params.id);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+  }
+
+  if (!can(req.auth, action, property)) {
+    const phrase = ACTION_PHRASES[action] || action;
+    console.log(`[${req.requestId}] ${req.auth.role} ${req.auth.id} may not ${action}${property ? ' ' + property.id : ''}`);
+    return res.status(403).json({
+      success: false,
+      message: property
+        ? `You do not have permission to ${phrase} this property`
+        : `You do not have permission to ${phrase} properties`,
+      requestId: req.requestId
+    });
+  }
+
+  next();
+};
+
+/**
+ * Build a middleware checking that the authenticated caller may perform an
+ * action that is not about a listing (see utils/permissions)
+ * @param {string} action - manageMail
+ * @returns {Function} Express middleware (after requireAuth)
+ */
+const requirePermission = (action) => (req, res, next) => {
+  if (!can(req.auth, action)) {
+    console.log(`[${req.requestId}] ${req.auth.role} ${req.auth.id} may not ${action}`);
+    return res.status(403).json({
+      success: false,
+      message: `You do not have permission to ${ACTION_PHRASES[action] || action}`,
+      requestId: req.requestId
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  authorize,
+  requirePermission
+};
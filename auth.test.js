@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../utils/apiKeyStore', () => ({ verifyApiKey: jest.fn() }), { virtual: true });
+jest.mock('../utils/storage', () => ({
+  getPropertyById: jest.fn(),
+  getTrashedPropertyById: jest.fn()
+}), { virtual: true });
+// The real permission rules, so authorize is tested against them
+jest.mock('../utils/permissions', () => jest.requireActual('./permissions'), { virtual: true });
+
+const { verifyApiKey } = require('../utils/apiKeyStore');
+const { getPropertyById, getTrashedPropertyById } = require('../utils/storage');
+
+const SECRET = 'test-hs256-secret';
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-keys-'));
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+const publicKeyFile = path.join(keyDir, 'public.pem');
+fs.writeFileSync(publicKeyFile, publicKey);
+
+const { requireAuth, optionalAuth, authorize } = require('./auth');
+
+/**
+ * Sign a token with HMAC by hand, so any secret (even a public key) can be used
+ * @param {Object} header - JOSE header
+ * @param {Object} payload - Claims
+ * @param {string} secret - HMAC secret
+ * @returns {string} JWT
+ */
+const signWithHmac = (header, payload, secret) => {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const body = `${encode(header)}.${encode(payload)}`;
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+};
+
+const app = express();
+app.get('/optional', optionalAuth, (req, res) => res.json({ auth: req.auth }));
+app.get('/required', requireAuth, (req, res) => res.json({ auth: req.auth }));
+app.put('/property/:id', requireAuth, authorize('update'), (req, res) => res.json({ ok: true }));
+app.post('/property/:id/restore', requireAuth, authorize('restore'), (req, res) => res.json({ ok: true }));
+
+const API_KEY = `apk_${'a'.repeat(16)}_${'b'.repeat(32)}`;
+
+describe('auth middleware', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = SECRET;
+    process.env.JWT_PUBLIC_KEY_FILE = publicKeyFile;
+    delete process.env.JWT_ISSUER;
+    delete process.env.JWT_AUDIENCE;
+    verifyApiKey.mockImplementation((key) => (key === API_KEY
+      ? { id: 'aaaaaaaaaaaaaaaa', subject: 'apikey:aaaaaaaaaaaaaaaa', role: 'agent' }
+      : null));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  describe('bearer tokens', () => {
+    it('accepts an HS256 token signed with JWT_SECRET', async () => {
+      const token = jwt.sign({ sub: 'agent1', role: 'agent' }, SECRET, { algorithm: 'HS256' });
+
+      const res = await request(app).get('/required').set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.auth).toEqual({ type: 'user', id: 'agent1', role: 'agent' });
+    });
+
+    it('accepts an RS256 token signed with the private key of JWT_PUBLIC_KEY_FILE', async () => {
+      const token = jwt.sign({ sub: 'land1', role: 'landlord' }, privateKey, { algorithm: 'RS256' });
+
+      const res = await request(app).get('/required').set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.auth).toEqual({ type: 'user', id: 'land1', role: 'landlord' });
+    });
+
+    it('treats tokens without a role as viewers', async () => {
+      const token = jwt.sign({ sub: 'user1' }, SECRET);
+
+      const res = await request(app).get('/required').set('Authorization', `Bearer ${token}`);
+
+      expect(res.body.auth.role).toBe('viewer');
+    });
+
+    it('rejects an HS256 token signed with the RS256 public key', async () => {
+      const token = signWithHmac({ alg: 'HS256', typ: 'JWT' }, { sub: 'admin1', role: 'admin' }, publicKey);
+
+      expect((await request(app).get('/required').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+
+      delete process.env.JWT_SECRET;
+      expect((await request(app).get('/required').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+    });
+
+    it('rejects an algorithm whose key is not configured', async () => {
+      delete process.env.JWT_PUBLIC_KEY_FILE;
+      const token = jwt.sign({ sub: 'land1' }, privateKey, { algorithm: 'RS256' });
+
+      expect((await request(app).get('/required').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+    });
+
+    it('rejects unsigned tokens', async () => {
+      const token = jwt.sign({ sub: 'admin1', role: 'admin' }, null, { algorithm: 'none' });
+
+      expect((await request(app).get('/required').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+    });
+
+    it('rejects expired tokens beyond the clock tolerance', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const expired = jwt.sign({ sub: 'agent1', exp: now - 120 }, SECRET);
+      const justExpired = jwt.sign({ sub: 'agent1', exp: now - 5 }, SECRET);
+
+      expect((await request(app).get('/required').set('Authorization', `Bearer ${expired}`)).status).toBe(401);
+      expect((await request(app).get('/required').set('Authorization', `Bearer ${justExpired}`)).status).toBe(200);
+    });
+
+    it('rejects tampered tokens', async () => {
+      const [header, , signature] = jwt.sign({ sub: 'agent1', role: 'viewer' }, SECRET).split('.');
+      const payload = Buffer.from(JSON.stringify({ sub: 'agent1', role: 'admin' })).toString('base64url');
+
+      const res = await request(app).get('/required').set('Authorization', `Bearer ${header}.${payload}.${signature}`);
+
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer realm="api"');
+    });
+
+    it('rejects tokens without a subject', async () => {
+      const token = jwt.sign({ role: 'admin' }, SECRET);
+
+      expect((await request(app).get('/required').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+    });
+
+    it('checks the issuer and audience when they are configured', async () => {
+      process.env.JWT_ISSUER = 'https://auth.example.com';
+      process.env.JWT_AUDIENCE = 'property-api';
+      const valid = jwt.sign({ sub: 'agent1' }, SECRET, { issuer: 'https://auth.example.com', audience: 'property-api' });
+      const otherAudience = jwt.sign({ sub: 'agent1' }, SECRET, { issuer: 'https://auth.example.com', audience: 'other-api' });
+
+      expect((await request(app).get('/required').set('Authorization', `Bearer ${valid}`)).status).toBe(200);
+      expect((await request(app).get('/required').set('Authorization', `Bearer ${otherAudience}`)).status).toBe(401);
+    });
+  });
+
+  describe('API keys', () => {
+    it.each([
+      ['an apk_ bearer token', { Authorization: `Bearer ${API_KEY}` }],
+      ['the ApiKey scheme', { Authorization: `ApiKey ${API_KEY}` }],
+      ['the X-API-Key header', { 'X-API-Key': API_KEY }]
+    ])('accepts a key sent as %s', async (label, headers) => {
+      const res = await request(app).get('/required').set(headers);
+
+      expect(res.status).toBe(200);
+      expect(res.body.auth).toEqual({ type: 'apiKey', id: 'apikey:aaaaaaaaaaaaaaaa', role: 'agent', keyId: 'aaaaaaaaaaaaaaaa' });
+      expect(verifyApiKey).toHaveBeenCalledWith(API_KEY);
+    });
+
+    it('rejects a key the store does not accept (revoked, expired or unknown)', async () => {
+      const res = await request(app).get('/required').set('Authorization', `Bearer apk_${'c'.repeat(16)}_${'d'.repeat(32)}`);
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid or expired credentials');
+    });
+  });
+
+  describe('required and optional authentication', () => {
+    it('rejects anonymous requests where authentication is required', async () => {
+      const res = await request(app).get('/required');
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Authentication required');
+    });
+
+    it('lets anonymous requests through where authentication is optional', async () => {
+      const res = await request(app).get('/optional');
+
+      expect(res.status).toBe(200);
+      expect(res.body.auth).toBeNull();
+    });
+
+    it.each([
+      ['an invalid token', { Authorization: 'Bearer not-a-jwt' }],
+      ['a revoked API key', { 'X-API-Key': `apk_${'c'.repeat(16)}_${'d'.repeat(32)}` }],
+      ['an unsupported scheme', { Authorization: 'Basic dXNlcjpwYXNz' }]
+    ])('rejects %s where authentication is optional', async (label, headers) => {
+      const res = await request(app).get('/optional').set(headers);
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid or expired credentials');
+    });
+  });
+
+  describe('authorize', () => {
+    const bearer = (sub, role) => `Bearer ${jwt.sign({ sub, role }, SECRET)}`;
+
+    it('lets owners update their listing and refuses other landlords', async () => {
+      getPropertyById.mockReturnValue({ id: 'PROP_1', ownerId: 'land1' });
+
+      expect((await request(app).put('/property/PROP_1').set('Authorization', bearer('land1', 'landlord'))).status).toBe(200);
+      const res = await request(app).put('/property/PROP_1').set('Authorization', bearer('land2', 'landlord'));
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('You do not have permission to update this property');
+      expect(getPropertyById).toHaveBeenCalledWith('PROP_1');
+    });
+
+    it('answers 404 for a missing listing', async () => {
+      getPropertyById.mockReturnValue(null);
+
+      expect((await request(app).put('/property/NOPE').set('Authorization', bearer('admin1', 'admin'))).status).toBe(404);
+    });
+
+    it('looks up restores in the trash', async () => {
+      getTrashedPropertyById.mockReturnValue({ id: 'PROP_1', ownerId: 'agent1', deletedAt: '2026-01-01T00:00:00.000Z' });
+
+      expect((await request(app).post('/property/PROP_1/restore').set('Authorization', bearer('agent1', 'agent'))).status).toBe(200);
+      expect((await request(app).post('/property/PROP_1/restore').set('Authorization', bearer('agent2', 'agent'))).status).toBe(403);
+      expect(getTrashedPropertyById).toHaveBeenCalledWith('PROP_1');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Find (and optionally delete) image files that no listing references.
+ *
+ * Usage:
+ *   node collectImageGarbage.js [--delete] [--min-age-hours <hours>] [--upload-dir <dir>]
+ *
+ * Every file in the upload directory is checked against the originals and
+ * resized variants recorded on stored properties, including those in the
+ * trash. Unreferenced files are only reported unless --delete is given.
+ * Files younger than --min-age-hours (default 24) are never touched: they
+ * may belong to an upload whose listing has not been saved yet.
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { getAllProperties, getTrashedProperties } = require('./src/utils/storage');
+
+/**
+ * Parse command line options: --delete is a flag, other options take a value
+ * @param {Array} argv - Command line arguments
+ * @returns {Object} Parsed options
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--delete') {
+      options.delete = true;
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+};
+
+/**
+ * Names of every image file referenced by a stored property, including
+ * properties in the trash (their files go when they are purged)
+ * @returns {Set} Filenames (originals and variants)
+ */
+const referencedFilenames = () => {
+  const filenames = new Set();
+  getAllProperties().concat(getTrashedProperties()).forEach(property => {
+    (property.images || []).forEach(image => {
+      if (image.filename) {
+        filenames.add(path.basename(image.filename));
+      }
+      Object.values(image.variants || {}).forEach(variant => filenames.add(variant.filename));
+    });
+  });
+  return filenames;
+};
+
+const collectGarbage = () => {
+  const options = parseArgs(process.argv.slice(2));
+  const uploadDir = options['upload-dir'] || 'uploads/images';
+  const minAgeHours = Number(options['min-age-hours'] || 24);
+  if (!Number.isFinite(minAgeHours) || minAgeHours < 0) {
+    throw new Error('--min-age-hours must be a non-negative number');
+  }
+
+  if (!fs.existsSync(uploadDir)) {
+    console.log(`${uploadDir} does not exist, nothing to collect`);
+    return;
+  }
+
+  const referenced = referencedFilenames();
+  const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+  let orphanCount = 0;
+  let orphanBytes = 0;
+  let skippedRecent = 0;
+
+  fs.readdirSync(uploadDir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !referenced.has(entry.name))
+    .forEach(entry => {
+      const filepath = path.join(uploadDir, entry.name);
+      const stats = fs.statSync(filepath);
+      if (stats.mtimeMs > cutoff) {
+        skippedRecent++;
+        return;
+      }
+
+      orphanCount++;
+      orphanBytes += stats.size;
+      if (options.delete) {
+        fs.rmSync(filepath, { force: true });
+        console.log(`🗑️  Deleted ${filepath} (${stats.size} bytes)`);
+      } else {
+        console.log(`Unreferenced: ${filepath} (${stats.size} bytes, modified ${stats.mtime.toISOString()})`);
+      }
+    });
+
+  const megabytes = (orphanBytes / (1024 * 1024)).toFixed(1);
+  console.log(options.delete
+    ? `✅ Deleted ${orphanCount} unreferenced file(s), ${megabytes}MB`
+    : `Found ${orphanCount} unreferenced file(s), ${megabytes}MB (dry run, pass --delete to remove them)`);
+  if (skippedRecent > 0) {
+    console.log(`Skipped ${skippedRecent} unreferenced file(s) newer than ${minAgeHours}h`);
+  }
+};
+
+try {
+  collectGarbage();
+} catch (error) {
+  console.error('Image garbage collection failed:', error.message);
+  process.exit(1);
+}
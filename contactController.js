@@ -0,0 +1,123 @@
+const { ApiError } = require('../utils/errorHandler');
+const { getPropertyById, runInTransaction } = require('../utils/storage');
+const { canView } = require('../utils/permissions');
+const { INQUIRY_STATUSES, saveInquiry, getInquiriesForProperty, updateInquiryStatus } = require('../utils/inquiryStore');
+const { notifyNewInquiry } = require('../utils/mailNotifications');
+const { getViewingSlots } = require('../utils/viewingStore');
+
+/**
+ * Handle contact form submission: store an inquiry about a published listing
+ * and queue an email to the listing's contact. Asking to view the property
+ * returns the listing's free viewing slots.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const submitInquiry = async (req, res, next) => {
+  try {
+    const inquiryData = req.validatedData;
+    const property = getPropertyById(inquiryData.propertyId);
+
+    // Only listings the public can see accept inquiries
+    if (!property || !canView(null, property)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found',
+        requestId: req.requestId
+      });
+    }
+
+    // The notification is queued in the same transaction, so a stored inquiry is never left unannounced
+    const inquiry = runInTransaction(() => {
+      const saved = saveInquiry(inquiryData, property, { requestId: req.requestId });
+      notifyNewInquiry(property, saved);
+      return saved;
+    });
+
+    console.log(`[${req.requestId}] Inquiry ${inquiry.id} received for property ${property.id}`);
+
+    const response = {
+      success: true,
+      message: 'Your inquiry has been sent',
+      inquiryId: inquiry.id,
+      requestId: req.requestId
+    };
+    // Someone asking to view the property can book one of its free slots straight away
+    if (inquiry.viewProperty) {
+      response.viewingSlots = getViewingSlots(property.id, { availableOnly: true });
+    }
+
+    res.status(201).json(response);
+
+  } catch (err) {
+    next(new ApiError('Failed to submit inquiry: ' + err.message, 500));
+  }
+};
+
+/**
+ * Get the inquiries about a listing, newest first (optionally ?status=new|responded|closed)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPropertyInquiries = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !INQUIRY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${INQUIRY_STATUSES.join(', ')}`,
+        requestId: req.requestId
+      });
+    }
+
+    const inquiries = getInquiriesForProperty(req.params.id, { status });
+
+    res.status(200).json({
+      success: true,
+      count: inquiries.length,
+      data: inquiries
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to retrieve inquiries: ' + err.message, 500));
+  }
+};
+
+/**
+ * Mark an inquiry about a listing as new, responded or closed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const changeInquiryStatus = async (req, res, next) => {
+  try {
+    const { id, inquiryId } = req.params;
+    const { status } = req.validatedData;
+
+    const inquiry = updateInquiryStatus(id, inquiryId, status);
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      });
+    }
+
+    console.log(`[${req.requestId}] Inquiry ${inquiryId} marked ${status} by ${req.auth.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Inquiry marked ${status}`,
+      data: inquiry
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to update inquiry: ' + err.message, 500));
+  }
+};
+
+module.exports = {
+  submitInquiry,
+  getPropertyInquiries,
+  changeInquiryStatus
+};
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { validateContactForm } = require('../middleware/validation');
+const { submitInquiry } = require('../controllers/contactController');
+
+/**
+ * @route   POST /api/contact
+ * @desc    Send an inquiry about a published property (rate limited)
+ * @access  Public
+ */
+router.post('/contact', validateContactForm, submitInquiry);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+/**
+ * Raised when CSV text is malformed
+ */
+class CsvParseError extends Error {
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'CsvParseError';
+    this.line = line;
+  }
+}
+
+/**
+ * Parse CSV text (RFC 4180: comma separated, double-quoted fields may contain
+ * commas, line breaks and "" for a quote). Blank lines are skipped.
+ * @param {string} text - CSV text, with or without a byte order mark
+ * @returns {Array} Records as { line, fields }, line being where the record starts (1-based)
+ * @throws {CsvParseError} If a quoted field is not closed or text follows a closing quote
+ */
+const parseCsv = (text) => {
+  const records = [];
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  let fields = [];
+  let field = '';
+  let line = 1;
+  let recordLine = 1;
+  let quoted = false;
+  let afterQuote = false;
+  let i = 0;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    afterQuote = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+        afterQuote = true;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === ',') {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      recordLine = line;
+    } else if (afterQuote) {
+      throw new CsvParseError('Unexpected text after a closing quote', line);
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new CsvParseError('Quoted field is not closed', recordLine);
+  }
+  endRecord();
+  return records;
+};
+
+module.exports = {
+  CsvParseError,
+  parseCsv
+};
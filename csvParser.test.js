@@ -0,0 +1,48 @@
+const { CsvParseError, parseCsv } = require('./csvParser');
+
+describe('parseCsv', () => {
+  it('splits records and fields', () => {
+    expect(parseCsv('title,price\nFlat,900\nHouse,1500')).toEqual([
+      { line: 1, fields: ['title', 'price'] },
+      { line: 2, fields: ['Flat', '900'] },
+      { line: 3, fields: ['House', '1500'] }
+    ]);
+  });
+
+  it('accepts CRLF line endings, a byte order mark and a trailing newline', () => {
+    expect(parseCsv('\ufefftitle,price\r\nFlat,900\r\n')).toEqual([
+      { line: 1, fields: ['title', 'price'] },
+      { line: 2, fields: ['Flat', '900'] }
+    ]);
+  });
+
+  it('reads quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsv('"1 Road, Bath","The ""best"" flat","Line one\nLine two"\nnext')).toEqual([
+      { line: 1, fields: ['1 Road, Bath', 'The "best" flat', 'Line one\nLine two'] },
+      { line: 3, fields: ['next'] }
+    ]);
+  });
+
+  it('keeps empty fields and skips blank lines', () => {
+    expect(parseCsv('a,,c\n\n,\n')).toEqual([
+      { line: 1, fields: ['a', '', 'c'] },
+      { line: 3, fields: ['', ''] }
+    ]);
+  });
+
+  it('returns no records for empty input', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+
+  it('rejects text after a closing quote', () => {
+    expect(() => parseCsv('a\n"Flat" one,900')).toThrow(CsvParseError);
+    expect(() => parseCsv('a\n"Flat" one,900')).toThrow('Unexpected text after a closing quote (line 2)');
+  });
+
+  it('rejects a quoted field that is never closed, reporting where the record starts', () => {
+    const parse = () => parseCsv('title\n"Flat\n\none');
+
+    expect(parse).toThrow(CsvParseError);
+    expect(parse).toThrow(expect.objectContaining({ line: 2 }));
+  });
+});
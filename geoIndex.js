@@ -0,0 +1,192 @@
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Whether a record has usable coordinates
+ * @param {Object} record - Record
+ * @returns {boolean} True if latitude and longitude are numbers
+ */
+const hasCoordinates = (record) => Number.isFinite(record.latitude) && Number.isFinite(record.longitude);
+
+/**
+ * Whether a record lies inside a bounding box; a box with minLng > maxLng crosses the antimeridian
+ * @param {Object} record - Record with latitude/longitude
+ * @param {Object} box - { minLat, minLng, maxLat, maxLng }
+ * @returns {boolean} True if the record has coordinates inside the box
+ */
+const isWithinBox = (record, { minLat, minLng, maxLat, maxLng }) => {
+  if (!hasCoordinates(record) || record.latitude < minLat || record.latitude > maxLat) {
+    return false;
+  }
+  return minLng <= maxLng
+    ? record.longitude >= minLng && record.longitude <= maxLng
+    : record.longitude >= minLng || record.longitude <= maxLng;
+};
+
+/**
+ * Create a grid-based spatial index over records with latitude/longitude.
+ * Points are bucketed into fixed-size cells, so box and radius queries only
+ * look at the cells they overlap instead of scanning every record.
+ * Implements the catalogue index interface (add/remove/clear).
+ * @param {number} cellSize - Cell size in degrees
+ * @returns {Object} Index
+ */
+const createGeoIndex = (cellSize = 0.1) => {
+  // "row:column" -> Map(id -> { lat, lng })
+  const cells = new Map();
+
+  const cellRow = (lat) => Math.floor((lat + 90) / cellSize);
+  const cellColumn = (lng) => Math.floor((lng + 180) / cellSize);
+  const cellKey = (row, column) => `${row}:${column}`;
+
+  /**
+   * Collect the points inside a box that does not cross the antimeridian
+   * @param {Object} box - { minLat, minLng, maxLat, maxLng }
+   * @param {Map} into - Map receiving id -> point
+   */
+  const collectBox = ({ minLat, minLng, maxLat, maxLng }, into) => {
+    const inside = (point) => point.lat >= minLat && point.lat <= maxLat
+      && point.lng >= minLng && point.lng <= maxLng;
+
+    const rows = [cellRow(minLat), cellRow(maxLat)];
+    const columns = [cellColumn(minLng), cellColumn(maxLng)];
+    const cellCount = (rows[1] - rows[0] + 1) * (columns[1] - columns[0] + 1);
+
+    // Very large boxes: walking the occupied cells is cheaper than walking the grid
+    if (cellCount > cells.size) {
+      cells.forEach(points => points.forEach((point, id) => {
+        if (inside(point)) {
+          into.set(id, point);
+        }
+      }));
+      return;
+    }
+
+    for (let row = rows[0]; row <= rows[1]; row++) {
+      for (let column = columns[0]; column <= columns[1]; column++) {
+        const points = cells.get(cellKey(row, column));
+        if (points) {
+          points.forEach((point, id) => {
+            if (inside(point)) {
+              into.set(id, point);
+            }
+          });
+        }
+      }
+    }
+  };
+
+  /**
+   * Points inside a bounding box; a box with minLng > maxLng crosses the antimeridian
+   * @param {Object} box - { minLat, minLng, maxLat, maxLng }
+   * @returns {Map} id -> point
+   */
+  const pointsInBox = (box) => {
+    const found = new Map();
+    if (box.minLng <= box.maxLng) {
+      collectBox(box, found);
+    } else {
+      collectBox({ ...box, maxLng: 180 }, found);
+      collectBox({ ...box, minLng: -180 }, found);
+    }
+    return found;
+  };
+
+  return {
+    add: (record) => {
+      if (!hasCoordinates(record)) {
+        return;
+      }
+      const key = cellKey(cellRow(record.latitude), cellColumn(record.longitude));
+      if (!cells.has(key)) {
+        cells.set(key, new Map());
+      }
+      cells.get(key).set(record.id, { lat: record.latitude, lng: record.longitude });
+    },
+
+    remove: (record) => {
+      if (!hasCoordinates(record)) {
+        return;
+      }
+      const key = cellKey(cellRow(record.latitude), cellColumn(record.longitude));
+      const points = cells.get(key);
+      if (points) {
+        points.delete(record.id);
+        if (points.size === 0) {
+          cells.delete(key);
+        }
+      }
+    },
+
+    clear: () => cells.clear(),
+
+    /**
+     * IDs of records inside a bounding box
+     * @param {Object} box - { minLat, minLng, maxLat, maxLng }
+     * @returns {Set} Matching record IDs
+     */
+    withinBox: (box) => new Set(pointsInBox(box).keys()),
+
+    /**
+     * Records within a radius of a point, with their distance
+     * @param {number} lat - Latitude of the centre
+     * @param {number} lng - Longitude of the centre
+     * @param {number} radiusKm - Radius in kilometres
+     * @returns {Map} Record ID -> distance in kilometres
+     */
+    withinRadius: (lat, lng, radiusKm) => {
+      // Candidate cells come from the circle's bounding box, then exact distances filter them.
+      // The longitude span widens towards the poles: asin(sin(d) / cos(lat)) for angular distance d.
+      const toDegrees = (radians) => radians * 180 / Math.PI;
+      const angular = radiusKm / EARTH_RADIUS_KM;
+      const minLat = lat - toDegrees(angular);
+      const maxLat = lat + toDegrees(angular);
+
+      let box;
+      if (minLat <= -90 || maxLat >= 90) {
+        // The circle contains a pole: every longitude is in range
+        box = { minLat: Math.max(-90, minLat), maxLat: Math.min(90, maxLat), minLng: -180, maxLng: 180 };
+      } else {
+        const lngDelta = toDegrees(Math.asin(Math.min(1, Math.sin(angular) / Math.cos(lat * Math.PI / 180))));
+        box = {
+          minLat,
+          maxLat,
+          minLng: ((lng - lngDelta + 540) % 360) - 180,
+          maxLng: ((lng + lngDelta + 540) % 360) - 180
+        };
+      }
+
+      const distances = new Map();
+      pointsInBox(box).forEach((point, id) => {
+        const distance = distanceKm(lat, lng, point.lat, point.lng);
+        if (distance <= radiusKm) {
+          distances.set(id, distance);
+        }
+      });
+      return distances;
+    }
+  };
+};
+
+module.exports = {
+  distanceKm,
+  hasCoordinates,
+  isWithinBox,
+  createGeoIndex
+};
@@ -0,0 +1,91 @@
+// Product identifier written into every calendar (RFC 5545 PRODID)
+const PRODID = '-//Asset Property Listings//Viewings//EN';
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as UTC date-time, e.g. 20261019T140000Z
+ * @param {string|Date} date - Date
+ * @returns {string} iCalendar DATE-TIME
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line to 75 octets, continuing with a space (RFC 5545 3.1)
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Lines of one VEVENT
+ * @param {Object} event - { uid, start, end, summary, description, location, status, sequence, url }
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array} Content lines
+ */
+const eventLines = (event, stamp) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `DTSTAMP:${stamp}`,
+  `DTSTART:${formatDateTime(event.start)}`,
+  `DTEND:${formatDateTime(event.end)}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+  ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+  ...(event.url ? [`URL:${event.url}`] : []),
+  `STATUS:${event.status || 'CONFIRMED'}`,
+  `SEQUENCE:${event.sequence || 0}`,
+  'END:VEVENT'
+];
+
+/**
+ * Build an iCalendar (.ics) document
+ * @param {Object} options - Calendar options
+ * @param {Array} options.events - Events (see eventLines)
+ * @param {string} [options.name] - Calendar name shown by subscribing clients
+ * @param {string} [options.method='PUBLISH'] - PUBLISH, or CANCEL for cancellations
+ * @returns {string} Calendar text with CRLF line endings
+ */
+const buildCalendar = ({ events, name, method = 'PUBLISH' }) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar
+};
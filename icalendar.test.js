@@ -0,0 +1,67 @@
+const { buildCalendar } = require('./icalendar');
+
+const event = {
+  uid: 'VIEW_1@asset-property',
+  start: '2026-10-19T14:00:00.000Z',
+  end: '2026-10-19T14:30:00.000Z',
+  summary: 'Viewing: Flat one'
+};
+
+/**
+ * Unfold content lines (RFC 5545 3.1)
+ * @param {string} calendar - Calendar text
+ * @returns {Array} Content lines
+ */
+const unfold = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+describe('buildCalendar', () => {
+  it('builds a calendar with CRLF line endings', () => {
+    const calendar = buildCalendar({ events: [event] });
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+    expect(unfold(calendar)).toEqual(expect.arrayContaining([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      'UID:VIEW_1@asset-property',
+      'DTSTART:20261019T140000Z',
+      'DTEND:20261019T143000Z',
+      'SUMMARY:Viewing: Flat one',
+      'STATUS:CONFIRMED',
+      'SEQUENCE:0',
+      'END:VEVENT'
+    ]));
+  });
+
+  it('escapes text values', () => {
+    const calendar = buildCalendar({
+      name: 'Viewings, Bath',
+      events: [{ ...event, description: 'Ring twice; ask for Jo\\Sam\nParking at the back', location: '1 Road, Bath' }]
+    });
+
+    expect(unfold(calendar)).toEqual(expect.arrayContaining([
+      'X-WR-CALNAME:Viewings\\, Bath',
+      'DESCRIPTION:Ring twice\\; ask for Jo\\\\Sam\\nParking at the back',
+      'LOCATION:1 Road\\, Bath'
+    ]));
+  });
+
+  it('folds long lines at 75 octets, counting multi-byte characters', () => {
+    const summary = `Viewing: ${'Maisonette with garden ünd balcony '.repeat(6)}`;
+    const calendar = buildCalendar({ events: [{ ...event, summary }] });
+
+    calendar.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(calendar).toContain('\r\n ');
+    expect(unfold(calendar)).toContain(`SUMMARY:${summary}`);
+  });
+
+  it('marks cancellations', () => {
+    const calendar = buildCalendar({ method: 'CANCEL', events: [{ ...event, status: 'CANCELLED', sequence: 1 }] });
+
+    expect(unfold(calendar)).toEqual(expect.arrayContaining(['METHOD:CANCEL', 'STATUS:CANCELLED', 'SEQUENCE:1']));
+  });
+});
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { ApiError } = require('../utils/errorHandler');
+const { beginIdempotentRequest, completeIdempotentRequest, releaseIdempotentRequest } = require('../utils/idempotencyStore');
+const { removeUploadedFiles } = require('./imageUpload');
+
+// Visible ASCII only, like other opaque header tokens
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Hash of what a request submits: its parsed (or raw) body, query options and the
+ * content of any uploaded files (by the digest taken while they were streamed to disk)
+ * @param {Object} req - Express request object
+ * @returns {string} Hex digest
+ */
+const fingerprintRequest = (req) => {
+  const hash = crypto.createHash('sha256');
+  hash.update(Buffer.isBuffer(req.body) ? req.body : JSON.stringify(req.body === undefined ? null : req.body));
+  // Options in the query string (e.g. an import's dryRun) make it a different request
+  if (Object.keys(req.query || {}).length > 0) {
+    hash.update(`\n?${JSON.stringify(req.query)}`);
+  }
+  (req.uploadedImages || []).forEach(file => {
+    hash.update(`\n${file.fieldname}:${file.originalname}:${file.sha256}`);
+  });
+  return hash.digest('hex');
+};
+
+/**
+ * Make a request safe to retry with an Idempotency-Key header. The first response
+ * (other than a server error) is stored for IDEMPOTENCY_KEY_TTL_HOURS; retries with
+ * the same key and body get it replayed without running the handler again. Reusing
+ * a key for a different body, or while the first request is running, is a 409.
+ * Requests without the header are not affected. Keys are scoped to the caller and endpoint.
+ * Runs after authentication and multipart parsing, before validation.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const idempotent = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 1 to 255 visible ASCII characters',
+      requestId: req.requestId
+    });
+  }
+
+  let claim;
+  try {
+    claim = beginIdempotentRequest({
+      actor: req.auth ? req.auth.id : 'anonymous',
+      endpoint: `${req.method} ${req.baseUrl}${req.path}`
+    }, key, fingerprintRequest(req));
+  } catch (err) {
+    return next(new ApiError('Failed to check idempotency key: ' + err.message, 500));
+  }
+
+  if (claim.state === 'mismatch') {
+    return res.status(409).json({
+      success: false,
+      message: 'Idempotency-Key has already been used for a different request',
+      requestId: req.requestId
+    });
+  }
+
+  if (claim.state === 'in_progress') {
+    res.set('Retry-After', '5');
+    return res.status(409).json({
+      success: false,
+      message: 'A request with this Idempotency-Key is still being processed; retry later',
+      requestId: req.requestId
+    });
+  }
+
+  if (claim.state === 'completed') {
+    // The original request kept its own copies of any uploaded images
+    removeUploadedFiles(req.uploadedImages);
+    console.log(`[${req.requestId}] Replaying stored response for idempotency key`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.record.statusCode).json(claim.record.body);
+  }
+
+  // Store the first response; a server error releases the key so the request can be retried
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    try {
+      if (res.statusCode >= 500) {
+        releaseIdempotentRequest(claim.id);
+      } else {
+        completeIdempotentRequest(claim.id, res.statusCode, body);
+      }
+    } catch (err) {
+      console.error(`[${req.requestId}] Failed to store idempotent response:`, err.message);
+    }
+    return sendJson(body);
+  };
+  next();
+};
+
+module.exports = {
+  idempotent
+};
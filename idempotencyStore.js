@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { getStorageAdapter, runInTransaction } = require('./storage');
+
+const IDEMPOTENCY_KEYS = 'idempotencyKeys';
+
+// Responses are kept for replay this long, unless IDEMPOTENCY_KEY_TTL_HOURS says otherwise
+const DEFAULT_TTL_HOURS = 24;
+
+// A request still marked in progress after this long is assumed to have died and may be retried
+const IN_PROGRESS_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Expired keys are swept at most this often, while handling a request
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastCleanup = 0;
+
+/**
+ * How long responses are kept for replay
+ * @returns {number} Window in milliseconds
+ */
+const getTtlMs = () => {
+  const hours = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  const ttlHours = process.env.IDEMPOTENCY_KEY_TTL_HOURS !== undefined && Number.isFinite(hours) && hours > 0
+    ? hours
+    : DEFAULT_TTL_HOURS;
+  return ttlHours * 60 * 60 * 1000;
+};
+
+/**
+ * Storage ID of a key: keys are scoped to the caller and endpoint, and hashed so
+ * client-chosen strings never become record IDs
+ * @param {Object} scope - { actor, endpoint }
+ * @param {string} key - Idempotency-Key header value
+ * @returns {string} Record ID
+ */
+const getRecordId = ({ actor, endpoint }, key) => crypto
+  .createHash('sha256')
+  .update(`${actor}\n${endpoint}\n${key}`)
+  .digest('hex');
+
+/**
+ * Whether a stored key no longer applies
+ * @param {Object} record - Stored key
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if expired (or abandoned while in progress)
+ */
+const isExpired = (record, now) => Date.parse(record.expiresAt) <= now
+  || (record.state === 'in_progress' && Date.parse(record.startedAt) + IN_PROGRESS_TIMEOUT_MS <= now);
+
+/**
+ * Remove expired keys, at most once per CLEANUP_INTERVAL_MS (inside a transaction)
+ * @param {Object} adapter - Storage adapter
+ * @param {number} now - Current time in milliseconds
+ */
+const removeExpiredKeys = (adapter, now) => {
+  if (now - lastCleanup < CLEANUP_INTERVAL_MS) {
+    return;
+  }
+  lastCleanup = now;
+  adapter.list(IDEMPOTENCY_KEYS)
+    .filter(record => isExpired(record, now))
+    .forEach(record => adapter.remove(IDEMPOTENCY_KEYS, record.id));
+};
+
+/**
+ * Claim an idempotency key for a request, or find the response already stored for it
+ * @param {Object} scope - { actor, endpoint } the key belongs to
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} fingerprint - Hash of the request body
+ * @returns {Object} { state, id, record }: state is 'new' (the caller must complete or
+ *   release the key), 'completed' (record holds the response to replay), 'in_progress'
+ *   (another request with the key is running) or 'mismatch' (the key was used with another body)
+ */
+const beginIdempotentRequest = (scope, key, fingerprint) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const now = Date.now();
+  const id = getRecordId(scope, key);
+  removeExpiredKeys(adapter, now);
+
+  const existing = adapter.get(IDEMPOTENCY_KEYS, id);
+  if (existing && !isExpired(existing, now)) {
+    if (existing.fingerprint !== fingerprint) {
+      return { state: 'mismatch', id, record: existing };
+    }
+    return { state: existing.state, id, record: existing };
+  }
+
+  const record = {
+    id,
+    actor: scope.actor,
+    endpoint: scope.endpoint,
+    fingerprint,
+    state: 'in_progress',
+    startedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getTtlMs()).toISOString()
+  };
+  if (existing) {
+    adapter.update(IDEMPOTENCY_KEYS, id, record);
+  } else {
+    adapter.insert(IDEMPOTENCY_KEYS, record);
+  }
+  return { state: 'new', id, record };
+});
+
+/**
+ * Store the response of a request holding a key, for replay until the key expires
+ * @param {string} id - Record ID from beginIdempotentRequest
+ * @param {number} statusCode - Response status
+ * @param {*} body - Response body (JSON)
+ */
+const completeIdempotentRequest = (id, statusCode, body) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const record = adapter.get(IDEMPOTENCY_KEYS, id);
+  if (!record) {
+    return;
+  }
+  adapter.update(IDEMPOTENCY_KEYS, id, {
+    ...record,
+    state: 'completed',
+    statusCode,
+    body,
+    completedAt: new Date().toISOString()
+  });
+});
+
+/**
+ * Give up a key without storing a response, so the request can be retried
+ * @param {string} id - Record ID from beginIdempotentRequest
+ */
+const releaseIdempotentRequest = (id) => runInTransaction(() => {
+  getStorageAdapter().remove(IDEMPOTENCY_KEYS, id);
+});
+
+module.exports = {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest
+};
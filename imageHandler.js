@@ -1,17 +1,23 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { IMAGE_ERROR_CODES, ImageInspectionError, inspectImage } = require('./imageInspector');
+const { applyOrientation, generateVariants, removeVariantFiles } = require('./imageVariants');
+
+const DEFAULT_UPLOAD_DIR = 'uploads/images';
+const MAX_IMAGES = 20; // Per listing
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
 
 /**
- * Generate a unique filename for uploaded images
- * @param {string} originalName - Original filename
+ * Generate a unique filename for uploaded images. The extension comes from the
+ * MIME type, never from the client's filename.
  * @param {string} mimeType - MIME type of the image
  * @returns {string} - Unique filename
  */
-const generateUniqueFilename = (originalName, mimeType) => {
+const generateUniqueFilename = (mimeType) => {
   const timestamp = Date.now();
   const randomString = crypto.randomBytes(8).toString('hex');
-  const extension = path.extname(originalName) || getExtensionFromMimeType(mimeType);
+  const extension = getExtensionFromMimeType(mimeType);
   return `${timestamp}_${randomString}${extension}`;
 };
 
@@ -58,7 +64,7 @@ const validateImageData = (imageData) => {
     }
   }
   
-  if (imageData.size && imageData.size > 10 * 1024 * 1024) { // 10MB
+  if (imageData.size && imageData.size > MAX_IMAGE_SIZE) {
     errors.push('Image size cannot exceed 10MB');
   }
   
@@ -69,61 +75,145 @@ const validateImageData = (imageData) => {
 };
 
 /**
- * Process and save image data
- * @param {Object} imageData - Image data object
+ * Write a file atomically: readers never see a partially written image
+ * @param {string} filepath - Destination path
+ * @param {Buffer} buffer - File contents
+ */
+const writeFileAtomic = (filepath, buffer) => {
+  const tempPath = `${filepath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, buffer, { flag: 'wx' });
+    fs.renameSync(tempPath, filepath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * Verify image bytes, turn them upright, strip their metadata and save them under
+ * a new unique name together with their resized variants
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} declaredType - MIME type claimed by the client
  * @param {string} uploadDir - Directory to save images
- * @returns {Promise<Object>} - Processing result
+ * @returns {Promise<Object>} - Processing result; failures carry one of IMAGE_ERROR_CODES
  */
-const processImage = async (imageData, uploadDir = 'uploads/images') => {
+const saveVerifiedImage = async (buffer, declaredType, uploadDir) => {
+  if (buffer.length > MAX_IMAGE_SIZE) {
+    return {
+      success: false,
+      code: IMAGE_ERROR_CODES.FILE_TOO_LARGE,
+      errors: ['Image size cannot exceed 10MB']
+    };
+  }
+
+  let image;
   try {
-    // Validate image data
-    const validation = validateImageData(imageData);
-    if (!validation.isValid) {
-      return {
-        success: false,
-        errors: validation.errors
-      };
+    image = inspectImage(buffer, declaredType);
+  } catch (error) {
+    if (error instanceof ImageInspectionError) {
+      return { success: false, code: error.code, errors: [error.message] };
     }
-    
-    // Create upload directory if it doesn't exist
+    throw error;
+  }
+
+  // Metadata stripping drops the orientation tag, so rotate the pixels upright first
+  if (image.orientation !== 1) {
+    try {
+      image = inspectImage(await applyOrientation(buffer), image.mimeType);
+    } catch (error) {
+      return { success: false, code: IMAGE_ERROR_CODES.CORRUPT, errors: [`Image could not be decoded: ${error.message}`] };
+    }
+  }
+
+  const filename = generateUniqueFilename(image.mimeType);
+  const filepath = path.join(uploadDir, filename);
+  try {
     if (!fs.existsSync(uploadDir)) {
       fs.mkdirSync(uploadDir, { recursive: true });
     }
-    
-    // Generate unique filename
-    const filename = generateUniqueFilename(imageData.name, imageData.type);
-    const filepath = path.join(uploadDir, filename);
-    
-    // Extract base64 data (remove data:image/...;base64, prefix)
-    const base64Data = imageData.data.replace(/^data:image\/[a-z]+;base64,/, '');
-    
-    // Convert base64 to buffer and save
-    const imageBuffer = Buffer.from(base64Data, 'base64');
-    fs.writeFileSync(filepath, imageBuffer);
-    
+    writeFileAtomic(filepath, image.buffer);
+  } catch (error) {
+    return { success: false, code: IMAGE_ERROR_CODES.WRITE_FAILED, errors: [error.message] };
+  }
+
+  // Pixel data is only decoded while resizing, so damage the header check cannot see shows up here
+  let variants;
+  try {
+    variants = await generateVariants(filepath);
+  } catch (error) {
+    fs.rmSync(filepath, { force: true });
+    return { success: false, code: IMAGE_ERROR_CODES.CORRUPT, errors: [`Image could not be decoded: ${error.message}`] };
+  }
+
+  return {
+    success: true,
+    filename,
+    filepath,
+    size: image.buffer.length,
+    mimeType: image.mimeType,
+    width: image.width,
+    height: image.height,
+    variants
+  };
+};
+
+/**
+ * Process and save image data. The decoded bytes must really be the declared
+ * image type; EXIF/XMP metadata (including GPS position) is removed before saving.
+ * @param {Object} imageData - Image data object
+ * @param {string} uploadDir - Directory to save images
+ * @returns {Promise<Object>} - Processing result
+ */
+const processImage = async (imageData, uploadDir = DEFAULT_UPLOAD_DIR) => {
+  // Validate image data
+  const validation = validateImageData(imageData);
+  if (!validation.isValid) {
     return {
-      success: true,
-      filename,
-      filepath,
-      size: imageBuffer.length,
-      originalName: imageData.name
+      success: false,
+      code: IMAGE_ERROR_CODES.INVALID_DATA,
+      errors: validation.errors
     };
-    
-  } catch (error) {
+  }
+
+  // The data URI prefix is client-supplied too, so it must agree with the declared type
+  const [, prefixType] = imageData.data.match(/^data:(image\/[a-z]+);base64,/);
+  const declaredType = imageData.type === 'image/jpg' ? 'image/jpeg' : imageData.type;
+  if ((prefixType === 'image/jpg' ? 'image/jpeg' : prefixType) !== declaredType) {
     return {
       success: false,
-      error: error.message
+      code: IMAGE_ERROR_CODES.TYPE_MISMATCH,
+      errors: [`Image data is labelled ${prefixType} but the image type is ${imageData.type}`]
     };
   }
+
+  // Extract base64 data (remove data:image/...;base64, prefix)
+  const base64Data = imageData.data.replace(/^data:image\/[a-z]+;base64,/, '');
+  const result = await saveVerifiedImage(Buffer.from(base64Data, 'base64'), declaredType, uploadDir);
+
+  return result.success ? { ...result, originalName: imageData.name } : result;
 };
 
 /**
- * Process multiple images
+ * Delete the files of image entries: the original and every resized variant
+ * @param {Array} images - Stored image entries or processImages results
+ */
+const removeImageFiles = (images = []) => {
+  images.filter(image => image && image.filename).forEach(image => {
+    const filepath = image.filepath || path.join(DEFAULT_UPLOAD_DIR, image.filename);
+    fs.rmSync(filepath, { force: true });
+    removeVariantFiles(image.variants, path.dirname(filepath));
+  });
+};
+
+/**
+ * Process multiple images. All or nothing: if any image fails, the ones
+ * already saved from the batch are deleted again.
  * @param {Array} images - Array of image data objects
  * @param {string} uploadDir - Directory to save images
  * @returns {Promise<Object>} - Processing result
  */
-const processImages = async (images, uploadDir = 'uploads/images') => {
+const processImages = async (images, uploadDir = DEFAULT_UPLOAD_DIR) => {
   if (!Array.isArray(images) || images.length === 0) {
     return {
       success: true,
@@ -145,28 +235,180 @@ const processImages = async (images, uploadDir = 'uploads/images') => {
         filename: result.filename,
         filepath: result.filepath,
         size: result.size,
-        originalName: result.originalName
+        originalName: result.originalName,
+        mimeType: result.mimeType,
+        width: result.width,
+        height: result.height,
+        variants: result.variants
       });
     } else {
       errors.push({
         index: i,
         originalName: imageData.name,
-        errors: result.errors || [result.error]
+        code: result.code,
+        errors: result.errors
+      });
+    }
+  }
+  
+  if (errors.length > 0) {
+    removeImageFiles(results);
+    return {
+      success: false,
+      processedImages: [],
+      errors
+    };
+  }
+  
+  return {
+    success: true,
+    processedImages: results,
+    errors
+  };
+};
+
+/**
+ * Verify images that were streamed to disk by a multipart upload, rewriting each
+ * one without its metadata. Returns the same shape as processImages. Rejected files
+ * are deleted, and so are the accepted ones if any file fails; the file objects
+ * are updated to point at the rewritten files.
+ * @param {Array} files - Multer file objects (already saved)
+ * @returns {Promise<Object>} - Processing result
+ */
+const processUploadedFiles = async (files) => {
+  if (!Array.isArray(files) || files.length === 0) {
+    return {
+      success: true,
+      processedImages: [],
+      errors: []
+    };
+  }
+  
+  const results = [];
+  const errors = [];
+  
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const streamedPath = file.path;
+    let result;
+    try {
+      const buffer = await fs.promises.readFile(streamedPath);
+      result = await saveVerifiedImage(buffer, file.mimetype, path.dirname(streamedPath));
+    } catch (error) {
+      result = { success: false, code: IMAGE_ERROR_CODES.WRITE_FAILED, errors: [error.message] };
+    }
+    await fs.promises.rm(streamedPath, { force: true });
+    
+    if (result.success) {
+      Object.assign(file, { filename: result.filename, path: result.filepath, size: result.size });
+      results.push({
+        index: i,
+        filename: result.filename,
+        filepath: result.filepath,
+        size: result.size,
+        originalName: file.originalname,
+        mimeType: result.mimeType,
+        width: result.width,
+        height: result.height,
+        variants: result.variants
+      });
+    } else {
+      errors.push({
+        index: i,
+        originalName: file.originalname,
+        code: result.code,
+        errors: result.errors
       });
     }
   }
   
+  if (errors.length > 0) {
+    removeImageFiles(results);
+    return {
+      success: false,
+      processedImages: [],
+      errors
+    };
+  }
+  
   return {
-    success: errors.length === 0,
+    success: true,
     processedImages: results,
     errors
   };
 };
 
+/**
+ * Map processed images to the metadata stored on a property
+ * @param {Array} processedImages - Results of processImages/processUploadedFiles
+ * @param {Array} [sources] - Submitted image objects, for the optional caption and alt text
+ * @returns {Array} Stored image entries
+ */
+const toStoredImages = (processedImages, sources = []) => processedImages.map(img => {
+  const source = sources[img.index] || {};
+  const stored = {
+    filename: img.filename,
+    originalName: img.originalName,
+    size: img.size,
+    mimeType: img.mimeType,
+    width: img.width,
+    height: img.height,
+    filepath: img.filepath,
+    variants: img.variants
+  };
+  if (source.caption) stored.caption = source.caption;
+  if (source.alt) stored.alt = source.alt;
+  return stored;
+});
+
+/**
+ * Process the images of a submission: base64 images from a JSON body and files
+ * streamed by a multipart upload. All or nothing, like processImages.
+ * @param {Array} [images] - Base64 image objects (may carry caption and alt)
+ * @param {Array} [uploadedFiles] - Multer file objects
+ * @returns {Promise<Object>} - { success, images: stored image entries, errors }
+ */
+const processSubmittedImages = async (images = [], uploadedFiles = []) => {
+  const imageResult = await processImages(images);
+  if (!imageResult.success) {
+    return { success: false, images: [], errors: imageResult.errors };
+  }
+  
+  const uploadResult = await processUploadedFiles(uploadedFiles);
+  if (!uploadResult.success) {
+    removeImageFiles(imageResult.processedImages);
+    return { success: false, images: [], errors: uploadResult.errors };
+  }
+  
+  return {
+    success: true,
+    images: toStoredImages(imageResult.processedImages, images)
+      .concat(toStoredImages(uploadResult.processedImages)),
+    errors: []
+  };
+};
+
+/**
+ * Make sure exactly one image is the cover: the flagged one, or the first image
+ * if none is flagged (listings saved before cover photos existed)
+ * @param {Array} images - Stored image entries
+ * @returns {Array} Image entries with isCover set on each
+ */
+const withCoverImage = (images) => {
+  const coverIndex = Math.max(0, images.findIndex(img => img.isCover));
+  return images.map((img, i) => ({ ...img, isCover: i === coverIndex }));
+};
+
 module.exports = {
+  MAX_IMAGES,
   generateUniqueFilename,
   getExtensionFromMimeType,
   validateImageData,
   processImage,
-  processImages
+  processImages,
+  processUploadedFiles,
+  processSubmittedImages,
+  removeImageFiles,
+  toStoredImages,
+  withCoverImage
 };
@@ -0,0 +1,385 @@
+// Limits checked against the header before anything decodes the pixels
+// (a few KB of compressed PNG can claim a 50000x50000 canvas)
+const MAX_IMAGE_DIMENSION = 12000;
+const MAX_IMAGE_PIXELS = 50 * 1000 * 1000;
+
+const FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+  png: { mimeType: 'image/png', extension: '.png' },
+  webp: { mimeType: 'image/webp', extension: '.webp' }
+};
+
+// Error codes reported per image in processImages errors
+const IMAGE_ERROR_CODES = {
+  INVALID_DATA: 'IMAGE_INVALID_DATA',
+  FILE_TOO_LARGE: 'IMAGE_FILE_TOO_LARGE',
+  WRITE_FAILED: 'IMAGE_WRITE_FAILED',
+  UNSUPPORTED_FORMAT: 'IMAGE_UNSUPPORTED_FORMAT',
+  TYPE_MISMATCH: 'IMAGE_TYPE_MISMATCH',
+  CORRUPT: 'IMAGE_CORRUPT',
+  DIMENSIONS_TOO_LARGE: 'IMAGE_DIMENSIONS_TOO_LARGE',
+  TOO_MANY_PIXELS: 'IMAGE_TOO_MANY_PIXELS'
+};
+
+// JPEG segments kept when stripping metadata: JFIF (APP0), ICC profile (APP2), Adobe colour transform (APP14).
+// EXIF/XMP (APP1), IPTC (APP13), comments and vendor APPn segments are dropped.
+const JPEG_KEPT_APP_MARKERS = new Set([0xe0, 0xe2, 0xee]);
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+// PNG ancillary chunks carrying metadata
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// WebP RIFF chunks carrying metadata and their VP8X feature flags
+const WEBP_METADATA_CHUNKS = new Set(['EXIF', 'XMP ']);
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+/**
+ * Error raised while parsing an image
+ */
+class ImageInspectionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ImageInspectionError';
+    this.code = code;
+  }
+}
+
+const corrupt = (message) => new ImageInspectionError(IMAGE_ERROR_CODES.CORRUPT, message);
+
+/**
+ * Read the orientation tag (0x0112) from the first IFD of EXIF data
+ * @param {Buffer} exif - EXIF data: a TIFF header and IFDs, optionally preceded by "Exif\0\0"
+ * @returns {number} Orientation 1-8; 1 (upright) if absent or unreadable
+ */
+const readExifOrientation = (exif) => {
+  const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+  if (tiff.length < 8) {
+    return 1;
+  }
+  const byteOrder = tiff.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    return 1;
+  }
+  const little = byteOrder === 'II';
+  const readUInt16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const readUInt32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const ifd = readUInt32(4);
+  if (ifd + 2 > tiff.length) {
+    return 1;
+  }
+  const count = readUInt16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) {
+      break;
+    }
+    if (readUInt16(entry) === 0x0112) {
+      const orientation = readUInt16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+};
+
+/**
+ * Offset of the first marker after a JPEG scan's entropy-coded data. Inside the
+ * data every 0xff is followed by a stuffed 0x00 or is a restart marker.
+ * @param {Buffer} buffer - JPEG bytes
+ * @param {number} offset - Where the entropy-coded data starts
+ * @returns {number} Offset of the marker, or the buffer length if there is none
+ */
+const findScanEnd = (buffer, offset) => {
+  for (let i = offset; i < buffer.length - 1; i++) {
+    const next = buffer[i + 1];
+    if (buffer[i] === 0xff && next !== 0x00 && next !== 0xff && !(next >= 0xd0 && next <= 0xd7)) {
+      return i;
+    }
+  }
+  return buffer.length;
+};
+
+/**
+ * Detect the real image format from the file's magic bytes
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string|null} 'jpeg', 'png', 'webp' or null if unrecognised
+ */
+const sniffImageFormat = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+};
+
+/**
+ * Walk the segments of a JPEG, reading its dimensions and orientation and dropping
+ * metadata segments. Anything after the end of image marker is dropped too.
+ * @param {Buffer} buffer - JPEG bytes
+ * @returns {Object} { width, height, orientation, stripped }
+ */
+const parseJpeg = (buffer) => {
+  const kept = [buffer.subarray(0, 2)];
+  let offset = 2;
+  let width = null;
+  let height = null;
+  let orientation = 1;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw corrupt('Invalid JPEG segment marker');
+    }
+    // Skip fill bytes
+    while (buffer[offset + 1] === 0xff) {
+      offset++;
+    }
+    const marker = buffer[offset + 1];
+
+    // Standalone markers have no length field
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      kept.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xd9) {
+      kept.push(buffer.subarray(offset, offset + 2));
+      break;
+    }
+
+    if (offset + 4 > buffer.length) {
+      throw corrupt('Truncated JPEG segment');
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) {
+      throw corrupt('Truncated JPEG segment');
+    }
+
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      if (end < offset + 9) {
+        throw corrupt('Truncated JPEG frame header');
+      }
+      height = buffer.readUInt16BE(offset + 5);
+      width = buffer.readUInt16BE(offset + 7);
+    }
+
+    // Start of scan: copy the header and its entropy-coded data, up to the next marker
+    // (another scan's tables in progressive JPEGs, or the end of image)
+    if (marker === 0xda) {
+      const scanEnd = findScanEnd(buffer, end);
+      kept.push(buffer.subarray(offset, scanEnd));
+      offset = scanEnd;
+      continue;
+    }
+
+    if (marker === 0xe1 && orientation === 1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      orientation = readExifOrientation(buffer.subarray(offset + 4, end));
+    }
+
+    const isMetadata = (marker >= 0xe0 && marker <= 0xef && !JPEG_KEPT_APP_MARKERS.has(marker)) || marker === 0xfe;
+    if (!isMetadata) {
+      kept.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  if (width === null) {
+    throw corrupt('JPEG has no frame header');
+  }
+  return { width, height, orientation, stripped: Buffer.concat(kept) };
+};
+
+/**
+ * Walk the chunks of a PNG, reading its dimensions and orientation and dropping metadata chunks
+ * @param {Buffer} buffer - PNG bytes
+ * @returns {Object} { width, height, orientation, stripped }
+ */
+const parsePng = (buffer) => {
+  const kept = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+  let width = null;
+  let height = null;
+  let orientation = 1;
+
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) {
+      throw corrupt('Truncated PNG chunk');
+    }
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw corrupt('Truncated PNG chunk');
+    }
+
+    if (type === 'IHDR') {
+      width = buffer.readUInt32BE(offset + 8);
+      height = buffer.readUInt32BE(offset + 12);
+    } else if (width === null) {
+      throw corrupt('PNG does not start with an IHDR chunk');
+    }
+    if (type === 'eXIf') {
+      orientation = readExifOrientation(buffer.subarray(offset + 8, offset + 8 + length));
+    }
+
+    if (!PNG_METADATA_CHUNKS.has(type)) {
+      kept.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (width === null) {
+    throw corrupt('PNG has no IHDR chunk');
+  }
+  return { width, height, orientation, stripped: Buffer.concat(kept) };
+};
+
+/**
+ * Walk the RIFF chunks of a WebP, reading its dimensions and orientation and dropping EXIF/XMP chunks
+ * @param {Buffer} buffer - WebP bytes
+ * @returns {Object} { width, height, orientation, stripped }
+ */
+const parseWebp = (buffer) => {
+  const chunks = [];
+  let offset = 12;
+  let width = null;
+  let height = null;
+  let orientation = 1;
+  const riffEnd = Math.min(buffer.length, 8 + buffer.readUInt32LE(4));
+
+  while (offset + 8 <= riffEnd) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const dataStart = offset + 8;
+    const end = dataStart + size + (size % 2); // Chunks are padded to an even size
+    if (dataStart + size > buffer.length) {
+      throw corrupt('Truncated WebP chunk');
+    }
+
+    if (type === 'VP8X' && size >= 10) {
+      width = buffer.readUIntLE(dataStart + 4, 3) + 1;
+      height = buffer.readUIntLE(dataStart + 7, 3) + 1;
+    } else if (type === 'VP8 ' && width === null && size >= 10) {
+      if (buffer[dataStart + 3] !== 0x9d || buffer[dataStart + 4] !== 0x01 || buffer[dataStart + 5] !== 0x2a) {
+        throw corrupt('Invalid VP8 frame header');
+      }
+      width = buffer.readUInt16LE(dataStart + 6) & 0x3fff;
+      height = buffer.readUInt16LE(dataStart + 8) & 0x3fff;
+    } else if (type === 'VP8L' && width === null && size >= 5) {
+      if (buffer[dataStart] !== 0x2f) {
+        throw corrupt('Invalid VP8L header');
+      }
+      const bits = buffer.readUInt32LE(dataStart + 1);
+      width = (bits & 0x3fff) + 1;
+      height = ((bits >> 14) & 0x3fff) + 1;
+    }
+
+    if (type === 'EXIF') {
+      orientation = readExifOrientation(buffer.subarray(dataStart, dataStart + size));
+    }
+
+    if (!WEBP_METADATA_CHUNKS.has(type)) {
+      chunks.push(Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length))));
+    }
+    offset = end;
+  }
+
+  if (width === null) {
+    throw corrupt('WebP has no image header');
+  }
+
+  // The extended header must no longer advertise the dropped metadata
+  const extendedHeader = chunks.find(chunk => chunk.toString('latin1', 0, 4) === 'VP8X');
+  if (extendedHeader) {
+    extendedHeader[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+  }
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return { width, height, orientation, stripped: Buffer.concat([header, body]) };
+};
+
+const PARSERS = {
+  jpeg: parseJpeg,
+  png: parsePng,
+  webp: parseWebp
+};
+
+/**
+ * Verify an image before it is stored: sniff the real format, check it matches the
+ * declared MIME type, enforce dimension limits from the header (decompression bomb
+ * protection) and strip EXIF/XMP/text metadata such as GPS coordinates.
+ * Dropping EXIF also drops the orientation tag, so it is returned: images whose
+ * orientation is not 1 must be rotated from the original bytes before storing.
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} [declaredType] - MIME type claimed by the client
+ * @returns {Object} { format, mimeType, extension, width, height, orientation, buffer } with the stripped bytes
+ * @throws {ImageInspectionError} With one of IMAGE_ERROR_CODES
+ */
+const inspectImage = (buffer, declaredType) => {
+  const format = sniffImageFormat(buffer);
+  if (!format) {
+    throw new ImageInspectionError(
+      IMAGE_ERROR_CODES.UNSUPPORTED_FORMAT,
+      'File content is not a JPEG, PNG or WebP image'
+    );
+  }
+
+  const { mimeType, extension } = FORMATS[format];
+  const normalisedType = declaredType === 'image/jpg' ? 'image/jpeg' : declaredType;
+  if (declaredType && normalisedType !== mimeType) {
+    throw new ImageInspectionError(
+      IMAGE_ERROR_CODES.TYPE_MISMATCH,
+      `File content is ${mimeType} but was declared as ${declaredType}`
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = PARSERS[format](buffer);
+  } catch (error) {
+    if (error instanceof ImageInspectionError) {
+      throw error;
+    }
+    throw corrupt(`Image could not be parsed: ${error.message}`);
+  }
+
+  const { width, height, orientation, stripped } = parsed;
+  if (width === 0 || height === 0) {
+    throw corrupt('Image has no pixels');
+  }
+  if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION) {
+    throw new ImageInspectionError(
+      IMAGE_ERROR_CODES.DIMENSIONS_TOO_LARGE,
+      `Image dimensions ${width}x${height} exceed the maximum of ${MAX_IMAGE_DIMENSION}px per side`
+    );
+  }
+  if (width * height > MAX_IMAGE_PIXELS) {
+    throw new ImageInspectionError(
+      IMAGE_ERROR_CODES.TOO_MANY_PIXELS,
+      `Image has ${width * height} pixels; the maximum is ${MAX_IMAGE_PIXELS}`
+    );
+  }
+
+  return { format, mimeType, extension, width, height, orientation, buffer: stripped };
+};
+
+module.exports = {
+  MAX_IMAGE_PIXELS,
+  IMAGE_ERROR_CODES,
+  ImageInspectionError,
+  sniffImageFormat,
+  inspectImage
+};
@@ -0,0 +1,108 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { IMAGE_ERROR_CODES, sniffImageFormat, inspectImage } = require('./imageInspector');
+
+/**
+ * Encode a small test image with EXIF metadata
+ * @param {string} format - 'jpeg', 'png' or 'webp'
+ * @param {Object} [options] - sharp output options
+ * @returns {Promise<Buffer>} Image bytes
+ */
+const createImage = (format, options = {}) => sharp({
+  create: { width: 40, height: 20, channels: 3, background: { r: 200, g: 80, b: 40 } }
+})
+  .withMetadata({ orientation: 6 })
+  .withExif({ IFD0: { Copyright: 'Secret Camera Owner' } })
+  .toFormat(format, options)
+  .toBuffer();
+
+/**
+ * Build a PNG chunk (the inspector does not check CRCs, so it is left zero)
+ * @param {string} type - Chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk bytes
+ */
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+};
+
+describe('sniffImageFormat', () => {
+  it('recognises images by their magic bytes', async () => {
+    expect(sniffImageFormat(await createImage('jpeg'))).toBe('jpeg');
+    expect(sniffImageFormat(await createImage('png'))).toBe('png');
+    expect(sniffImageFormat(await createImage('webp'))).toBe('webp');
+    expect(sniffImageFormat(Buffer.from('GIF89a'))).toBeNull();
+  });
+});
+
+describe('inspectImage', () => {
+  it.each(['jpeg', 'png', 'webp'])('reads the size and orientation of a %s and strips its metadata', async (format) => {
+    const original = await createImage(format);
+    expect(original.includes('Secret Camera Owner')).toBe(true);
+
+    const image = inspectImage(original, `image/${format}`);
+
+    expect(image).toMatchObject({ format, mimeType: `image/${format}`, width: 40, height: 20, orientation: 6 });
+    expect(image.buffer.includes('Secret Camera Owner')).toBe(false);
+    const metadata = await sharp(image.buffer).metadata();
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.width).toBe(40);
+  });
+
+  it('reports upright images without EXIF as orientation 1', async () => {
+    const buffer = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#fff' } }).png().toBuffer();
+
+    expect(inspectImage(buffer).orientation).toBe(1);
+  });
+
+  it('drops data appended after the end of a JPEG', async () => {
+    const jpeg = await createImage('jpeg', { progressive: true });
+    const image = inspectImage(Buffer.concat([jpeg, Buffer.from('<?php echo "hidden"; ?>')]));
+
+    expect(image.buffer.includes('hidden')).toBe(false);
+    expect(image.buffer.subarray(-2)).toEqual(Buffer.from([0xff, 0xd9]));
+    expect((await sharp(image.buffer).metadata()).height).toBe(20);
+  });
+
+  it('rejects content that is not a supported image', () => {
+    expect(() => inspectImage(Buffer.from('<svg></svg>'), 'image/png'))
+      .toThrow(expect.objectContaining({ code: IMAGE_ERROR_CODES.UNSUPPORTED_FORMAT }));
+  });
+
+  it('rejects an image declared as another type', async () => {
+    const png = await createImage('png');
+
+    expect(() => inspectImage(png, 'image/jpeg'))
+      .toThrow(expect.objectContaining({ code: IMAGE_ERROR_CODES.TYPE_MISMATCH }));
+  });
+
+  it('accepts image/jpg for JPEGs', async () => {
+    expect(inspectImage(await createImage('jpeg'), 'image/jpg').mimeType).toBe('image/jpeg');
+  });
+
+  it('rejects truncated images as corrupt', async () => {
+    const jpeg = await createImage('jpeg');
+
+    expect(() => inspectImage(jpeg.subarray(0, 40)))
+      .toThrow(expect.objectContaining({ code: IMAGE_ERROR_CODES.CORRUPT }));
+  });
+
+  it('rejects oversized dimensions from the header without decoding', () => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(20000, 0);
+    header.writeUInt32BE(10, 4);
+    header.writeUInt8(8, 8);
+    header.writeUInt8(2, 9);
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(Buffer.alloc(10))),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+
+    expect(() => inspectImage(png))
+      .toThrow(expect.objectContaining({ code: IMAGE_ERROR_CODES.DIMENSIONS_TOO_LARGE }));
+  });
+});
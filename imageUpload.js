@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const mongoSanitize = require('express-mongo-sanitize');
+const { clean: xssClean } = require('xss-clean/lib/xss');
+const { generateUniqueFilename } = require('../utils/imageHandler');
+
+const UPLOAD_DIR = 'uploads/images';
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB, same as base64 images
+const MAX_FILES = 20;
+const MAX_TOTAL_SIZE = parseInt(process.env.UPLOAD_MAX_TOTAL_MB || '100', 10) * 1024 * 1024;
+
+/**
+ * Multer storage engine that streams each image straight into the upload
+ * directory and enforces a limit on the combined size of all files in the
+ * request while streaming (multer itself only limits individual files).
+ * Each file's SHA-256 is computed on the way through and kept as file.sha256,
+ * so nothing needs to read the file back to identify its content.
+ * @param {Object} options - Storage options
+ * @param {string} options.uploadDir - Directory to save images
+ * @param {number} options.maxTotalSize - Maximum combined size in bytes
+ * @returns {Object} Multer storage engine
+ */
+const createStreamingImageStorage = ({ uploadDir, maxTotalSize }) => ({
+  _handleFile: (req, file, cb) => {
+    fs.mkdirSync(uploadDir, { recursive: true });
+
+    const filename = generateUniqueFilename(file.mimetype);
+    const filepath = path.join(uploadDir, filename);
+    const output = fs.createWriteStream(filepath, { flags: 'wx' });
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      file.stream.unpipe(output);
+      file.stream.resume(); // Drain the rest of the part so the request can finish
+      output.destroy();
+      fs.rm(filepath, { force: true }, () => cb(error));
+    };
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      hash.update(chunk);
+      req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+      if (req.uploadedBytes > maxTotalSize) {
+        const error = new Error(`Total upload size cannot exceed ${Math.round(maxTotalSize / (1024 * 1024))}MB`);
+        error.code = 'LIMIT_TOTAL_SIZE';
+        fail(error);
+      }
+    });
+    file.stream.on('error', fail);
+    output.on('error', fail);
+    output.on('finish', () => {
+      if (!failed) {
+        cb(null, { filename, path: filepath, size, sha256: hash.digest('hex') });
+      }
+    });
+
+    file.stream.pipe(output);
+  },
+
+  _removeFile: (req, file, cb) => {
+    fs.rm(file.path, { force: true }, cb);
+  }
+});
+
+const upload = multer({
+  storage: createStreamingImageStorage({ uploadDir: UPLOAD_DIR, maxTotalSize: MAX_TOTAL_SIZE }),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES,
+    fields: 50,
+    fieldSize: 64 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Invalid image type for ${file.originalname}. Only JPEG, PNG, and WebP are allowed`);
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).array('images', MAX_FILES);
+
+// HTTP status for upload errors: size limits are 413, everything else is a bad request
+const UPLOAD_ERROR_STATUS = {
+  LIMIT_FILE_SIZE: 413,
+  LIMIT_TOTAL_SIZE: 413
+};
+
+/**
+ * Remove files written by an upload
+ * @param {Array} files - Multer file objects
+ */
+const removeUploadedFiles = (files = []) => {
+  files.forEach(file => fs.rm(file.path, { force: true }, () => {}));
+};
+
+/**
+ * Normalise multipart text fields to the shapes the JSON API accepts.
+ * keyFeatures may arrive as repeated fields, keyFeatures[] or a JSON array string.
+ * @param {Object} body - Parsed multipart fields
+ * @returns {Object} Normalised fields
+ */
+const normaliseFields = (body) => {
+  const fields = { ...body };
+  if (typeof fields.keyFeatures === 'string') {
+    try {
+      const parsed = JSON.parse(fields.keyFeatures);
+      fields.keyFeatures = Array.isArray(parsed) ? parsed : [fields.keyFeatures];
+    } catch (error) {
+      fields.keyFeatures = [fields.keyFeatures];
+    }
+  }
+  return fields;
+};
+
+/**
+ * Parse multipart/form-data property submissions: listing fields go to req.body
+ * (sanitised like JSON bodies) and image files are streamed to disk and listed
+ * in req.uploadedImages. Other content types pass through untouched.
+ * Uploaded files are removed again if the request ends in an error response.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const parseMultipartProperty = (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  upload(req, res, (err) => {
+    if (err) {
+      console.error(`[${req.requestId}] Image upload failed:`, err.message);
+      return res.status(UPLOAD_ERROR_STATUS[err.code] || 400).json({
+        success: false,
+        message: 'Image upload failed',
+        errors: [err.code === 'LIMIT_FILE_SIZE' ? 'Image size cannot exceed 10MB' : err.message],
+        requestId: req.requestId
+      });
+    }
+
+    req.uploadedImages = req.files || [];
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        removeUploadedFiles(req.uploadedImages);
+      }
+    });
+
+    // Multipart fields were parsed after the global sanitisers ran
+    req.body = mongoSanitize.sanitize(xssClean(normaliseFields(req.body)));
+    next();
+  });
+};
+
+module.exports = {
+  parseMultipartProperty,
+  removeUploadedFiles
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { MAX_IMAGE_PIXELS } = require('./imageInspector');
+
+// Longest side of each derivative in pixels; smaller originals are never enlarged
+const VARIANT_SIZES = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600
+};
+
+/**
+ * Output format for derivatives: WebP when this libvips build can write it, JPEG otherwise
+ * @returns {Object} { format, mimeType, extension }
+ */
+const variantFormat = () => (sharp.format.webp && sharp.format.webp.output.file
+  ? { format: 'webp', mimeType: 'image/webp', extension: '.webp' }
+  : { format: 'jpeg', mimeType: 'image/jpeg', extension: '.jpg' });
+
+/**
+ * Filename of a derivative, derived from the original's filename
+ * @param {string} filename - Original image filename
+ * @param {string} variant - Variant name (thumbnail, medium, large)
+ * @returns {string} Variant filename
+ */
+const getVariantFilename = (filename, variant) => {
+  const { extension } = variantFormat();
+  return `${path.parse(filename).name}_${variant}${extension}`;
+};
+
+/**
+ * Remove the derivative files of an image
+ * @param {Object} variants - Variants recorded on the image entry
+ * @param {string} dir - Directory holding the image
+ */
+const removeVariantFiles = (variants, dir) => {
+  Object.values(variants || {}).forEach(variant => {
+    fs.rmSync(path.join(dir, variant.filename), { force: true });
+  });
+};
+
+/**
+ * Turn an image's pixels upright according to its EXIF orientation, keeping its
+ * format. The output carries no metadata, so the orientation tag is gone too.
+ * @param {Buffer} buffer - Original image bytes, EXIF included
+ * @returns {Promise<Buffer>} Rotated image bytes
+ */
+const applyOrientation = (buffer) => sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+  .rotate()
+  .toBuffer();
+
+/**
+ * Generate resized derivatives of a saved image next to it. Output carries no
+ * metadata (sharp drops EXIF unless asked to keep it).
+ * @param {string} filepath - Path of the saved original
+ * @returns {Promise<Object>} Variant name -> { filename, width, height, size, mimeType }
+ */
+const generateVariants = async (filepath) => {
+  const dir = path.dirname(filepath);
+  const { format, mimeType } = variantFormat();
+  const variants = {};
+
+  try {
+    for (const [variant, size] of Object.entries(VARIANT_SIZES)) {
+      const filename = getVariantFilename(path.basename(filepath), variant);
+      const info = await sharp(filepath, { limitInputPixels: MAX_IMAGE_PIXELS })
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .toFormat(format, { quality: 80 })
+        .toFile(path.join(dir, filename));
+
+      variants[variant] = {
+        filename,
+        width: info.width,
+        height: info.height,
+        size: info.size,
+        mimeType
+      };
+    }
+  } catch (error) {
+    // Also catches a half-written file of the variant that failed
+    Object.keys(VARIANT_SIZES).forEach(variant => {
+      fs.rmSync(path.join(dir, getVariantFilename(path.basename(filepath), variant)), { force: true });
+    });
+    throw error;
+  }
+
+  return variants;
+};
+
+module.exports = {
+  VARIANT_SIZES,
+  getVariantFilename,
+  applyOrientation,
+  generateVariants,
+  removeVariantFiles
+};
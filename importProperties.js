@@ -0,0 +1,95 @@
+/**
+ * Bulk import listings from a file, like POST /api/property/import.
+ *
+ * Usage:
+ *   node importProperties.js <file> --owner <ownerId> [--format json|csv|zip] [--dry-run] [--all-or-nothing]
+ *
+ * The file is a JSON array of listings, a CSV file with a header row of listing
+ * fields, or a zip bundle holding one of those next to the images its rows
+ * reference by path inside the bundle. The format defaults to the file's
+ * extension. Every row is validated like a listing submitted to the API.
+ * --dry-run only prints each row's errors and warnings. Otherwise the valid
+ * rows are saved as drafts owned by --owner, in one transaction; with
+ * --all-or-nothing nothing is saved unless every row is valid. Exits with a
+ * non-zero status if any row is invalid.
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { readImportSource, importProperties } = require('./src/utils/propertyImport');
+
+const FORMATS = ['json', 'csv', 'zip'];
+
+/**
+ * Parse command line options: --dry-run and --all-or-nothing are flags, other
+ * options take a value, and the first other argument is the file
+ * @param {Array} argv - Command line arguments
+ * @returns {Object} Parsed options
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i] === '--all-or-nothing') {
+      options.allOrNothing = true;
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else if (!options.file) {
+      options.file = argv[i];
+    }
+  }
+  return options;
+};
+
+/**
+ * Print one row of the import report
+ * @param {Object} row - Report row
+ */
+const printRow = (row) => {
+  const where = `Row ${row.row}${row.line !== undefined ? ` (line ${row.line})` : ''}`;
+  const outcome = row.status === 'imported' ? `imported as ${row.propertyId}` : row.status;
+  console.log(`${row.status === 'invalid' ? '❌' : '✔'} ${where}: ${outcome}${row.title ? ` "${row.title}"` : ''}`);
+  row.errors.forEach(error => console.log(`    error: ${error}`));
+  row.warnings.forEach(warning => console.log(`    warning: ${warning}`));
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file || !options.owner) {
+    throw new Error('Usage: node importProperties.js <file> --owner <ownerId> [--format json|csv|zip] [--dry-run] [--all-or-nothing]');
+  }
+
+  const format = options.format || path.extname(options.file).slice(1).toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const content = fs.readFileSync(options.file);
+  const { rows, files } = readImportSource(format === 'zip' ? content : content.toString('utf8'), format);
+  const report = await importProperties(rows, {
+    files,
+    ownerId: options.owner,
+    dryRun: Boolean(options.dryRun),
+    allOrNothing: Boolean(options.allOrNothing)
+  });
+
+  report.rows.forEach(printRow);
+  if (options.dryRun) {
+    console.log(`✅ Dry run: ${report.valid} of ${report.total} listing(s) can be imported`);
+  } else if (report.imported === 0 && report.valid > 0) {
+    console.log(`❌ Import rejected: ${report.invalid} invalid listing(s), nothing was imported`);
+  } else {
+    console.log(`✅ Imported ${report.imported} of ${report.total} listing(s) as drafts for ${options.owner}`);
+  }
+  return report.invalid === 0;
+};
+
+run()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+  });
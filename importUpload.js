@@ -0,0 +1,79 @@
+const bodyParser = require('body-parser');
+const mongoSanitize = require('express-mongo-sanitize');
+const { clean: xssClean } = require('xss-clean/lib/xss');
+const { ImportError, readImportSource } = require('../utils/propertyImport');
+
+const MAX_IMPORT_SIZE = `${parseInt(process.env.IMPORT_MAX_MB || '100', 10)}mb`;
+
+// Import format for each accepted Content-Type
+const IMPORT_CONTENT_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip'
+};
+
+// JSON bodies are already parsed by the app; CSV and zip bodies only on this route
+const BODY_PARSERS = {
+  csv: bodyParser.text({ type: 'text/csv', limit: MAX_IMPORT_SIZE }),
+  zip: bodyParser.raw({ type: ['application/zip', 'application/x-zip-compressed'], limit: MAX_IMPORT_SIZE })
+};
+
+/**
+ * Read a bulk import body: a JSON array of listings, CSV with a header row, or a
+ * zip bundle holding one of those next to the images it references. The rows go
+ * to req.importRows and the bundle's files to req.importFiles (null unless zip).
+ * Rows that did not come through the app's JSON parser are sanitised like JSON bodies.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const parseImportUpload = (req, res, next) => {
+  const contentType = req.is(Object.keys(IMPORT_CONTENT_TYPES));
+  if (!contentType) {
+    return res.status(415).json({
+      success: false,
+      message: 'Unsupported Media Type. Content-Type must be application/json, text/csv or application/zip'
+    });
+  }
+
+  const format = IMPORT_CONTENT_TYPES[contentType];
+  const parse = BODY_PARSERS[format] || ((request, response, done) => done());
+
+  parse(req, res, (err) => {
+    if (err) {
+      console.error(`[${req.requestId}] Import upload failed:`, err.message);
+      return res.status(err.status === 413 ? 413 : 400).json({
+        success: false,
+        message: 'Import upload failed',
+        errors: [err.status === 413 ? `Import cannot exceed ${MAX_IMPORT_SIZE.toUpperCase()}` : err.message],
+        requestId: req.requestId
+      });
+    }
+
+    let source;
+    try {
+      source = readImportSource(req.body, format);
+    } catch (error) {
+      if (!(error instanceof ImportError)) {
+        return next(error);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Import file could not be read',
+        errors: [error.message],
+        requestId: req.requestId
+      });
+    }
+
+    req.importRows = format === 'json'
+      ? source.rows
+      : source.rows.map(row => ({ ...row, data: mongoSanitize.sanitize(xssClean(row.data)) }));
+    req.importFiles = source.files;
+    next();
+  });
+};
+
+module.exports = {
+  parseImportUpload
+};
@@ -0,0 +1,89 @@
+const { getStorageAdapter, runInTransaction } = require('./storage');
+
+const INQUIRIES = 'inquiries';
+
+// Lifecycle of an inquiry as handled by the listing's owner
+const INQUIRY_STATUSES = ['new', 'responded', 'closed'];
+
+/**
+ * Store a new inquiry about a listing
+ * @param {Object} inquiryData - Validated contact form fields
+ * @param {Object} property - Listing the inquiry is about
+ * @param {Object} [details] - Request details
+ * @param {string} [details.requestId] - ID of the request that submitted it
+ * @returns {Object} Saved inquiry
+ */
+const saveInquiry = (inquiryData, property, { requestId } = {}) => {
+  const now = new Date().toISOString();
+  const inquiry = {
+    id: `INQ_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    ...inquiryData,
+    propertyId: property.id,
+    ownerId: property.ownerId || null,
+    status: 'new',
+    requestId: requestId || null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  runInTransaction(() => getStorageAdapter().insert(INQUIRIES, inquiry));
+  return inquiry;
+};
+
+/**
+ * Get the inquiries about a listing, newest first
+ * @param {string} propertyId - Property ID
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - Only inquiries with this status
+ * @returns {Array} Inquiries
+ */
+const getInquiriesForProperty = (propertyId, { status } = {}) => getStorageAdapter()
+  .list(INQUIRIES)
+  .filter(inquiry => inquiry.propertyId === propertyId && (!status || inquiry.status === status))
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+/**
+ * Change the status of an inquiry about a listing
+ * @param {string} propertyId - Property ID the inquiry must belong to
+ * @param {string} id - Inquiry ID
+ * @param {string} status - New status
+ * @returns {Object|null} Updated inquiry, or null if not found for this listing
+ */
+const updateInquiryStatus = (propertyId, id, status) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const inquiry = adapter.get(INQUIRIES, id);
+  if (!inquiry || inquiry.propertyId !== propertyId) {
+    return null;
+  }
+  if (inquiry.status === status) {
+    return inquiry;
+  }
+
+  const now = new Date().toISOString();
+  const updated = { ...inquiry, status, updatedAt: now };
+  if (status !== 'new') {
+    // respondedAt / closedAt: when the inquiry last reached that status
+    updated[`${status}At`] = now;
+  }
+  return adapter.update(INQUIRIES, id, updated);
+});
+
+/**
+ * Delete every inquiry about a listing (when the listing is purged)
+ * @param {string} propertyId - Property ID
+ * @returns {number} Number of inquiries deleted
+ */
+const removeInquiriesForProperty = (propertyId) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const inquiries = adapter.list(INQUIRIES).filter(inquiry => inquiry.propertyId === propertyId);
+  inquiries.forEach(inquiry => adapter.remove(INQUIRIES, inquiry.id));
+  return inquiries.length;
+});
+
+module.exports = {
+  INQUIRY_STATUSES,
+  saveInquiry,
+  getInquiriesForProperty,
+  updateInquiryStatus,
+  removeInquiriesForProperty
+};
@@ -0,0 +1,456 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { StorageLockError, StorageCorruptionError } = require('./storageErrors');
+
+const LOCK_FILE = '.storage.lock';
+// Write-ahead journal naming the files of a transaction being committed
+const JOURNAL_FILE = '.storage.journal';
+const LOCK_RETRY_MS = 25;
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Block the current thread for a short time (used while waiting for the lock)
+ * @param {number} ms - Milliseconds to sleep
+ */
+const sleepSync = (ms) => {
+  Atomics.wait(sleepBuffer, 0, 0, ms);
+};
+
+/**
+ * Create a storage adapter that keeps each collection as a JSON array
+ * in its own file (e.g. data/properties.json).
+ *
+ * Mutations run inside a transaction that holds an exclusive lock file, so
+ * read-modify-write cycles are serialized across processes. A transaction is
+ * committed across all the files it changed: new versions are written to temp
+ * files (fsynced), then a journal listing them is written, then they are renamed
+ * into place. A crash or write error before the journal leaves every file as it
+ * was; once the journal exists the transaction is rolled forward, by the commit
+ * itself, the next transaction or recover(). The previous versions are kept as
+ * rotating backups (properties.json.bak.1 is the most recent).
+ * @param {Object} options - Adapter options
+ * @param {string} options.dataDir - Directory holding the collection files
+ * @param {number} options.backupCount - Number of backups kept per collection
+ * @param {number} options.lockTimeoutMs - How long to wait for the lock
+ * @param {number} options.lockStaleMs - Age after which a lock is considered abandoned
+ * @returns {Object} Storage adapter
+ */
+const createJsonStorageAdapter = ({
+  dataDir,
+  backupCount = 5,
+  lockTimeoutMs = 10000,
+  lockStaleMs = 30000
+}) => {
+  const lockFile = path.join(dataDir, LOCK_FILE);
+  const journalFile = path.join(dataDir, JOURNAL_FILE);
+
+  // Working set of the active transaction: collection -> { records, dirty }
+  let activeTransaction = null;
+  let commitCallbacks = [];
+
+  /**
+   * Ensure data directory exists
+   */
+  const ensureDataDir = () => {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+  };
+
+  /**
+   * Resolve the file backing a collection
+   * @param {string} collection - Collection name
+   * @returns {string} Absolute file path
+   */
+  const collectionFile = (collection) => path.join(dataDir, `${collection}.json`);
+
+  /**
+   * Resolve the path of a numbered backup
+   * @param {string} file - Collection file
+   * @param {number} n - Backup number (1 is the most recent)
+   * @returns {string} Backup file path
+   */
+  const backupFile = (file, n) => `${file}.bak.${n}`;
+
+  /**
+   * Parse a collection file
+   * @param {string} file - File to parse
+   * @returns {Array} Array of records
+   */
+  const parseFile = (file) => {
+    const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(records)) {
+      throw new Error('Expected a JSON array');
+    }
+    return records;
+  };
+
+  /**
+   * Read every record of a collection from disk
+   * @param {string} collection - Collection name
+   * @returns {Array} Array of records
+   */
+  const readCollection = (collection) => {
+    ensureDataDir();
+    const file = collectionFile(collection);
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    try {
+      return parseFile(file);
+    } catch (error) {
+      // Never treat an unreadable file as empty: the next write would wipe it
+      throw new StorageCorruptionError(`Collection file ${file} is corrupt: ${error.message}`, file);
+    }
+  };
+
+  /**
+   * Shift the numbered backups of a file and keep the current version as backup 1
+   * @param {string} file - Collection file
+   */
+  const rotateBackups = (file) => {
+    if (backupCount <= 0 || !fs.existsSync(file)) {
+      return;
+    }
+    for (let n = backupCount - 1; n >= 1; n--) {
+      if (fs.existsSync(backupFile(file, n))) {
+        fs.renameSync(backupFile(file, n), backupFile(file, n + 1));
+      }
+    }
+    try {
+      fs.linkSync(file, backupFile(file, 1));
+    } catch (error) {
+      fs.copyFileSync(file, backupFile(file, 1));
+    }
+  };
+
+  /**
+   * Path of a new temp file next to a file
+   * @param {string} file - Target file
+   * @returns {string} Temp file path
+   */
+  const tempFileFor = (file) => `${file}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+  /**
+   * Write a file and fsync it
+   * @param {string} file - File to write
+   * @param {string} contents - File contents
+   */
+  const writeFileSynced = (file, contents) => {
+    const fd = fs.openSync(file, 'w');
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  };
+
+  /**
+   * Persist renames in the data directory; not supported on every platform
+   */
+  const syncDataDir = () => {
+    try {
+      const dirFd = fs.openSync(dataDir, 'r');
+      fs.fsyncSync(dirFd);
+      fs.closeSync(dirFd);
+    } catch (error) {
+      // Ignore: directory fsync is best effort
+    }
+  };
+
+  /**
+   * Move the files named by the journal into place and remove it. Idempotent,
+   * so a commit interrupted at any point after the journal was written can be replayed.
+   */
+  const replayJournal = () => {
+    if (!fs.existsSync(journalFile)) {
+      return;
+    }
+    const { files } = JSON.parse(fs.readFileSync(journalFile, 'utf8'));
+    files.forEach(({ file, tempFile }) => {
+      const tempPath = path.join(dataDir, tempFile);
+      if (fs.existsSync(tempPath)) {
+        fs.renameSync(tempPath, path.join(dataDir, file));
+      }
+    });
+    syncDataDir();
+    fs.rmSync(journalFile, { force: true });
+    syncDataDir();
+  };
+
+  /**
+   * Write the changed collections of a transaction as one atomic commit
+   * @param {Array} changes - { collection, records } per changed collection
+   */
+  const commitCollections = (changes) => {
+    ensureDataDir();
+    const files = [];
+    const journalTemp = tempFileFor(journalFile);
+    try {
+      changes.forEach(({ collection, records }) => {
+        const file = collectionFile(collection);
+        const tempFile = tempFileFor(file);
+        files.push({ file: path.basename(file), tempFile: path.basename(tempFile) });
+        writeFileSynced(tempFile, JSON.stringify(records, null, 2));
+        rotateBackups(file);
+      });
+
+      // Commit point: the journal appears atomically, or not at all
+      writeFileSynced(journalTemp, JSON.stringify({ files }));
+      fs.renameSync(journalTemp, journalFile);
+    } catch (error) {
+      files.forEach(({ tempFile }) => fs.rmSync(path.join(dataDir, tempFile), { force: true }));
+      fs.rmSync(journalTemp, { force: true });
+      throw error;
+    }
+
+    replayJournal();
+  };
+
+  /**
+   * Acquire the exclusive storage lock, waiting for other writers and breaking stale locks
+   */
+  const acquireLock = () => {
+    ensureDataDir();
+    const deadline = Date.now() + lockTimeoutMs;
+
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockFile, 'wx');
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+        fs.closeSync(fd);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > lockStaleMs) {
+          console.warn(`Breaking stale storage lock ${lockFile}`);
+          fs.rmSync(lockFile, { force: true });
+          continue;
+        }
+      } catch (error) {
+        continue; // Lock was released between open and stat
+      }
+
+      if (Date.now() > deadline) {
+        throw new StorageLockError(`Timed out waiting for storage lock ${lockFile}`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  };
+
+  /**
+   * Release the exclusive storage lock
+   */
+  const releaseLock = () => {
+    fs.rmSync(lockFile, { force: true });
+  };
+
+  /**
+   * Load a collection into the working set of the active transaction
+   * @param {string} collection - Collection name
+   * @returns {Object} Working set entry ({ records, dirty })
+   */
+  const workingSet = (collection) => {
+    if (!activeTransaction.has(collection)) {
+      activeTransaction.set(collection, { records: readCollection(collection), dirty: false });
+    }
+    return activeTransaction.get(collection);
+  };
+
+  /**
+   * Run a function inside a transaction. Nested calls join the outer transaction.
+   * Changes are written together when the outermost transaction completes and
+   * discarded if it throws, or if writing them fails before they are committed.
+   * @param {Function} fn - Function to run
+   * @returns {*} Return value of fn
+   */
+  const transaction = (fn) => {
+    if (activeTransaction) {
+      return fn();
+    }
+
+    acquireLock();
+    activeTransaction = new Map();
+    commitCallbacks = [];
+    try {
+      // Finish a commit that an earlier transaction could not complete
+      replayJournal();
+      const result = fn();
+      const changes = [];
+      activeTransaction.forEach((entry, collection) => {
+        if (entry.dirty) {
+          changes.push({ collection, records: entry.records });
+        }
+      });
+      if (changes.length > 0) {
+        commitCollections(changes);
+      }
+      activeTransaction = null;
+      while (commitCallbacks.length > 0) {
+        commitCallbacks.shift()();
+      }
+      return result;
+    } finally {
+      activeTransaction = null;
+      commitCallbacks = [];
+      releaseLock();
+    }
+  };
+
+  /**
+   * Restore a corrupt collection file from the most recent readable backup
+   * @param {string} file - Corrupt collection file
+   * @returns {number|null} Number of the backup restored, or null if none was usable
+   */
+  const restoreFromBackup = (file) => {
+    for (let n = 1; n <= backupCount; n++) {
+      const candidate = backupFile(file, n);
+      if (!fs.existsSync(candidate)) {
+        continue;
+      }
+      try {
+        parseFile(candidate);
+      } catch (error) {
+        continue;
+      }
+
+      fs.renameSync(file, `${file}.corrupt-${Date.now()}`);
+      const tempFile = `${file}.tmp-${process.pid}-restore`;
+      fs.copyFileSync(candidate, tempFile);
+      fs.renameSync(tempFile, file);
+      return n;
+    }
+    return null;
+  };
+
+  return {
+    name: 'json',
+
+    list: (collection) => (activeTransaction
+      ? workingSet(collection).records.slice()
+      : readCollection(collection)),
+
+    get: (collection, id) => {
+      const records = activeTransaction ? workingSet(collection).records : readCollection(collection);
+      return records.find(record => record.id === id) || null;
+    },
+
+    insert: (collection, record) => transaction(() => {
+      const entry = workingSet(collection);
+      if (entry.records.some(existing => existing.id === record.id)) {
+        throw new Error(`Record ${record.id} already exists in ${collection}`);
+      }
+      entry.records.push(record);
+      entry.dirty = true;
+      return record;
+    }),
+
+    update: (collection, id, record) => transaction(() => {
+      const entry = workingSet(collection);
+      const index = entry.records.findIndex(existing => existing.id === id);
+      if (index === -1) {
+        return null;
+      }
+      entry.records[index] = record;
+      entry.dirty = true;
+      return record;
+    }),
+
+    remove: (collection, id) => transaction(() => {
+      const entry = workingSet(collection);
+      const remaining = entry.records.filter(record => record.id !== id);
+      if (remaining.length === entry.records.length) {
+        return false;
+      }
+      entry.records = remaining;
+      entry.dirty = true;
+      return true;
+    }),
+
+    replaceAll: (collection, records) => transaction(() => {
+      activeTransaction.set(collection, { records: records.slice(), dirty: true });
+    }),
+
+    transaction,
+
+    /**
+     * Run a callback once the current transaction has been written, while
+     * the lock is still held (immediately when no transaction is active)
+     * @param {Function} callback - Callback to run
+     */
+    onCommit: (callback) => {
+      if (activeTransaction) {
+        commitCallbacks.push(callback);
+      } else {
+        callback();
+      }
+    },
+
+    /**
+     * Token identifying the current on-disk state of a collection. It changes
+     * whenever the file is replaced, including by other processes.
+     * @param {string} collection - Collection name
+     * @returns {string} Version token
+     */
+    version: (collection) => {
+      try {
+        const stats = fs.statSync(collectionFile(collection));
+        return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+      } catch (error) {
+        return 'missing';
+      }
+    },
+
+    listCollections: () => {
+      ensureDataDir();
+      return fs.readdirSync(dataDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'));
+    },
+
+    /**
+     * Startup check: complete a journalled commit, remove leftover temp files and
+     * restore corrupt collections from their backups. Throws if a corrupt
+     * collection has no usable backup.
+     */
+    recover: () => {
+      ensureDataDir();
+      replayJournal();
+      fs.readdirSync(dataDir)
+        .filter(file => /\.json\.tmp-|^\.storage\.journal\.tmp-/.test(file))
+        .forEach(file => fs.rmSync(path.join(dataDir, file), { force: true }));
+
+      fs.readdirSync(dataDir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+          const fullPath = path.join(dataDir, file);
+          try {
+            parseFile(fullPath);
+          } catch (error) {
+            console.error(`Collection file ${fullPath} is corrupt: ${error.message}`);
+            const restored = restoreFromBackup(fullPath);
+            if (restored === null) {
+              throw new StorageCorruptionError(
+                `Collection file ${fullPath} is corrupt and no readable backup exists; refusing to start`,
+                fullPath
+              );
+            }
+            console.warn(`Restored ${fullPath} from backup ${restored}; corrupt copy kept alongside`);
+          }
+        });
+    },
+
+    close: () => {}
+  };
+};
+
+module.exports = {
+  createJsonStorageAdapter
+};
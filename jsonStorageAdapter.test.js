@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStorageAdapter } = require('./jsonStorageAdapter');
+const { StorageLockError, StorageCorruptionError } = require('./storageErrors');
+
+describe('createJsonStorageAdapter', () => {
+  let dataDir;
+  let adapter;
+
+  const file = (name) => path.join(dataDir, name);
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-storage-'));
+    adapter = createJsonStorageAdapter({ dataDir, backupCount: 2, lockTimeoutMs: 100, lockStaleMs: 1000 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('transactions', () => {
+    it('writes every change once the outermost transaction completes', () => {
+      adapter.transaction(() => {
+        adapter.insert('properties', { id: 'a' });
+        adapter.transaction(() => adapter.insert('properties', { id: 'b' }));
+        expect(fs.existsSync(file('properties.json'))).toBe(false);
+      });
+
+      expect(JSON.parse(fs.readFileSync(file('properties.json'), 'utf8'))).toEqual([{ id: 'a' }, { id: 'b' }]);
+      expect(fs.existsSync(file('.storage.lock'))).toBe(false);
+    });
+
+    it('discards the changes and releases the lock when the transaction throws', () => {
+      adapter.insert('properties', { id: 'a' });
+
+      expect(() => adapter.transaction(() => {
+        adapter.update('properties', 'a', { id: 'a', title: 'Changed' });
+        throw new Error('boom');
+      })).toThrow('boom');
+
+      expect(adapter.get('properties', 'a')).toEqual({ id: 'a' });
+      expect(fs.existsSync(file('.storage.lock'))).toBe(false);
+    });
+
+    it('runs commit callbacks only after the changes are written', () => {
+      const seen = [];
+      adapter.transaction(() => {
+        adapter.insert('properties', { id: 'a' });
+        adapter.onCommit(() => seen.push(adapter.list('properties').length));
+        expect(seen).toEqual([]);
+      });
+      expect(seen).toEqual([1]);
+    });
+
+    it('leaves every collection unchanged when a write fails before the commit', () => {
+      adapter.transaction(() => {
+        adapter.insert('properties', { id: 'a' });
+        adapter.insert('propertyRevisions', { id: 'a@1' });
+      });
+      const writeSync = fs.writeSync;
+      // The properties file is written first; the disk fills up on the revisions file
+      jest.spyOn(fs, 'writeSync').mockImplementation((fd, contents) => {
+        if (String(contents).includes('b@1')) {
+          throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+        }
+        return writeSync(fd, contents);
+      });
+
+      expect(() => adapter.transaction(() => {
+        adapter.insert('properties', { id: 'b' });
+        adapter.insert('propertyRevisions', { id: 'b@1' });
+      })).toThrow('no space left on device');
+
+      expect(adapter.list('properties')).toEqual([{ id: 'a' }]);
+      expect(adapter.list('propertyRevisions')).toEqual([{ id: 'a@1' }]);
+      expect(fs.readdirSync(dataDir).filter(name => name.includes('.tmp-') || name.includes('journal'))).toEqual([]);
+    });
+
+    it('completes a commit interrupted after the journal was written', () => {
+      adapter.insert('properties', { id: 'a' });
+      const renameSync = fs.renameSync;
+      jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+        if (to.endsWith('propertyRevisions.json')) {
+          throw new Error('interrupted');
+        }
+        return renameSync(from, to);
+      });
+
+      expect(() => adapter.transaction(() => {
+        adapter.insert('properties', { id: 'b' });
+        adapter.insert('propertyRevisions', { id: 'b@1' });
+      })).toThrow('interrupted');
+      expect(fs.existsSync(file('.storage.journal'))).toBe(true);
+
+      fs.renameSync.mockRestore();
+      adapter.recover();
+
+      expect(adapter.list('properties')).toEqual([{ id: 'a' }, { id: 'b' }]);
+      expect(adapter.list('propertyRevisions')).toEqual([{ id: 'b@1' }]);
+      expect(fs.readdirSync(dataDir).filter(name => name.includes('.tmp-') || name.includes('journal'))).toEqual([]);
+    });
+
+    it('completes an interrupted commit before the next transaction reads', () => {
+      adapter.insert('properties', { id: 'a' });
+      const tempFile = 'properties.json.tmp-1-abcd';
+      fs.writeFileSync(file(tempFile), JSON.stringify([{ id: 'a' }, { id: 'b' }]));
+      fs.writeFileSync(file('.storage.journal'), JSON.stringify({ files: [{ file: 'properties.json', tempFile }] }));
+
+      adapter.transaction(() => {
+        expect(adapter.list('properties')).toEqual([{ id: 'a' }, { id: 'b' }]);
+      });
+      expect(fs.existsSync(file('.storage.journal'))).toBe(false);
+    });
+
+    it('keeps the previous versions as rotating backups', () => {
+      adapter.insert('properties', { id: 'a' });
+      adapter.insert('properties', { id: 'b' });
+      adapter.insert('properties', { id: 'c' });
+      adapter.insert('properties', { id: 'd' });
+
+      const read = (name) => JSON.parse(fs.readFileSync(file(name), 'utf8')).map(record => record.id);
+      expect(read('properties.json.bak.1')).toEqual(['a', 'b', 'c']);
+      expect(read('properties.json.bak.2')).toEqual(['a', 'b']);
+      expect(fs.existsSync(file('properties.json.bak.3'))).toBe(false);
+    });
+  });
+
+  describe('lock', () => {
+    it('times out while another writer holds the lock', () => {
+      fs.writeFileSync(file('.storage.lock'), '{}');
+
+      expect(() => adapter.insert('properties', { id: 'a' })).toThrow(StorageLockError);
+      expect(fs.existsSync(file('.storage.lock'))).toBe(true);
+      expect(fs.existsSync(file('properties.json'))).toBe(false);
+    });
+
+    it('breaks a stale lock', () => {
+      fs.writeFileSync(file('.storage.lock'), '{}');
+      const abandoned = new Date(Date.now() - 60 * 1000);
+      fs.utimesSync(file('.storage.lock'), abandoned, abandoned);
+
+      adapter.insert('properties', { id: 'a' });
+
+      expect(adapter.list('properties')).toEqual([{ id: 'a' }]);
+      expect(fs.existsSync(file('.storage.lock'))).toBe(false);
+    });
+  });
+
+  describe('recovery', () => {
+    it('refuses to read a corrupt collection as empty', () => {
+      fs.writeFileSync(file('properties.json'), '[{"id":');
+
+      expect(() => adapter.list('properties')).toThrow(StorageCorruptionError);
+    });
+
+    it('restores a corrupt collection from the most recent readable backup', () => {
+      adapter.insert('properties', { id: 'a' });
+      adapter.insert('properties', { id: 'b' });
+      adapter.insert('properties', { id: 'c' });
+      fs.writeFileSync(file('properties.json'), '[{"id":');
+      fs.writeFileSync(file('properties.json.bak.1'), 'not json');
+
+      adapter.recover();
+
+      expect(adapter.list('properties')).toEqual([{ id: 'a' }]);
+      expect(fs.readdirSync(dataDir).some(name => name.startsWith('properties.json.corrupt-'))).toBe(true);
+    });
+
+    it('removes temp files left by an interrupted write', () => {
+      adapter.insert('properties', { id: 'a' });
+      fs.writeFileSync(file('properties.json.tmp-123-abcd'), '[');
+
+      adapter.recover();
+
+      expect(fs.readdirSync(dataDir).filter(name => name.includes('.tmp-'))).toEqual([]);
+      expect(adapter.list('properties')).toEqual([{ id: 'a' }]);
+    });
+
+    it('refuses to start when a corrupt collection has no readable backup', () => {
+      fs.writeFileSync(file('properties.json'), '{}');
+
+      expect(() => adapter.recover()).toThrow(StorageCorruptionError);
+      expect(fs.readFileSync(file('properties.json'), 'utf8')).toBe('{}');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { ApiError } = require('../utils/errorHandler');
+const { MAIL_STATUSES, listMail, retryMail } = require('../utils/mailOutbox');
+
+// Shown unless ?status= asks for others: everything not yet delivered
+const PENDING_STATUSES = ['queued', 'sending', 'failed'];
+
+/**
+ * Shape an outbox message for the admin endpoint: the rendered bodies are left out
+ * and attachments are listed by name
+ * @param {Object} message - Outbox message
+ * @returns {Object} Summary
+ */
+const summarizeMail = ({ text, html, attachments, ...summary }) => ({
+  ...summary,
+  attachments: (attachments || []).map(attachment => attachment.filename)
+});
+
+/**
+ * Get the outgoing email queue: queued and failed (dead-lettered) messages by
+ * default, or ?status= one or more comma-separated statuses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getMailQueue = async (req, res, next) => {
+  try {
+    const statuses = typeof req.query.status === 'string'
+      ? req.query.status.split(',').map(status => status.trim())
+      : PENDING_STATUSES;
+    const unknown = statuses.filter(status => !MAIL_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one or more of: ${MAIL_STATUSES.join(', ')}`,
+        requestId: req.requestId
+      });
+    }
+
+    const messages = listMail({ statuses });
+    const counts = {};
+    statuses.forEach(status => {
+      counts[status] = messages.filter(message => message.status === status).length;
+    });
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      counts,
+      data: messages.map(summarizeMail)
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to retrieve mail queue: ' + err.message, 500));
+  }
+};
+
+/**
+ * Move a failed message back to the queue with a fresh set of attempts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const retryFailedMail = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = retryMail(id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (!result.requeued) {
+      return res.status(409).json({
+        success: false,
+        message: `Only failed messages can be retried; this one is ${result.message.status}`,
+        requestId: req.requestId
+      });
+    }
+
+    console.log(`[${req.requestId}] Mail ${id} requeued by ${req.auth.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Message queued for delivery',
+      data: summarizeMail(result.message)
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to retry message: ' + err.message, 500));
+  }
+};
+
+module.exports = {
+  getMailQueue,
+  retryFailedMail
+};
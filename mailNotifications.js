@@ -0,0 +1,186 @@
+const { searchProperties } = require('./storage');
+const { queueMail } = require('./mailOutbox');
+const { buildViewingCalendar } = require('./viewingCalendar');
+const { getMailSetting } = require('./mailTransport');
+
+// Published listings expire this long after they were (last) published, unless LISTING_EXPIRY_DAYS says otherwise
+const DEFAULT_LISTING_EXPIRY_DAYS = 60;
+
+// The expiry reminder goes out this long before the date, unless LISTING_EXPIRY_NOTICE_DAYS says otherwise
+const DEFAULT_EXPIRY_NOTICE_DAYS = 7;
+
+// How often the server looks for listings nearing expiry
+const EXPIRY_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A number of days from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Days
+ */
+const getDays = (name, fallback) => {
+  const days = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(days) && days >= 0 ? days : fallback;
+};
+
+/**
+ * Who hears about a listing: its contact email, or the agency inbox (RECIPIENT_EMAIL)
+ * @param {Object} property - Property
+ * @returns {string|undefined} Address, or undefined if there is nobody to tell
+ */
+const getListingRecipient = (property) => property.contactEmail || getMailSetting('RECIPIENT_EMAIL');
+
+/**
+ * When a listing was last published
+ * @param {Object} property - Published property
+ * @returns {string} ISO date (the creation date for listings stored before statuses existed)
+ */
+const getPublishedAt = (property) => {
+  const published = (property.statusHistory || []).filter(entry => entry.status === 'published').pop();
+  return published ? published.at : property.createdAt;
+};
+
+/**
+ * When a published listing expires
+ * @param {Object} property - Published property
+ * @returns {string} ISO date
+ */
+const getListingExpiryDate = (property) => new Date(
+  Date.parse(getPublishedAt(property)) + getDays('LISTING_EXPIRY_DAYS', DEFAULT_LISTING_EXPIRY_DAYS) * DAY_MS
+).toISOString();
+
+/**
+ * Queue the "new inquiry" message to the listing's contact. Joins the caller's
+ * transaction, so the inquiry and its notification are stored together.
+ * @param {Object} property - Property the inquiry is about
+ * @param {Object} inquiry - Saved inquiry
+ * @returns {Object|null} Queued message, or null if there is no recipient
+ */
+const notifyNewInquiry = (property, inquiry) => {
+  const to = getListingRecipient(property);
+  if (!to) {
+    return null;
+  }
+  return queueMail('newInquiry', to, { property, inquiry }, {
+    replyTo: inquiry.email,
+    dedupeKey: `newInquiry:${inquiry.id}`,
+    requestId: inquiry.requestId
+  });
+};
+
+/**
+ * Queue the "listing published" message for a listing that has just gone live
+ * @param {Object} property - Published property
+ * @param {Object} [details] - Request details
+ * @param {string} [details.requestId] - ID of the request that published it
+ * @returns {Object|null} Queued message, or null if there is no recipient
+ */
+const notifyListingPublished = (property, { requestId } = {}) => {
+  const to = getListingRecipient(property);
+  if (!to) {
+    return null;
+  }
+  return queueMail('listingPublished', to, { property }, {
+    dedupeKey: `listingPublished:${property.id}:${getPublishedAt(property)}`,
+    requestId
+  });
+};
+
+/**
+ * A viewing as an .ics mail attachment
+ * @param {Object} viewing - Viewing
+ * @param {Object} property - Property viewed
+ * @returns {Object} Attachment for queueMail
+ */
+const viewingAttachment = (viewing, property) => ({
+  filename: 'viewing.ics',
+  content: buildViewingCalendar(viewing, property),
+  contentType: `text/calendar; charset=utf-8; method=${viewing.status === 'cancelled' ? 'CANCEL' : 'PUBLISH'}`
+});
+
+/**
+ * Queue the confirmation of a booked viewing, with the appointment attached, to the person who booked it
+ * @param {Object} property - Property viewed
+ * @param {Object} viewing - Booked viewing
+ * @param {Object} details - Details
+ * @param {string} details.cancelUrl - Link that cancels the viewing
+ * @param {string} [details.requestId] - ID of the request that booked it
+ * @returns {Object} Queued message
+ */
+const notifyViewingConfirmed = (property, viewing, { cancelUrl, requestId }) => queueMail(
+  'viewingConfirmed', viewing.email, { property, viewing, cancelUrl }, {
+    replyTo: getListingRecipient(property),
+    dedupeKey: `viewingConfirmed:${viewing.id}`,
+    requestId,
+    attachments: [viewingAttachment(viewing, property)]
+  }
+);
+
+/**
+ * Queue the notice of a cancelled viewing, with the calendar update attached, to the person who booked it
+ * @param {Object} property - Property viewed
+ * @param {Object} viewing - Cancelled viewing
+ * @param {Object} [details] - Request details
+ * @param {string} [details.requestId] - ID of the request that cancelled it
+ * @returns {Object} Queued message
+ */
+const notifyViewingCancelled = (property, viewing, { requestId } = {}) => queueMail(
+  'viewingCancelled', viewing.email, { property, viewing }, {
+    replyTo: getListingRecipient(property),
+    dedupeKey: `viewingCancelled:${viewing.id}`,
+    requestId,
+    attachments: [viewingAttachment(viewing, property)]
+  }
+);
+
+/**
+ * Queue a "listing expiring" message for every published listing within
+ * LISTING_EXPIRY_NOTICE_DAYS of its expiry date; each publication gets one reminder.
+ * @returns {Array} Reminders for those listings (including ones queued by earlier runs)
+ */
+const notifyExpiringListings = () => {
+  const now = Date.now();
+  const noticeMs = getDays('LISTING_EXPIRY_NOTICE_DAYS', DEFAULT_EXPIRY_NOTICE_DAYS) * DAY_MS;
+  const messages = [];
+
+  searchProperties({ status: 'published' }).forEach(property => {
+    const expiresAt = getListingExpiryDate(property);
+    const to = getListingRecipient(property);
+    if (!to || Date.parse(expiresAt) - noticeMs > now || Date.parse(expiresAt) <= now) {
+      return;
+    }
+    messages.push(queueMail('listingExpiring', to, { property, expiresAt }, {
+      dedupeKey: `listingExpiring:${property.id}:${getPublishedAt(property)}`
+    }));
+  });
+  return messages;
+};
+
+/**
+ * Look for listings nearing expiry now and then periodically while the server runs
+ * @returns {Object} Interval timer (does not keep the process alive)
+ */
+const scheduleExpiryNotices = () => {
+  const run = () => {
+    try {
+      notifyExpiringListings();
+    } catch (error) {
+      console.error('Listing expiry check failed:', error.message);
+    }
+  };
+
+  run();
+  return setInterval(run, EXPIRY_CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getListingExpiryDate,
+  notifyNewInquiry,
+  notifyListingPublished,
+  notifyViewingConfirmed,
+  notifyViewingCancelled,
+  notifyExpiringListings,
+  scheduleExpiryNotices
+};
@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { getStorageAdapter, runInTransaction } = require('./storage');
+const { renderMailTemplate } = require('./mailTemplates');
+const { getMailTransport, sendMail, isPermanentMailError } = require('./mailTransport');
+
+const MAIL_OUTBOX = 'mailOutbox';
+
+// queued: waiting for (another) attempt; sending: claimed by the delivery loop;
+// sent: delivered, kept for a while so deduplicated messages are not sent twice;
+// failed: gave up (the dead-letter list) until an admin retries it
+const MAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// Attempts before a message is dead-lettered, unless MAIL_MAX_ATTEMPTS says otherwise
+const DEFAULT_MAX_ATTEMPTS = 8;
+
+// Retry delays double from the first to the longest: 1, 2, 4 ... minutes, at most 6 hours
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// A message still marked sending after this long is assumed to have been interrupted
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Delivered messages are kept this long, and swept at most hourly
+const SENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// How often the server looks for messages due for delivery
+const MAIL_POLL_INTERVAL_MS = 30 * 1000;
+
+let lastCleanup = 0;
+let deliveryScheduled = false;
+let delivery = null;
+let deliverAgain = false;
+
+/**
+ * Attempts before a message is dead-lettered
+ * @returns {number} Maximum number of attempts
+ */
+const getMaxAttempts = () => {
+  const attempts = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10);
+  return Number.isInteger(attempts) && attempts > 0 ? attempts : DEFAULT_MAX_ATTEMPTS;
+};
+
+/**
+ * Delay before the next attempt, doubling with each failed attempt
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+/**
+ * Render a message and add it to the outbox. Joins the caller's transaction, so
+ * a message queued alongside other changes is only kept if they are. With a
+ * dedupeKey, a message already queued (or sent) under that key is returned instead.
+ * @param {string} template - Template name (see mailTemplates)
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template data
+ * @param {Object} [options] - Options
+ * @param {string} [options.replyTo] - Reply-To address
+ * @param {string} [options.dedupeKey] - Key identifying the event the message is about
+ * @param {string} [options.requestId] - ID of the request that queued it
+ * @param {Array} [options.attachments] - [{ filename, content, contentType }] with text content
+ * @param {Object} [options.headers] - Extra message headers (e.g. List-Unsubscribe)
+ * @returns {Object} Queued message
+ */
+const queueMail = (template, to, data, { replyTo, dedupeKey, requestId, attachments, headers } = {}) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const id = dedupeKey
+    ? `MAIL_${crypto.createHash('sha256').update(dedupeKey).digest('hex').slice(0, 24)}`
+    : `MAIL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  const existing = dedupeKey ? adapter.get(MAIL_OUTBOX, id) : null;
+  if (existing) {
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  const message = {
+    id,
+    template,
+    to,
+    replyTo: replyTo || null,
+    ...renderMailTemplate(template, data),
+    attachments: attachments || [],
+    headers: headers || {},
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    dedupeKey: dedupeKey || null,
+    requestId: requestId || null,
+    createdAt: now,
+    updatedAt: now
+  };
+  adapter.insert(MAIL_OUTBOX, message);
+  adapter.onCommit(() => setImmediate(triggerMailDelivery));
+  return message;
+});
+
+/**
+ * Whether a message should be attempted now
+ * @param {Object} message - Outbox message
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if due
+ */
+const isDue = (message, now) => (message.status === 'queued' && Date.parse(message.nextAttemptAt) <= now)
+  || (message.status === 'sending' && Date.parse(message.updatedAt) + SENDING_TIMEOUT_MS <= now);
+
+/**
+ * Remove delivered messages past their retention, at most once per CLEANUP_INTERVAL_MS (inside a transaction)
+ * @param {Object} adapter - Storage adapter
+ * @param {number} now - Current time in milliseconds
+ */
+const removeOldSentMail = (adapter, now) => {
+  if (now - lastCleanup < CLEANUP_INTERVAL_MS) {
+    return;
+  }
+  lastCleanup = now;
+  adapter.list(MAIL_OUTBOX)
+    .filter(message => message.status === 'sent' && Date.parse(message.sentAt) + SENT_RETENTION_MS <= now)
+    .forEach(message => adapter.remove(MAIL_OUTBOX, message.id));
+};
+
+/**
+ * Claim the oldest message due for delivery
+ * @returns {Object|null} Message, now marked sending, or null if none is due
+ */
+const claimNextMessage = () => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const now = Date.now();
+  removeOldSentMail(adapter, now);
+
+  const message = adapter.list(MAIL_OUTBOX)
+    .filter(candidate => isDue(candidate, now))
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))[0];
+  if (!message) {
+    return null;
+  }
+  return adapter.update(MAIL_OUTBOX, message.id, {
+    ...message,
+    status: 'sending',
+    attempts: message.attempts + 1,
+    updatedAt: new Date(now).toISOString()
+  });
+});
+
+/**
+ * Record the outcome of an attempt
+ * @param {Object} message - Claimed message
+ * @param {Error|null} err - Send error, or null if it was delivered
+ * @returns {string} New status: sent, queued (to retry) or failed
+ */
+const recordAttempt = (message, err) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const now = Date.now();
+  const iso = new Date(now).toISOString();
+
+  if (!err) {
+    adapter.update(MAIL_OUTBOX, message.id, { ...message, status: 'sent', sentAt: iso, lastError: null, updatedAt: iso });
+    return 'sent';
+  }
+
+  const giveUp = isPermanentMailError(err) || message.attempts >= getMaxAttempts();
+  adapter.update(MAIL_OUTBOX, message.id, {
+    ...message,
+    status: giveUp ? 'failed' : 'queued',
+    lastError: err.message,
+    nextAttemptAt: giveUp ? message.nextAttemptAt : new Date(now + getRetryDelay(message.attempts)).toISOString(),
+    failedAt: giveUp ? iso : undefined,
+    updatedAt: iso
+  });
+  return giveUp ? 'failed' : 'queued';
+});
+
+/**
+ * Send every message that is due, one at a time. Does nothing while mail is not
+ * configured, so messages wait in the outbox rather than using up their attempts.
+ * @returns {Promise<Object>} Counts: { sent, retrying, failed }
+ */
+const deliverDueMail = async () => {
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+  if (!getMailTransport()) {
+    return counts;
+  }
+
+  let message;
+  while ((message = claimNextMessage())) {
+    let error = null;
+    try {
+      await sendMail({
+        to: message.to,
+        replyTo: message.replyTo || undefined,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments: message.attachments,
+        headers: message.headers
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    const status = recordAttempt(message, error);
+    if (status === 'sent') {
+      counts.sent++;
+    } else if (status === 'queued') {
+      counts.retrying++;
+      console.warn(`📧 ${message.id} (${message.template}) attempt ${message.attempts} failed, will retry: ${error.message}`);
+    } else {
+      counts.failed++;
+      console.error(`📧 ${message.id} (${message.template}) moved to failed after ${message.attempts} attempt(s): ${error.message}`);
+    }
+  }
+  return counts;
+};
+
+/**
+ * Start a delivery run, or queue one after the current run when one is in progress.
+ * Only has an effect once scheduleMailDelivery has been called.
+ */
+const triggerMailDelivery = () => {
+  if (!deliveryScheduled) {
+    return;
+  }
+  if (delivery) {
+    deliverAgain = true;
+    return;
+  }
+  delivery = deliverDueMail()
+    .catch(err => console.error('❌ Mail delivery failed:', err.message))
+    .finally(() => {
+      delivery = null;
+      if (deliverAgain) {
+        deliverAgain = false;
+        triggerMailDelivery();
+      }
+    });
+};
+
+/**
+ * Deliver queued mail now and every MAIL_POLL_INTERVAL_MS (and as soon as a
+ * message is queued) for as long as the process runs
+ * @returns {Object} Interval timer (unref'd, so it does not keep the process alive)
+ */
+const scheduleMailDelivery = () => {
+  deliveryScheduled = true;
+  if (!getMailTransport()) {
+    console.warn('⚠️ Mail is not configured; messages will wait in the outbox');
+  }
+  triggerMailDelivery();
+  const timer = setInterval(triggerMailDelivery, MAIL_POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Messages in the outbox, oldest first
+ * @param {Object} [filters] - Filters
+ * @param {Array} [filters.statuses] - Only messages with these statuses
+ * @returns {Array} Messages
+ */
+const listMail = ({ statuses } = {}) => getStorageAdapter()
+  .list(MAIL_OUTBOX)
+  .filter(message => !statuses || statuses.includes(message.status))
+  .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+/**
+ * Put a failed message back in the queue with a fresh set of attempts
+ * @param {string} id - Message ID
+ * @returns {Object|null} { message, requeued } (requeued is false if it had not failed), or null if not found
+ */
+const retryMail = (id) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const message = adapter.get(MAIL_OUTBOX, id);
+  if (!message) {
+    return null;
+  }
+  if (message.status !== 'failed') {
+    return { message, requeued: false };
+  }
+
+  const now = new Date().toISOString();
+  const requeued = adapter.update(MAIL_OUTBOX, id, {
+    ...message,
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: now,
+    failedAt: undefined,
+    updatedAt: now
+  });
+  adapter.onCommit(() => setImmediate(triggerMailDelivery));
+  return { message: requeued, requeued: true };
+});
+
+module.exports = {
+  MAIL_STATUSES,
+  queueMail,
+  deliverDueMail,
+  scheduleMailDelivery,
+  listMail,
+  retryMail
+};
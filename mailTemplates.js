@@ -0,0 +1,243 @@
+/**
+ * Escape a value for inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Format an ISO date for people, e.g. "19 October 2026"
+ * @param {string} iso - ISO date
+ * @returns {string} Date in words
+ */
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-GB', {
+  day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+});
+
+// Appointment times are shown in the listings' local time, unless MAIL_TIME_ZONE says otherwise
+const DEFAULT_TIME_ZONE = 'Europe/London';
+
+/**
+ * Format an appointment's time range for people, e.g. "Monday, 19 October 2026, 14:00–14:30"
+ * @param {string} start - ISO start
+ * @param {string} end - ISO end
+ * @returns {string} Time range in words
+ */
+const formatTimeRange = (start, end) => {
+  const timeZone = process.env.MAIL_TIME_ZONE || DEFAULT_TIME_ZONE;
+  const day = new Date(start).toLocaleDateString('en-GB', {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone
+  });
+  const time = (iso) => new Date(iso).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone });
+  return `${day}, ${time(start)}–${time(end)}`;
+};
+
+/**
+ * One-line description of a listing, e.g. "Bright flat (Bath centre, PROP_...)"
+ * @param {Object} property - Property
+ * @returns {string} Plain text
+ */
+const describeListing = (property) => `${property.title} (${property.location}, ${property.id})`;
+
+/**
+ * Wrap an HTML body in the shared message layout
+ * @param {string} heading - Heading (already escaped)
+ * @param {string} body - HTML body
+ * @returns {string} HTML document
+ */
+const layout = (heading, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    <h2 style="color: #1a4d7a;">${heading}</h2>
+    ${body}
+    <p style="color: #888; font-size: 12px;">This message was sent automatically by the property listings service.</p>
+  </body>
+</html>`;
+
+/**
+ * Rows of a details table, skipping empty values
+ * @param {Array} rows - [label, value] pairs
+ * @returns {string} HTML table
+ */
+const detailsTable = (rows) => `<table cellpadding="4">
+${rows
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]) => `      <tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n')}
+    </table>`;
+
+// Each template renders its data into { subject, text, html }
+const TEMPLATES = {
+  /**
+   * Someone used the contact form about a listing
+   * @param {Object} data - { property, inquiry }
+   */
+  newInquiry: ({ property, inquiry }) => {
+    const rows = [
+      ['Name', inquiry.fullName],
+      ['Email', inquiry.email],
+      ['Phone', inquiry.phoneNumber],
+      ['Wants a viewing', inquiry.viewProperty ? 'Yes' : 'No'],
+      ['Message', inquiry.message]
+    ];
+    return {
+      subject: `New inquiry about ${property.title}`,
+      text: [
+        `You have a new inquiry about ${describeListing(property)}.`,
+        '',
+        ...rows.filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`),
+        '',
+        `Inquiry reference: ${inquiry.id}`
+      ].join('\n'),
+      html: layout('New inquiry', `
+    <p>You have a new inquiry about <strong>${escapeHtml(describeListing(property))}</strong>.</p>
+    ${detailsTable(rows)}
+    <p>Inquiry reference: ${escapeHtml(inquiry.id)}</p>`)
+    };
+  },
+
+  /**
+   * A listing went live
+   * @param {Object} data - { property }
+   */
+  listingPublished: ({ property }) => ({
+    subject: `Your listing is live: ${property.title}`,
+    text: [
+      `Your listing ${describeListing(property)} has been published and is now visible to everyone.`,
+      '',
+      `Price: ${property.price} ${property.rentFrequency || ''}`.trim()
+    ].join('\n'),
+    html: layout('Your listing is live', `
+    <p>Your listing <strong>${escapeHtml(describeListing(property))}</strong> has been published and is now visible to everyone.</p>
+    ${detailsTable([['Price', `${property.price} ${property.rentFrequency || ''}`.trim()]])}`)
+  }),
+
+  /**
+   * A published listing is close to its expiry date
+   * @param {Object} data - { property, expiresAt }
+   */
+  listingExpiring: ({ property, expiresAt }) => ({
+    subject: `Your listing expires on ${formatDate(expiresAt)}: ${property.title}`,
+    text: [
+      `Your listing ${describeListing(property)} expires on ${formatDate(expiresAt)}.`,
+      '',
+      'If the property is still available, update or republish the listing to keep it live.',
+      'If it has been let, mark it as let agreed or archive it.'
+    ].join('\n'),
+    html: layout('Your listing expires soon', `
+    <p>Your listing <strong>${escapeHtml(describeListing(property))}</strong> expires on <strong>${escapeHtml(formatDate(expiresAt))}</strong>.</p>
+    <p>If the property is still available, update or republish the listing to keep it live.
+    If it has been let, mark it as let agreed or archive it.</p>`)
+  }),
+
+  /**
+   * Someone booked a viewing (sent to them, with the appointment attached)
+   * @param {Object} data - { property, viewing, cancelUrl }
+   */
+  viewingConfirmed: ({ property, viewing, cancelUrl }) => {
+    const when = formatTimeRange(viewing.startsAt, viewing.endsAt);
+    const address = [property.address, property.location].filter(Boolean).join(', ');
+    return {
+      subject: `Viewing confirmed: ${property.title}, ${when}`,
+      text: [
+        `Hello ${viewing.fullName},`,
+        '',
+        `Your viewing of ${describeListing(property)} is booked for ${when}.`,
+        `Address: ${address}`,
+        '',
+        'The appointment is attached; add it to your calendar.',
+        `If you can no longer make it, open this link to cancel the viewing: ${cancelUrl}`,
+        '',
+        `Booking reference: ${viewing.id}`
+      ].join('\n'),
+      html: layout('Viewing confirmed', `
+    <p>Hello ${escapeHtml(viewing.fullName)},</p>
+    <p>Your viewing of <strong>${escapeHtml(describeListing(property))}</strong> is booked.</p>
+    ${detailsTable([['When', when], ['Address', address], ['Booking reference', viewing.id]])}
+    <p>The appointment is attached; add it to your calendar.</p>
+    <p>If you can no longer make it, <a href="${escapeHtml(cancelUrl)}">open this link to cancel the viewing</a>.</p>`)
+    };
+  },
+
+  /**
+   * A booked viewing was cancelled (sent to the person who booked it, with the cancellation attached)
+   * @param {Object} data - { property, viewing }
+   */
+  viewingCancelled: ({ property, viewing }) => {
+    const when = formatTimeRange(viewing.startsAt, viewing.endsAt);
+    return {
+      subject: `Viewing cancelled: ${property.title}, ${when}`,
+      text: [
+        `Hello ${viewing.fullName},`,
+        '',
+        `Your viewing of ${describeListing(property)} on ${when} has been cancelled.`,
+        'The attached update removes it from your calendar.',
+        '',
+        `Booking reference: ${viewing.id}`
+      ].join('\n'),
+      html: layout('Viewing cancelled', `
+    <p>Hello ${escapeHtml(viewing.fullName)},</p>
+    <p>Your viewing of <strong>${escapeHtml(describeListing(property))}</strong> on ${escapeHtml(when)} has been cancelled.</p>
+    <p>The attached update removes it from your calendar.</p>
+    <p>Booking reference: ${escapeHtml(viewing.id)}</p>`)
+    };
+  },
+
+  /**
+   * Listings newly matching a saved search: one right away, or the day's digest
+   * @param {Object} data - { search, properties (each with a url), unsubscribeUrl }
+   */
+  savedSearchAlert: ({ search, properties, unsubscribeUrl }) => {
+    const label = search.name || 'your saved search';
+    const summary = (property) => `${property.title}, ${property.location}: ${property.price} ${property.rentFrequency || ''}`.trim()
+      + (property.beds !== undefined ? `, ${property.beds} bed` : '');
+    return {
+      subject: properties.length === 1
+        ? `New listing for ${label}: ${properties[0].title}`
+        : `${properties.length} new listings for ${label}`,
+      text: [
+        properties.length === 1
+          ? `A new listing matches ${label}:`
+          : `${properties.length} new listings match ${label}:`,
+        '',
+        ...properties.map(property => `- ${summary(property)}\n  ${property.url}`),
+        '',
+        `Stop these alerts: ${unsubscribeUrl}`
+      ].join('\n'),
+      html: layout('New listings for you', `
+    <p>${properties.length === 1 ? 'A new listing matches' : `${properties.length} new listings match`} ${escapeHtml(label)}:</p>
+    <ul>
+${properties.map(property => `      <li><a href="${escapeHtml(property.url)}">${escapeHtml(summary(property))}</a></li>`).join('\n')}
+    </ul>
+    <p style="font-size: 12px;"><a href="${escapeHtml(unsubscribeUrl)}">Stop these alerts</a></p>`)
+    };
+  }
+};
+
+const MAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+/**
+ * Render a message from a template
+ * @param {string} name - Template name (see MAIL_TEMPLATES)
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, text, html }
+ */
+const renderMailTemplate = (name, data) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  MAIL_TEMPLATES,
+  escapeHtml,
+  formatTimeRange,
+  renderMailTemplate
+};
@@ -0,0 +1,93 @@
+const nodemailer = require('nodemailer');
+
+let transport;
+
+/**
+ * A mail setting from the environment. Empty values and the string "undefined"
+ * (what assigning an unset variable to process.env stores) count as unset.
+ * @param {string} name - Variable name
+ * @returns {string|undefined} Value, or undefined if unset
+ */
+const getMailSetting = (name) => {
+  const value = process.env[name];
+  return value === undefined || value === '' || value === 'undefined' ? undefined : value;
+};
+
+/**
+ * Whether an environment flag is set to true
+ * @param {string} name - Variable name
+ * @returns {boolean} True for "true" or "1"
+ */
+const isEnabled = (name) => ['true', '1'].includes(String(process.env[name]).toLowerCase());
+
+/**
+ * SMTP settings from the environment. SMTP_HOST/SMTP_PORT point at any server
+ * (e.g. a local test server such as MailHog on localhost:1025 with
+ * SMTP_IGNORE_TLS=true); without SMTP_HOST, EMAIL_USER/EMAIL_APP_PASSWORD are
+ * used with Gmail, as before.
+ * @returns {Object|null} nodemailer transport options, or null if mail is not configured
+ */
+const getTransportOptions = () => {
+  const user = getMailSetting('SMTP_USER') || getMailSetting('EMAIL_USER');
+  const pass = getMailSetting('SMTP_PASS') || getMailSetting('EMAIL_APP_PASSWORD');
+  const auth = user && pass ? { user, pass } : undefined;
+
+  if (getMailSetting('SMTP_HOST')) {
+    const secure = isEnabled('SMTP_SECURE');
+    return {
+      host: getMailSetting('SMTP_HOST'),
+      port: parseInt(process.env.SMTP_PORT || (secure ? '465' : '587'), 10),
+      secure,
+      ignoreTLS: isEnabled('SMTP_IGNORE_TLS'),
+      auth
+    };
+  }
+
+  return auth ? { service: 'gmail', auth } : null;
+};
+
+/**
+ * Sender address for outgoing mail
+ * @returns {string|undefined} MAIL_FROM, or the SMTP/Gmail user
+ */
+const getMailFrom = () => getMailSetting('MAIL_FROM') || getMailSetting('SMTP_USER') || getMailSetting('EMAIL_USER');
+
+/**
+ * The shared SMTP transport, created on first use
+ * @returns {Object|null} nodemailer transport, or null if mail is not configured
+ */
+const getMailTransport = () => {
+  if (transport === undefined) {
+    const options = getTransportOptions();
+    transport = options ? nodemailer.createTransport(options) : null;
+  }
+  return transport;
+};
+
+/**
+ * Send one message
+ * @param {Object} message - { to, replyTo, subject, text, html }
+ * @returns {Promise<Object>} nodemailer send info
+ */
+const sendMail = async (message) => {
+  const mailTransport = getMailTransport();
+  if (!mailTransport) {
+    throw new Error('Mail is not configured (set SMTP_HOST or EMAIL_USER and EMAIL_APP_PASSWORD)');
+  }
+  return mailTransport.sendMail({ from: getMailFrom(), ...message });
+};
+
+/**
+ * Whether an SMTP error will not go away on retry (a 5xx reply, e.g. an unknown mailbox)
+ * @param {Error} err - Error from sendMail
+ * @returns {boolean} True if the message should not be retried
+ */
+const isPermanentMailError = (err) => Number.isInteger(err.responseCode)
+  && err.responseCode >= 500 && err.responseCode < 600;
+
+module.exports = {
+  getMailSetting,
+  getMailTransport,
+  sendMail,
+  isPermanentMailError
+};
@@ -0,0 +1,106 @@
+/**
+ * One-shot migration of stored collections between storage adapters.
+ *
+ * Usage:
+ *   node migrateStorage.js [--from json] [--to sqlite] [--data-dir <dir>] [--sqlite-file <file>]
+ *
+ * Every collection of the source backend (properties.json and friends for the
+ * JSON adapter) is copied into the target backend, then re-read from the target
+ * and verified: record counts and IDs must match exactly. Exits with a non-zero
+ * status if any collection fails verification.
+ */
+require('dotenv').config();
+
+const { createStorageAdapter } = require('./src/utils/storage');
+
+/**
+ * Parse --key value pairs from the command line
+ * @param {Array} argv - Command line arguments
+ * @returns {Object} Parsed options
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+};
+
+/**
+ * Compare the IDs of two record lists
+ * @param {Array} sourceRecords - Records read from the source backend
+ * @param {Array} targetRecords - Records read from the target backend
+ * @returns {Object} Verification result
+ */
+const verifyRecords = (sourceRecords, targetRecords) => {
+  const sourceIds = new Set(sourceRecords.map(record => record.id));
+  const targetIds = new Set(targetRecords.map(record => record.id));
+
+  return {
+    countsMatch: sourceRecords.length === targetRecords.length,
+    missing: [...sourceIds].filter(id => !targetIds.has(id)),
+    unexpected: [...targetIds].filter(id => !sourceIds.has(id))
+  };
+};
+
+const migrate = () => {
+  const options = parseArgs(process.argv.slice(2));
+  const from = options.from || 'json';
+  const to = options.to || 'sqlite';
+
+  if (from === to) {
+    throw new Error('Source and target storage adapters must differ');
+  }
+
+  const adapterOptions = {
+    dataDir: options['data-dir'],
+    filename: options['sqlite-file']
+  };
+  const source = createStorageAdapter(from, adapterOptions);
+  const target = createStorageAdapter(to, adapterOptions);
+  let failed = false;
+
+  try {
+    const collections = source.listCollections();
+    if (collections.length === 0) {
+      console.log(`No collections found in ${from} storage, nothing to migrate`);
+    }
+
+    collections.forEach(collection => {
+      const records = source.list(collection);
+      const recordsWithoutId = records.filter(record => !record.id);
+      if (recordsWithoutId.length > 0) {
+        throw new Error(`${collection}: ${recordsWithoutId.length} record(s) have no id`);
+      }
+
+      target.replaceAll(collection, records);
+
+      const result = verifyRecords(records, target.list(collection));
+      if (result.countsMatch && result.missing.length === 0 && result.unexpected.length === 0) {
+        console.log(`✅ ${collection}: migrated ${records.length} record(s) from ${from} to ${to}`);
+      } else {
+        failed = true;
+        console.error(`❌ ${collection}: verification failed`, {
+          sourceCount: records.length,
+          missing: result.missing,
+          unexpected: result.unexpected
+        });
+      }
+    });
+  } finally {
+    source.close();
+    target.close();
+  }
+
+  return !failed;
+};
+
+try {
+  process.exit(migrate() ? 0 : 1);
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,62 @@
+const { getPropertyStatus } = require('./propertyStatus');
+
+// Roles a caller can have, from most to least privileged
+const ROLES = ['admin', 'agent', 'landlord', 'viewer'];
+
+/**
+ * What each role may do with listings. A rule is either true (any listing) or
+ * 'own' (only listings whose ownerId is the caller). Roles not listed may only read.
+ * viewUnpublished covers drafts, listings in review, let and archived listings;
+ * viewTrash every deleted listing (owners always see their own). manageInquiries
+ * covers reading and answering the inquiries sent about a listing, manageViewings
+ * its viewing slots and bookings; manageMail the
+ * outgoing email queue, which is not about any one listing.
+ */
+const PERMISSIONS = {
+  admin: { create: true, update: true, delete: true, restore: true, transfer: true, publish: true, viewUnpublished: true, viewTrash: true, viewHistory: true, manageInquiries: true, manageViewings: true, manageMail: true },
+  agent: { create: true, update: true, delete: 'own', restore: 'own', publish: true, viewUnpublished: true, viewTrash: true, viewHistory: true, manageInquiries: 'own', manageViewings: 'own' },
+  landlord: { create: true, update: 'own', delete: 'own', restore: 'own', viewHistory: 'own', manageInquiries: 'own', manageViewings: 'own' }
+};
+
+/**
+ * Whether a caller owns a listing
+ * @param {Object|null} principal - Authenticated caller (req.auth)
+ * @param {Object} property - Property
+ * @returns {boolean} True if the listing's ownerId is the caller's ID
+ */
+const isOwner = (principal, property) => Boolean(principal && property
+  && property.ownerId !== undefined && property.ownerId === principal.id);
+
+/**
+ * Whether a caller may perform an action on listings
+ * @param {Object|null} principal - Authenticated caller (req.auth)
+ * @param {string} action - create, update, delete, restore, transfer, publish, viewUnpublished, viewTrash, viewHistory, manageInquiries, manageViewings or manageMail
+ * @param {Object} [property] - Listing acted on (not needed for create)
+ * @returns {boolean} True if allowed
+ */
+const can = (principal, action, property) => {
+  const rules = principal && PERMISSIONS[principal.role];
+  const rule = rules && rules[action];
+  if (rule === 'own') {
+    return isOwner(principal, property);
+  }
+  return rule === true;
+};
+
+/**
+ * Whether a caller may see a listing: published listings are public, others
+ * only to staff and their owner
+ * @param {Object|null} principal - Authenticated caller (req.auth), null if anonymous
+ * @param {Object} property - Property
+ * @returns {boolean} True if visible
+ */
+const canView = (principal, property) => getPropertyStatus(property) === 'published'
+  || isOwner(principal, property)
+  || can(principal, 'viewUnpublished', property);
+
+module.exports = {
+  ROLES,
+  isOwner,
+  can,
+  canView
+};
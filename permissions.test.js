@@ -0,0 +1,86 @@
+const { ROLES, isOwner, can, canView } = require('./permissions');
+
+const owner = { type: 'user', id: 'owner1', role: 'landlord' };
+const listing = (fields = {}) => ({ id: 'PROP_1', ownerId: 'owner1', status: 'published', ...fields });
+const as = (role, id = `${role}1`) => ({ type: 'user', id, role });
+
+describe('isOwner', () => {
+  it('matches the caller against the listing owner', () => {
+    expect(isOwner(owner, listing())).toBe(true);
+    expect(isOwner(as('landlord', 'other'), listing())).toBe(false);
+  });
+
+  it('never matches anonymous callers or listings without an owner', () => {
+    expect(isOwner(null, listing())).toBe(false);
+    expect(isOwner({ id: undefined, role: 'landlord' }, listing({ ownerId: undefined }))).toBe(false);
+  });
+});
+
+describe('can', () => {
+  // Expected outcome per role for a listing the caller does not own
+  const othersListing = {
+    create: { admin: true, agent: true, landlord: true, viewer: false },
+    update: { admin: true, agent: true, landlord: false, viewer: false },
+    delete: { admin: true, agent: false, landlord: false, viewer: false },
+    restore: { admin: true, agent: false, landlord: false, viewer: false },
+    transfer: { admin: true, agent: false, landlord: false, viewer: false },
+    publish: { admin: true, agent: true, landlord: false, viewer: false },
+    viewUnpublished: { admin: true, agent: true, landlord: false, viewer: false },
+    viewTrash: { admin: true, agent: true, landlord: false, viewer: false },
+    viewHistory: { admin: true, agent: true, landlord: false, viewer: false },
+    manageInquiries: { admin: true, agent: false, landlord: false, viewer: false },
+    manageViewings: { admin: true, agent: false, landlord: false, viewer: false },
+    manageMail: { admin: true, agent: false, landlord: false, viewer: false }
+  };
+
+  // Actions a role may perform on its own listings although not on others'
+  const ownListingOnly = {
+    agent: ['delete', 'restore', 'manageInquiries', 'manageViewings'],
+    landlord: ['update', 'delete', 'restore', 'viewHistory', 'manageInquiries', 'manageViewings']
+  };
+
+  describe.each(ROLES)('%s', (role) => {
+    it.each(Object.keys(othersListing))('%s on a listing owned by someone else', (action) => {
+      expect(can(as(role), action, listing({ ownerId: 'someone-else' }))).toBe(othersListing[action][role]);
+    });
+
+    it.each(Object.keys(othersListing))('%s on its own listing', (action) => {
+      const expected = othersListing[action][role] || (ownListingOnly[role] || []).includes(action);
+
+      expect(can(as(role), action, listing({ ownerId: `${role}1` }))).toBe(expected);
+    });
+  });
+
+  it('applies own rules only with a listing to check', () => {
+    expect(can(owner, 'update')).toBe(false);
+  });
+
+  it('denies anonymous callers and unknown roles', () => {
+    expect(can(null, 'create')).toBe(false);
+    expect(can(as('superuser'), 'update', listing())).toBe(false);
+  });
+
+  it('does not grant actions that are not listed', () => {
+    expect(can(as('admin'), 'launchRockets', listing())).toBe(false);
+    expect(can(as('admin'), 'toString', listing())).toBe(false);
+  });
+});
+
+describe('canView', () => {
+  it('shows published listings to everyone, including legacy listings without a status', () => {
+    expect(canView(null, listing())).toBe(true);
+    expect(canView(null, listing({ status: undefined }))).toBe(true);
+    expect(canView(as('viewer'), listing())).toBe(true);
+  });
+
+  it.each(['draft', 'pending_review', 'let_agreed', 'archived'])('shows %s listings only to staff and the owner', (status) => {
+    const property = listing({ status });
+
+    expect(canView(null, property)).toBe(false);
+    expect(canView(as('viewer'), property)).toBe(false);
+    expect(canView(as('landlord', 'other'), property)).toBe(false);
+    expect(canView(owner, property)).toBe(true);
+    expect(canView(as('agent'), property)).toBe(true);
+    expect(canView(as('admin'), property)).toBe(true);
+  });
+});
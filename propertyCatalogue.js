@@ -0,0 +1,314 @@
+/**
+ * Find the first position in a sorted entry list whose value is >= (or > when
+ * `exclusive` is set) the given value
+ * @param {Array} entries - Entries sorted by value
+ * @param {number} value - Value to search for
+ * @param {boolean} exclusive - Skip entries equal to value
+ * @returns {number} Insertion position
+ */
+const lowerBound = (entries, value, exclusive = false) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (entries[mid].value < value || (exclusive && entries[mid].value === value)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+/**
+ * Create an index over a text field that answers case-insensitive substring
+ * queries by scanning the distinct values rather than every record
+ * @param {string} field - Record field to index
+ * @returns {Object} Index
+ */
+const createSubstringIndex = (field) => {
+  const idsByValue = new Map();
+
+  return {
+    add: (record) => {
+      if (typeof record[field] !== 'string') {
+        return;
+      }
+      const key = record[field].toLowerCase();
+      if (!idsByValue.has(key)) {
+        idsByValue.set(key, new Set());
+      }
+      idsByValue.get(key).add(record.id);
+    },
+
+    remove: (record) => {
+      if (typeof record[field] !== 'string') {
+        return;
+      }
+      const key = record[field].toLowerCase();
+      const ids = idsByValue.get(key);
+      if (ids) {
+        ids.delete(record.id);
+        if (ids.size === 0) {
+          idsByValue.delete(key);
+        }
+      }
+    },
+
+    clear: () => idsByValue.clear(),
+
+    /**
+     * IDs of records whose field contains the given text (case-insensitive)
+     * @param {string} text - Text to look for
+     * @returns {Set} Matching record IDs
+     */
+    containing: (text) => {
+      const needle = text.toLowerCase();
+      const matches = new Set();
+      idsByValue.forEach((ids, key) => {
+        if (key.includes(needle)) {
+          ids.forEach(id => matches.add(id));
+        }
+      });
+      return matches;
+    }
+  };
+};
+
+/**
+ * Create an index over a field that answers exact-match queries
+ * (case-sensitive, e.g. IDs); records without a string value are not indexed
+ * @param {string} field - Record field to index
+ * @param {Function} [valueOf] - Derives the indexed value from a record (defaults to the field)
+ * @returns {Object} Index
+ */
+const createValueIndex = (field, valueOf = (record) => record[field]) => {
+  const idsByValue = new Map();
+
+  return {
+    add: (record) => {
+      const value = valueOf(record);
+      if (typeof value !== 'string') {
+        return;
+      }
+      if (!idsByValue.has(value)) {
+        idsByValue.set(value, new Set());
+      }
+      idsByValue.get(value).add(record.id);
+    },
+
+    remove: (record) => {
+      const value = valueOf(record);
+      const ids = typeof value === 'string' && idsByValue.get(value);
+      if (ids) {
+        ids.delete(record.id);
+        if (ids.size === 0) {
+          idsByValue.delete(value);
+        }
+      }
+    },
+
+    clear: () => idsByValue.clear(),
+
+    /**
+     * IDs of records whose field equals the given value
+     * @param {string} value - Value to look for
+     * @returns {Set} Matching record IDs
+     */
+    equal: (value) => new Set(idsByValue.get(value) || [])
+  };
+};
+
+/**
+ * Create a sorted index over a numeric field for range queries.
+ * Values are coerced with Number() so range results match plain
+ * `record[field] >= value` comparisons; non-numeric values are not indexed.
+ * @param {string} field - Record field to index
+ * @returns {Object} Index
+ */
+const createRangeIndex = (field) => {
+  let entries = [];
+
+  const keyOf = (record) => Number(record[field]);
+
+  return {
+    add: (record) => {
+      const value = keyOf(record);
+      if (Number.isNaN(value)) {
+        return;
+      }
+      entries.splice(lowerBound(entries, value, true), 0, { value, id: record.id });
+    },
+
+    remove: (record) => {
+      const value = keyOf(record);
+      if (Number.isNaN(value)) {
+        return;
+      }
+      for (let i = lowerBound(entries, value); i < entries.length && entries[i].value === value; i++) {
+        if (entries[i].id === record.id) {
+          entries.splice(i, 1);
+          return;
+        }
+      }
+    },
+
+    clear: () => {
+      entries = [];
+    },
+
+    /**
+     * IDs of records whose field lies within the given bounds (inclusive)
+     * @param {number} [min] - Lower bound
+     * @param {number} [max] - Upper bound
+     * @returns {Set} Matching record IDs
+     */
+    between: (min, max) => {
+      const start = min === undefined ? 0 : lowerBound(entries, min);
+      const end = max === undefined ? entries.length : lowerBound(entries, max, true);
+      return new Set(entries.slice(start, end).map(entry => entry.id));
+    }
+  };
+};
+
+/**
+ * Create an in-memory catalogue of a stored collection with secondary indexes.
+ *
+ * The catalogue is loaded lazily and reloaded whenever the storage version of
+ * the collection changes (e.g. another process wrote the file). Mutations made
+ * through the storage layer update it incrementally via upsert/remove.
+ * Records handed out are shared with the cache and must be treated as read-only.
+ * @param {Object} options - Catalogue options
+ * @param {Function} options.load - Returns every record of the collection
+ * @param {Function} options.version - Returns the current storage version token
+ * @param {Object} options.indexes - Named secondary indexes (add/remove/clear)
+ * @returns {Object} Catalogue
+ */
+const createCatalogue = ({ load, version, indexes = {} }) => {
+  // Map keeps insertion order, and updating an existing key keeps its position
+  const records = new Map();
+  const positions = new Map();
+  let nextPosition = 0;
+  let loadedVersion = null;
+  let loaded = false;
+
+  const indexList = () => Object.values(indexes);
+
+  /**
+   * Add a record to the maps and every index
+   * @param {Object} record - Record to add
+   */
+  const addRecord = (record) => {
+    if (!positions.has(record.id)) {
+      positions.set(record.id, nextPosition++);
+    }
+    records.set(record.id, record);
+    indexList().forEach(index => index.add(record));
+  };
+
+  /**
+   * Drop every cached record and reload the collection from storage
+   */
+  const reload = () => {
+    records.clear();
+    positions.clear();
+    nextPosition = 0;
+    indexList().forEach(index => index.clear());
+
+    // Read the version first: a write that races the load then forces another reload
+    loadedVersion = version();
+    load().forEach(addRecord);
+    loaded = true;
+  };
+
+  /**
+   * Reload the catalogue if it was never loaded or storage changed underneath it
+   */
+  const refresh = () => {
+    if (!loaded || version() !== loadedVersion) {
+      reload();
+    }
+  };
+
+  return {
+    refresh,
+
+    /**
+     * Forget cached records; the next read reloads from storage
+     */
+    invalidate: () => {
+      loaded = false;
+    },
+
+    /**
+     * Add or replace a record after it was written to storage
+     * @param {Object} record - Stored record
+     */
+    upsert: (record) => {
+      if (!loaded) {
+        return;
+      }
+      const previous = records.get(record.id);
+      if (previous) {
+        indexList().forEach(index => index.remove(previous));
+      }
+      addRecord(record);
+      loadedVersion = version();
+    },
+
+    /**
+     * Remove a record after it was deleted from storage
+     * @param {string} id - Record ID
+     */
+    remove: (id) => {
+      if (!loaded) {
+        return;
+      }
+      const previous = records.get(id);
+      if (previous) {
+        indexList().forEach(index => index.remove(previous));
+        records.delete(id);
+        positions.delete(id);
+      }
+      loadedVersion = version();
+    },
+
+    /**
+     * Get a record by ID
+     * @param {string} id - Record ID
+     * @returns {Object|null} Record or null if not found
+     */
+    get: (id) => {
+      refresh();
+      return records.get(id) || null;
+    },
+
+    /**
+     * Get every record in storage order
+     * @returns {Array} Records
+     */
+    all: () => {
+      refresh();
+      return [...records.values()];
+    },
+
+    /**
+     * Get the records with the given IDs in storage order
+     * @param {Set} ids - Record IDs
+     * @returns {Array} Records
+     */
+    pick: (ids) => [...ids]
+      .filter(id => records.has(id))
+      .sort((a, b) => positions.get(a) - positions.get(b))
+      .map(id => records.get(id)),
+
+    indexes
+  };
+};
+
+module.exports = {
+  createCatalogue,
+  createSubstringIndex,
+  createValueIndex,
+  createRangeIndex
+};
@@ -1,7 +1,32 @@
 
 const { ApiError } = require('../utils/errorHandler');
-const { processImages } = require('../utils/imageHandler');
-const { saveProperty, getAllProperties, getPropertyById, updateProperty, deleteProperty, searchProperties } = require('../utils/storage');
+const { MAX_IMAGES, processSubmittedImages, removeImageFiles, withCoverImage } = require('../utils/imageHandler');
+const { saveProperty, getPropertyById, updateProperty, patchProperty, transitionPropertyStatus, deleteProperty, restoreProperty, getTrashedProperties, searchProperties, getTextSearchScores, getDistancesFrom } = require('../utils/storage');
+const { paginate, projectFields, buildLink } = require('../utils/propertyQuery');
+const { highlightProperty } = require('../utils/searchIndex');
+const { serializeProperty } = require('../utils/propertySerializer');
+const { can, canView, isOwner } = require('../utils/permissions');
+const { STATUS_TRANSITIONS } = require('../utils/propertyStatus');
+const { getPurgeDate } = require('../utils/trash');
+const { getPropertyEtag, getIfMatchRevisions, isNotModified } = require('../utils/propertyEtag');
+const { VersionConflictError } = require('../utils/storageErrors');
+const { notifyListingPublished } = require('../utils/mailNotifications');
+const { queueSavedSearchAlerts } = require('../utils/savedSearchAlerts');
+
+/**
+ * Send 412 Precondition Failed for a write whose If-Match does not name the stored revision
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} currentRevision - Revision the property is at
+ */
+const preconditionFailed = (req, res, currentRevision) => {
+  res.set('ETag', getPropertyEtag({ revision: currentRevision }));
+  res.status(412).json({
+    success: false,
+    message: 'Property has been modified since it was retrieved; fetch it again and retry',
+    requestId: req.requestId
+  });
+};
 
 /**
  * Handle property form submission
@@ -12,6 +37,8 @@ const { saveProperty, getAllProperties, getPropertyById, updateProperty, deleteP
 const addProperty = async (req, res, next) => {
   try {
     const propertyData = req.validatedData;
+    const uploadedImages = req.uploadedImages || [];
+    const base64Count = propertyData.images ? propertyData.images.length : 0;
     
     // Log the property data for debugging
     console.log(`[${req.requestId}] Property submission received:`, {
@@ -19,15 +46,24 @@ const addProperty = async (req, res, next) => {
       propertyType: propertyData.propertyType,
       price: propertyData.price,
       location: propertyData.location,
-      imagesCount: propertyData.images ? propertyData.images.length : 0
+      imagesCount: base64Count + uploadedImages.length
     });
 
-    // Process images if provided
-    let processedImages = [];
-    if (propertyData.images && propertyData.images.length > 0) {
-      console.log(`[${req.requestId}] Processing ${propertyData.images.length} images...`);
+    if (base64Count + uploadedImages.length > MAX_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image processing failed',
+        errors: [`Cannot upload more than ${MAX_IMAGES} images`],
+        requestId: req.requestId
+      });
+    }
+
+    // Process images if provided (base64 images and multipart files already on disk)
+    let storedImages = [];
+    if (base64Count + uploadedImages.length > 0) {
+      console.log(`[${req.requestId}] Processing ${base64Count + uploadedImages.length} images...`);
       
-      const imageResult = await processImages(propertyData.images);
+      const imageResult = await processSubmittedImages(propertyData.images, uploadedImages);
       
       if (!imageResult.success) {
         console.error(`[${req.requestId}] Image processing errors:`, imageResult.errors);
@@ -39,23 +75,32 @@ const addProperty = async (req, res, next) => {
         });
       }
       
-      processedImages = imageResult.processedImages;
-      console.log(`[${req.requestId}] Successfully processed ${processedImages.length} images`);
-    }
-    
-    // Save property data to storage
-    const savedProperty = saveProperty({
-      ...propertyData,
-      images: processedImages.map(img => ({
-        filename: img.filename,
-        originalName: img.originalName,
-        size: img.size,
-        filepath: img.filepath
-      }))
-    });
+      storedImages = withCoverImage(imageResult.images);
+      console.log(`[${req.requestId}] Successfully processed ${storedImages.length} images`);
+    }
+    
+    // Save property data to storage; the images are only kept if the listing is
+    let savedProperty;
+    try {
+      savedProperty = saveProperty({
+        ...propertyData,
+        images: storedImages,
+        ownerId: req.auth.id
+      }, { actor: req.auth.id, requestId: req.requestId });
+    } catch (err) {
+      removeImageFiles(storedImages);
+      throw err;
+    }
 
     console.log(`[${req.requestId}] Property saved with ID: ${savedProperty.id}`);
 
+    // The listing is saved even if saved search alerts cannot be queued
+    try {
+      queueSavedSearchAlerts(savedProperty, { requestId: req.requestId });
+    } catch (error) {
+      console.error(`[${req.requestId}] Failed to queue saved search alerts for ${savedProperty.id}:`, error.message);
+    }
+
     // Send success response
     res.status(201).json({
       success: true,
@@ -67,12 +112,10 @@ const addProperty = async (req, res, next) => {
         propertyType: savedProperty.propertyType,
         price: savedProperty.price,
         location: savedProperty.location,
-        imagesProcessed: processedImages.length,
-        imageFiles: processedImages.map(img => ({
-          filename: img.filename,
-          originalName: img.originalName,
-          size: img.size
-        })),
+        ownerId: savedProperty.ownerId,
+        status: savedProperty.status,
+        imagesProcessed: storedImages.length,
+        imageFiles: serializeProperty(savedProperty, req).images,
         createdAt: savedProperty.createdAt
       }
     });
@@ -91,22 +134,93 @@ const addProperty = async (req, res, next) => {
  */
 const getProperties = async (req, res, next) => {
   try {
-    const { propertyType, location, minPrice, maxPrice, beds, baths } = req.query;
+    const { q, near, radius, bbox, propertyType, location, owner, status, minPrice, maxPrice, beds, baths, page, limit, cursor, sort, fields } = req.validatedQuery;
+    
+    // owner=me lists the caller's own listings
+    if (owner === 'me' && !req.auth) {
+      res.set('WWW-Authenticate', 'Bearer realm="api"');
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required to list your own properties',
+        requestId: req.requestId
+      });
+    }
+    
+    // Only published listings are public; owners see all of their own, staff may list any status
+    const ownListings = owner === 'me' || Boolean(req.auth && owner === req.auth.id);
+    const statusFilter = status || (ownListings ? 'all' : 'published');
+    if (statusFilter !== 'published' && !ownListings && !can(req.auth, 'viewUnpublished')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only published properties can be listed; use owner=me for your own',
+        requestId: req.requestId
+      });
+    }
     
     const filters = {};
+    if (statusFilter !== 'all') filters.status = statusFilter;
+    if (q) filters.q = q;
+    if (near) filters.near = { ...near, radius };
+    if (bbox) filters.bbox = bbox;
     if (propertyType) filters.propertyType = propertyType;
     if (location) filters.location = location;
-    if (minPrice) filters.minPrice = parseFloat(minPrice);
-    if (maxPrice) filters.maxPrice = parseFloat(maxPrice);
-    if (beds) filters.beds = parseInt(beds);
-    if (baths) filters.baths = parseInt(baths);
+    if (owner) filters.ownerId = owner === 'me' ? req.auth.id : owner;
+    if (minPrice !== undefined) filters.minPrice = minPrice;
+    if (maxPrice !== undefined) filters.maxPrice = maxPrice;
+    if (beds !== undefined) filters.beds = beds;
+    if (baths !== undefined) filters.baths = baths;
     
     const properties = searchProperties(filters);
+    const scores = q ? getTextSearchScores(q) : null;
+    const distances = near ? getDistancesFrom(near.lat, near.lng, radius) : null;
+    const result = paginate(properties, { sort, limit, page, cursor, computed: { relevance: scores, distance: distances } });
+    
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query validation error',
+        errors: ['Cursor is invalid'],
+        requestId: req.requestId
+      });
+    }
+    
+    // Page links follow the mode the client is using: cursors if it sent one, page numbers otherwise
+    const links = { self: buildLink(req, {}) };
+    if (cursor) {
+      links.next = result.nextCursor ? buildLink(req, { cursor: result.nextCursor }) : null;
+      links.prev = result.prevCursor ? buildLink(req, { cursor: result.prevCursor }) : null;
+    } else {
+      const currentPage = page || 1;
+      links.next = result.hasNext ? buildLink(req, { page: currentPage + 1 }) : null;
+      links.prev = result.hasPrev ? buildLink(req, { page: currentPage - 1 }) : null;
+    }
     
     res.status(200).json({
       success: true,
-      count: properties.length,
-      data: properties
+      count: result.data.length,
+      pagination: {
+        total: result.total,
+        limit,
+        page: cursor ? undefined : page || 1,
+        totalPages: Math.ceil(result.total / limit),
+        sort,
+        nextCursor: result.nextCursor,
+        prevCursor: result.prevCursor,
+        links
+      },
+      data: result.data.map(property => {
+        const projected = projectFields(serializeProperty(property, req), fields);
+        if (near) {
+          projected.distanceKm = Number(distances.get(property.id).toFixed(3));
+        }
+        if (q) {
+          projected.search = {
+            score: Number(scores.get(property.id).toFixed(4)),
+            highlights: highlightProperty(property, q)
+          };
+        }
+        return projected;
+      })
     });
     
   } catch (err) {
@@ -125,16 +239,24 @@ const getProperty = async (req, res, next) => {
     const { id } = req.params;
     const property = getPropertyById(id);
     
-    if (!property) {
+    // Unpublished listings are hidden from callers who may not see them
+    if (!property || !canView(req.auth, property)) {
       return res.status(404).json({
         success: false,
         message: 'Property not found'
       });
     }
     
+    // Responses depend on the caller, so shared caches must not store them; clients revalidate with If-None-Match
+    const etag = getPropertyEtag(property);
+    res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+    if (isNotModified(req, etag)) {
+      return res.status(304).end();
+    }
+    
     res.status(200).json({
       success: true,
-      data: property
+      data: serializeProperty(property, req)
     });
     
   } catch (err) {
@@ -151,30 +273,232 @@ const getProperty = async (req, res, next) => {
 const updatePropertyById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updateData = req.validatedData;
+    const updateData = { ...req.validatedData };
     
-    const updatedProperty = updateProperty(id, updateData);
+    // Images in the body (base64) or sent as multipart files replace the listing's images
+    const uploadedImages = req.uploadedImages || [];
+    const replacesImages = Array.isArray(updateData.images) || uploadedImages.length > 0;
+    const ifMatch = getIfMatchRevisions(req);
+    const previous = getPropertyById(id);
+    
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+    
+    // Checked again when storing; failing early saves processing images for a stale update
+    if (ifMatch && !ifMatch.includes(previous.revision || 0)) {
+      return preconditionFailed(req, res, previous.revision || 0);
+    }
+    
+    if (replacesImages) {
+      const base64Images = updateData.images || [];
+      if (base64Images.length + uploadedImages.length > MAX_IMAGES) {
+        return res.status(400).json({
+          success: false,
+          message: 'Image processing failed',
+          errors: [`Cannot upload more than ${MAX_IMAGES} images`],
+          requestId: req.requestId
+        });
+      }
+      
+      const imageResult = await processSubmittedImages(base64Images, uploadedImages);
+      
+      if (!imageResult.success) {
+        return res.status(400).json({
+          success: false,
+          message: 'Image processing failed',
+          errors: imageResult.errors,
+          requestId: req.requestId
+        });
+      }
+      
+      updateData.images = withCoverImage(imageResult.images);
+    }
+    
+    let updatedProperty;
+    try {
+      updatedProperty = updateProperty(id, updateData, { actor: req.auth.id, requestId: req.requestId, ifMatch });
+    } catch (err) {
+      removeImageFiles(updateData.images);
+      throw err;
+    }
     
     if (!updatedProperty) {
+      removeImageFiles(updateData.images);
       return res.status(404).json({
         success: false,
         message: 'Property not found'
       });
     }
     
+    // Files of the images the update replaced go once it is stored
+    if (replacesImages) {
+      const kept = new Set(updatedProperty.images.map(img => img.filename));
+      removeImageFiles((previous.images || []).filter(img => !kept.has(img.filename)));
+    }
+    
+    res.set('ETag', getPropertyEtag(updatedProperty));
     res.status(200).json({
       success: true,
       message: 'Property updated successfully',
-      data: updatedProperty
+      data: serializeProperty(updatedProperty, req)
     });
     
   } catch (err) {
+    if (err instanceof VersionConflictError) {
+      return preconditionFailed(req, res, err.currentRevision);
+    }
     next(new ApiError('Failed to update property: ' + err.message, 500));
   }
 };
 
 /**
- * Delete property by ID
+ * Partially update property by ID (JSON Merge Patch: null clears an optional field)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const patchPropertyById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updatedProperty = patchProperty(id, req.validatedData, {
+      actor: req.auth.id,
+      requestId: req.requestId,
+      ifMatch: getIfMatchRevisions(req)
+    });
+    
+    if (!updatedProperty) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+    
+    res.set('ETag', getPropertyEtag(updatedProperty));
+    res.status(200).json({
+      success: true,
+      message: 'Property updated successfully',
+      data: serializeProperty(updatedProperty, req)
+    });
+    
+  } catch (err) {
+    if (err instanceof VersionConflictError) {
+      return preconditionFailed(req, res, err.currentRevision);
+    }
+    next(new ApiError('Failed to update property: ' + err.message, 500));
+  }
+};
+
+/**
+ * Move a property to another lifecycle status (see STATUS_TRANSITIONS)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const changePropertyStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.validatedData;
+    
+    if (status === 'published' && !can(req.auth, 'publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and agents can publish properties; submit it for review instead',
+        requestId: req.requestId
+      });
+    }
+    
+    const result = transitionPropertyStatus(id, status, { note, actor: req.auth.id, requestId: req.requestId });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+    
+    if (!result.changed) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change status from ${result.from} to ${status}`,
+        allowedStatuses: STATUS_TRANSITIONS[result.from],
+        requestId: req.requestId
+      });
+    }
+    
+    console.log(`[${req.requestId}] Property ${id} status changed from ${result.from} to ${status} by ${req.auth.id}`);
+    
+    if (status === 'published') {
+      // The status change stands even if the email cannot be queued
+      try {
+        notifyListingPublished(result.property, { requestId: req.requestId });
+      } catch (error) {
+        console.error(`[${req.requestId}] Failed to queue published email for ${id}:`, error.message);
+      }
+      try {
+        queueSavedSearchAlerts(result.property, { requestId: req.requestId });
+      } catch (error) {
+        console.error(`[${req.requestId}] Failed to queue saved search alerts for ${id}:`, error.message);
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Property status updated successfully',
+      data: serializeProperty(result.property, req)
+    });
+    
+  } catch (err) {
+    next(new ApiError('Failed to change property status: ' + err.message, 500));
+  }
+};
+
+/**
+ * Transfer a property to another owner
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const transferPropertyOwner = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { ownerId } = req.validatedData;
+    const previous = getPropertyById(id);
+    const updatedProperty = previous
+      ? updateProperty(id, { ownerId }, { action: 'transfer', actor: req.auth.id, requestId: req.requestId })
+      : null;
+    
+    if (!updatedProperty) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+    
+    console.log(`[${req.requestId}] Property ${id} transferred from ${previous.ownerId || '(no owner)'} to ${ownerId} by ${req.auth.id}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Property owner updated successfully',
+      data: {
+        id: updatedProperty.id,
+        previousOwnerId: previous.ownerId || null,
+        ownerId: updatedProperty.ownerId,
+        updatedAt: updatedProperty.updatedAt
+      }
+    });
+    
+  } catch (err) {
+    next(new ApiError('Failed to transfer property: ' + err.message, 500));
+  }
+};
+
+/**
+ * Delete property by ID. The listing goes to the trash with its images and
+ * can be restored until it is purged.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -182,7 +506,11 @@ const updatePropertyById = async (req, res, next) => {
 const deletePropertyById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const deleted = deleteProperty(id);
+    const deleted = deleteProperty(id, {
+      actor: req.auth.id,
+      requestId: req.requestId,
+      ifMatch: getIfMatchRevisions(req)
+    });
     
     if (!deleted) {
       return res.status(404).json({
@@ -191,20 +519,94 @@ const deletePropertyById = async (req, res, next) => {
       });
     }
     
+    console.log(`[${req.requestId}] Property ${id} moved to trash by ${req.auth.id}`);
+    
     res.status(200).json({
       success: true,
-      message: 'Property deleted successfully'
+      message: 'Property moved to trash',
+      data: {
+        id: deleted.id,
+        deletedAt: deleted.deletedAt,
+        purgeAt: getPurgeDate(deleted)
+      }
     });
     
   } catch (err) {
+    if (err instanceof VersionConflictError) {
+      return preconditionFailed(req, res, err.currentRevision);
+    }
     next(new ApiError('Failed to delete property: ' + err.message, 500));
   }
 };
 
+/**
+ * Get deleted properties, most recently deleted first: every one for admins
+ * and agents, the caller's own for everyone else
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const seesAll = can(req.auth, 'viewTrash');
+    const trashed = getTrashedProperties()
+      .filter(property => seesAll || isOwner(req.auth, property))
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    
+    res.status(200).json({
+      success: true,
+      count: trashed.length,
+      data: trashed.map(property => ({
+        ...serializeProperty(property, req),
+        purgeAt: getPurgeDate(property)
+      }))
+    });
+    
+  } catch (err) {
+    next(new ApiError('Failed to retrieve trash: ' + err.message, 500));
+  }
+};
+
+/**
+ * Restore a deleted property from the trash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const restorePropertyById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const restored = restoreProperty(id, { actor: req.auth.id, requestId: req.requestId });
+    
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found in trash'
+      });
+    }
+    
+    console.log(`[${req.requestId}] Property ${id} restored from trash by ${req.auth.id}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Property restored successfully',
+      data: serializeProperty(restored, req)
+    });
+    
+  } catch (err) {
+    next(new ApiError('Failed to restore property: ' + err.message, 500));
+  }
+};
+
 module.exports = {
   addProperty,
   getProperties,
   getProperty,
   updatePropertyById,
-  deletePropertyById
+  patchPropertyById,
+  changePropertyStatus,
+  transferPropertyOwner,
+  deletePropertyById,
+  getTrash,
+  restorePropertyById
 };
@@ -0,0 +1,58 @@
+// ETags name a property's revision: "v<revision>" (properties stored before revisions existed are at 0)
+const ETAG_PATTERN = /^"v(\d+)"$/;
+
+/**
+ * Strong ETag of a property, derived from its revision number
+ * @param {Object} property - Property
+ * @returns {string} Quoted ETag
+ */
+const getPropertyEtag = (property) => `"v${property.revision || 0}"`;
+
+/**
+ * Split an If-Match / If-None-Match header into its entity tags
+ * @param {string} header - Header value
+ * @returns {Array} Entity tags as sent (quoted, possibly W/ prefixed) or '*'
+ */
+const parseEtagList = (header) => header.split(',').map(tag => tag.trim()).filter(Boolean);
+
+/**
+ * Revisions a conditional write may apply to, from its If-Match header.
+ * If-Match uses strong comparison, so weak tags never match.
+ * @param {Object} req - Express request object
+ * @returns {Array|undefined} Revision numbers, or undefined if the write is unconditional (no header, or *)
+ */
+const getIfMatchRevisions = (req) => {
+  const header = req.get('If-Match');
+  if (!header) {
+    return undefined;
+  }
+  const tags = parseEtagList(header);
+  if (tags.includes('*')) {
+    return undefined;
+  }
+  return tags
+    .map(tag => ETAG_PATTERN.exec(tag))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+};
+
+/**
+ * Whether a GET can be answered with 304: If-None-Match lists the current
+ * ETag (weak comparison) or *
+ * @param {Object} req - Express request object
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the client's copy is current
+ */
+const isNotModified = (req, etag) => {
+  const header = req.get('If-None-Match');
+  if (!header) {
+    return false;
+  }
+  return parseEtagList(header).some(tag => tag === '*' || tag.replace(/^W\//, '') === etag);
+};
+
+module.exports = {
+  getPropertyEtag,
+  getIfMatchRevisions,
+  isNotModified
+};
@@ -0,0 +1,187 @@
+const { ApiError } = require('../utils/errorHandler');
+const { getPropertyRevisions, getPropertyRevision, patchProperty } = require('../utils/storage');
+const { summarizeRevision } = require('../utils/propertyRevisions');
+const { serializeImage, serializeProperty } = require('../utils/propertySerializer');
+const { PROPERTY_FORM_FIELDS, validatePropertyFields } = require('../middleware/validation');
+
+/**
+ * Parse a revision number route parameter
+ * @param {string} value - Route parameter
+ * @returns {number|null} Revision number, or null if it is not a positive integer
+ */
+const parseRevisionNumber = (value) => (/^[1-9]\d{0,8}$/.test(value) ? Number(value) : null);
+
+/**
+ * Revision summary for responses: image changes go through the image serializer
+ * like the property itself, so stored internals such as file paths are not exposed
+ * @param {Object} revision - Revision record
+ * @param {Object} req - Express request object
+ * @returns {Object} Summary
+ */
+const serializeRevision = (revision, req) => {
+  const summary = summarizeRevision(revision);
+  const imagesUrl = `${req.baseUrl}/property/${encodeURIComponent(revision.propertyId)}/images`;
+  const serializeImages = (images) => (Array.isArray(images) ? images.map(image => serializeImage(image, imagesUrl)) : images);
+
+  return {
+    ...summary,
+    changes: summary.changes.map(change => (change.field === 'images'
+      ? {
+        ...change,
+        ...(change.from !== undefined && { from: serializeImages(change.from) }),
+        ...(change.to !== undefined && { to: serializeImages(change.to) })
+      }
+      : change))
+  };
+};
+
+/**
+ * Load the revision named by the :id and :rev route parameters, or send a 400/404
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Revision record, or null if a response was sent
+ */
+const findRevision = (req, res) => {
+  const rev = parseRevisionNumber(req.params.rev);
+  if (rev === null) {
+    res.status(400).json({
+      success: false,
+      message: 'Revision must be a positive whole number',
+      requestId: req.requestId
+    });
+    return null;
+  }
+
+  const revision = getPropertyRevision(req.params.id, rev);
+  if (!revision) {
+    res.status(404).json({
+      success: false,
+      message: 'Revision not found'
+    });
+    return null;
+  }
+  return revision;
+};
+
+/**
+ * Get a property's kept revisions (the last PROPERTY_REVISION_LIMIT), newest first, with their field-level changes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPropertyHistory = async (req, res, next) => {
+  try {
+    const revisions = getPropertyRevisions(req.params.id).reverse();
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions.map(revision => serializeRevision(revision, req))
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to retrieve property history: ' + err.message, 500));
+  }
+};
+
+/**
+ * Get one revision of a property, including the property as it was after that change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPropertyRevisionById = async (req, res, next) => {
+  try {
+    const revision = findRevision(req, res);
+    if (!revision) {
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...serializeRevision(revision, req),
+        property: serializeProperty(revision.snapshot, req)
+      }
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to retrieve property revision: ' + err.message, 500));
+  }
+};
+
+/**
+ * Revert a property's listing fields to how they were at a revision. The old
+ * values are validated like a PUT body, and fields the revision did not have are
+ * cleared. Images, status and owner are left as they are: they have their own
+ * endpoints. The revert is recorded as a new revision.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revertProperty = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const revision = findRevision(req, res);
+    if (!revision) {
+      return;
+    }
+
+    const fields = {};
+    PROPERTY_FORM_FIELDS.forEach(field => {
+      if (revision.snapshot[field] !== undefined) {
+        fields[field] = revision.snapshot[field];
+      }
+    });
+
+    const { value, errors } = validatePropertyFields(fields);
+    if (errors) {
+      console.log(`[${req.requestId}] Revision ${revision.rev} of ${id} failed validation:`, errors);
+      return res.status(400).json({
+        success: false,
+        message: 'Property validation error',
+        errors,
+        requestId: req.requestId
+      });
+    }
+
+    // As a merge patch: null clears fields the listing has gained since the revision
+    const patch = { ...value };
+    PROPERTY_FORM_FIELDS.forEach(field => {
+      if (patch[field] === undefined) {
+        patch[field] = null;
+      }
+    });
+
+    const updatedProperty = patchProperty(id, patch, {
+      action: 'revert',
+      revertedTo: revision.rev,
+      actor: req.auth.id,
+      requestId: req.requestId
+    });
+
+    if (!updatedProperty) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    console.log(`[${req.requestId}] Property ${id} reverted to revision ${revision.rev} by ${req.auth.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Property reverted to revision ${revision.rev}`,
+      data: serializeProperty(updatedProperty, req)
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to revert property: ' + err.message, 500));
+  }
+};
+
+module.exports = {
+  getPropertyHistory,
+  getPropertyRevisionById,
+  revertProperty
+};
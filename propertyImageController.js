@@ -0,0 +1,329 @@
+const path = require('path');
+const { ApiError } = require('../utils/errorHandler');
+const { getPropertyById, updatePropertyImages } = require('../utils/storage');
+const { VARIANT_SIZES } = require('../utils/imageVariants');
+const { MAX_IMAGES, processSubmittedImages, removeImageFiles, withCoverImage } = require('../utils/imageHandler');
+const { serializeProperty } = require('../utils/propertySerializer');
+const { canView } = require('../utils/permissions');
+
+const UPLOAD_DIR = path.resolve('uploads/images');
+const ONE_YEAR_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * Whether a filename is a plain file name inside the upload directory
+ * (no separators, no parent references, no dotfiles)
+ * @param {string} filename - Requested filename
+ * @returns {boolean} True if safe to resolve against the upload directory
+ */
+const isSafeFilename = (filename) => typeof filename === 'string'
+  && filename.length > 0
+  && path.basename(filename) === filename
+  && !filename.startsWith('.')
+  && !filename.includes('\0');
+
+/**
+ * Serve one of a listing's images, or one of its resized variants (?variant=thumbnail|medium|large).
+ * Only files recorded on a listing the caller may see are served. Filenames are unique per upload,
+ * so images of listings anyone may see are cacheable forever; images only their owner or admins
+ * may see must not be kept by shared caches. sendFile handles Content-Type, ETag,
+ * Last-Modified, conditional requests and Range.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPropertyImage = async (req, res, next) => {
+  try {
+    const { id, filename } = req.params;
+    const { variant } = req.query;
+
+    if (!isSafeFilename(filename)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid image filename',
+        requestId: req.requestId
+      });
+    }
+
+    if (variant !== undefined && !Object.prototype.hasOwnProperty.call(VARIANT_SIZES, variant)) {
+      return res.status(400).json({
+        success: false,
+        message: `Image variant must be one of: ${Object.keys(VARIANT_SIZES).join(', ')}`,
+        requestId: req.requestId
+      });
+    }
+
+    const property = getPropertyById(id);
+    const image = property && canView(req.auth, property)
+      && (property.images || []).find(img => img.filename === filename);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const file = variant ? image.variants && image.variants[variant] : image;
+    if (!file || !isSafeFilename(file.filename)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image variant not found'
+      });
+    }
+
+    res.sendFile(file.filename, {
+      root: UPLOAD_DIR,
+      dotfiles: 'deny',
+      cacheControl: false,
+      headers: {
+        'Cache-Control': canView(null, property)
+          ? `public, max-age=${ONE_YEAR_SECONDS}, immutable`
+          : 'private, no-cache',
+        // Listing images are embedded by the frontend, which is served from another origin
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      }
+    }, (err) => {
+      if (!err) {
+        return;
+      }
+      if (res.headersSent) {
+        return; // Client went away mid-transfer
+      }
+      if (err.status === 404) {
+        return res.status(404).json({
+          success: false,
+          message: 'Image file not found'
+        });
+      }
+      next(new ApiError('Failed to send image: ' + err.message, err.status || 500));
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to retrieve image: ' + err.message, 500));
+  }
+};
+
+/**
+ * Add images to a listing (base64 images in JSON, or multipart files)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const addPropertyImages = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const base64Images = req.validatedData.images;
+    const uploadedImages = req.uploadedImages || [];
+    const property = getPropertyById(id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const tooMany = (count) => count + base64Images.length + uploadedImages.length > MAX_IMAGES;
+    const limitResponse = () => res.status(400).json({
+      success: false,
+      message: 'Image processing failed',
+      errors: [`A property cannot have more than ${MAX_IMAGES} images`],
+      requestId: req.requestId
+    });
+
+    if (tooMany((property.images || []).length)) {
+      return limitResponse();
+    }
+
+    const imageResult = await processSubmittedImages(base64Images, uploadedImages);
+
+    if (!imageResult.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image processing failed',
+        errors: imageResult.errors,
+        requestId: req.requestId
+      });
+    }
+
+    // The limit is checked again against the stored images, which may have changed while processing
+    let limitReached = false;
+    let updatedProperty;
+    try {
+      updatedProperty = updatePropertyImages(id, (images) => {
+        if (tooMany(images.length)) {
+          limitReached = true;
+          return null;
+        }
+        return withCoverImage(images.concat(imageResult.images));
+      }, { actor: req.auth.id, requestId: req.requestId });
+    } catch (err) {
+      removeImageFiles(imageResult.images);
+      throw err;
+    }
+
+    if (!updatedProperty || limitReached) {
+      removeImageFiles(imageResult.images);
+      return updatedProperty ? limitResponse() : res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Images added successfully',
+      data: serializeProperty(updatedProperty, req).images
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to add images: ' + err.message, 500));
+  }
+};
+
+/**
+ * Remove one image from a listing and delete its files
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deletePropertyImage = async (req, res, next) => {
+  try {
+    const { id, filename } = req.params;
+    let removed = null;
+
+    const updatedProperty = updatePropertyImages(id, (images) => {
+      removed = images.find(img => img.filename === filename) || null;
+      return removed ? withCoverImage(images.filter(img => img !== removed)) : null;
+    }, { actor: req.auth.id, requestId: req.requestId });
+
+    if (!updatedProperty || !removed) {
+      return res.status(404).json({
+        success: false,
+        message: updatedProperty ? 'Image not found' : 'Property not found'
+      });
+    }
+
+    removeImageFiles([removed]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: serializeProperty(updatedProperty, req).images
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to delete image: ' + err.message, 500));
+  }
+};
+
+/**
+ * Reorder a listing's images; the body lists every image filename in the new order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const reorderPropertyImages = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { order } = req.validatedData;
+    let mismatch = false;
+
+    const updatedProperty = updatePropertyImages(id, (images) => {
+      const byFilename = new Map(images.map(img => [img.filename, img]));
+      if (order.length !== images.length || !order.every(filename => byFilename.has(filename))) {
+        mismatch = true;
+        return null;
+      }
+      return order.map(filename => byFilename.get(filename));
+    }, { actor: req.auth.id, requestId: req.requestId });
+
+    if (!updatedProperty) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (mismatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image order validation error',
+        errors: ['Order must list each of the property\'s images exactly once'],
+        requestId: req.requestId
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: serializeProperty(updatedProperty, req).images
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to reorder images: ' + err.message, 500));
+  }
+};
+
+/**
+ * Update one image's caption and alt text, or make it the cover image.
+ * An empty caption or alt removes it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updatePropertyImage = async (req, res, next) => {
+  try {
+    const { id, filename } = req.params;
+    const changes = req.validatedData;
+    let found = false;
+
+    const updatedProperty = updatePropertyImages(id, (images) => {
+      found = images.some(img => img.filename === filename);
+      if (!found) {
+        return null;
+      }
+
+      return withCoverImage(images.map(img => {
+        if (img.filename !== filename) {
+          return changes.isCover ? { ...img, isCover: false } : img;
+        }
+        const updated = { ...img };
+        if (changes.isCover) {
+          updated.isCover = true;
+        }
+        ['caption', 'alt'].forEach(field => {
+          if (changes[field] === '') {
+            delete updated[field];
+          } else if (changes[field] !== undefined) {
+            updated[field] = changes[field];
+          }
+        });
+        return updated;
+      }));
+    }, { actor: req.auth.id, requestId: req.requestId });
+
+    if (!updatedProperty || !found) {
+      return res.status(404).json({
+        success: false,
+        message: updatedProperty ? 'Image not found' : 'Property not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Image updated successfully',
+      data: serializeProperty(updatedProperty, req).images
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to update image: ' + err.message, 500));
+  }
+};
+
+module.exports = {
+  getPropertyImage,
+  addPropertyImages,
+  deletePropertyImage,
+  reorderPropertyImages,
+  updatePropertyImage
+};
@@ -0,0 +1,383 @@
+const path = require('path');
+const { CsvParseError, parseCsv } = require('./csvParser');
+const { ZipArchiveError, readZipEntries } = require('./zipArchive');
+const { inspectImage } = require('./imageInspector');
+const { MAX_IMAGES, processSubmittedImages, removeImageFiles, withCoverImage } = require('./imageHandler');
+const { saveProperty, getAllProperties, runInTransaction } = require('./storage');
+const { PROPERTY_FORM_FIELDS, validatePropertyFields } = require('../middleware/validation');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || '500', 10);
+
+// Largest listings file accepted inside a zip bundle
+const MAX_LISTINGS_FILE_SIZE = 20 * 1024 * 1024;
+
+// Same limit as images submitted to POST /api/property
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+// CSV cells holding several values, separated by |
+const CSV_LIST_FIELDS = ['keyFeatures', 'images'];
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Raised when an import file cannot be read at all (as opposed to invalid rows)
+ */
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+/**
+ * Rows of a JSON import: an array of listing objects
+ * @param {*} content - Parsed JSON, or JSON text
+ * @returns {Array} Rows as { row, data }
+ */
+const readJsonRows = (content) => {
+  let listings = content;
+  if (typeof content === 'string' || Buffer.isBuffer(content)) {
+    try {
+      listings = JSON.parse(content.toString().replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new ImportError(`Invalid JSON: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(listings)) {
+    throw new ImportError('JSON imports must be an array of listings');
+  }
+  return listings.map((data, i) => ({ row: i + 1, data }));
+};
+
+/**
+ * Rows of a CSV import: a header row of listing field names, then one listing
+ * per row. Empty cells are left out; keyFeatures and images hold several values separated by |.
+ * @param {string|Buffer} content - CSV text
+ * @returns {Array} Rows as { row, line, data, warnings }
+ */
+const readCsvRows = (content) => {
+  let records;
+  try {
+    records = parseCsv(content.toString());
+  } catch (error) {
+    if (error instanceof CsvParseError) {
+      throw new ImportError(`Invalid CSV: ${error.message}`);
+    }
+    throw error;
+  }
+  if (records.length === 0) {
+    throw new ImportError('CSV import is empty');
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.fields.map(column => column.trim());
+  const duplicate = columns.find((column, i) => column && columns.indexOf(column) !== i);
+  if (duplicate) {
+    throw new ImportError(`CSV column "${duplicate}" appears more than once`);
+  }
+
+  return rows.map(({ line, fields }, i) => {
+    const data = {};
+    columns.forEach((column, j) => {
+      const cell = (fields[j] || '').trim();
+      if (!column || cell === '') {
+        return;
+      }
+      data[column] = CSV_LIST_FIELDS.includes(column)
+        ? cell.split('|').map(value => value.trim()).filter(Boolean)
+        : cell;
+    });
+    const warnings = fields.length > columns.length
+      ? [`${fields.length - columns.length} cell(s) beyond the last column ignored`]
+      : [];
+    return { row: i + 1, line, data, warnings };
+  });
+};
+
+/**
+ * Rows and image files of a zip bundle: one listings.csv or listings.json (any
+ * name, at the top level) next to the images it references by relative path
+ * @param {Buffer} content - Zip archive
+ * @returns {Object} { rows, files }
+ */
+const readZipBundle = (content) => {
+  let files;
+  try {
+    files = readZipEntries(content);
+  } catch (error) {
+    if (error instanceof ZipArchiveError) {
+      throw new ImportError(`Invalid zip bundle: ${error.message}`);
+    }
+    throw error;
+  }
+
+  const listingFiles = [...files.keys()].filter(name => !name.includes('/') && /\.(csv|json)$/i.test(name));
+  if (listingFiles.length !== 1) {
+    throw new ImportError(listingFiles.length === 0
+      ? 'Zip bundle must contain a .csv or .json listings file at the top level'
+      : `Zip bundle must contain one listings file, found: ${listingFiles.join(', ')}`);
+  }
+
+  const listingFile = files.get(listingFiles[0]);
+  if (listingFile.size > MAX_LISTINGS_FILE_SIZE) {
+    throw new ImportError(`Listings file cannot exceed ${MAX_LISTINGS_FILE_SIZE / (1024 * 1024)}MB`);
+  }
+  let listings;
+  try {
+    listings = listingFile.read();
+  } catch (error) {
+    throw new ImportError(`Invalid zip bundle: ${error.message}`);
+  }
+  files.delete(listingFile.path);
+
+  const rows = /\.csv$/i.test(listingFile.path) ? readCsvRows(listings) : readJsonRows(listings);
+  return { rows, files };
+};
+
+/**
+ * Read the listings of an import file
+ * @param {*} content - Parsed JSON, CSV text or zip archive bytes
+ * @param {string} format - json, csv or zip
+ * @returns {Object} { rows: [{ row, line, data, warnings }], files: zip entries (null unless zip) }
+ * @throws {ImportError} If the file cannot be read or has too many rows
+ */
+const readImportSource = (content, format) => {
+  const { rows, files = null } = format === 'zip'
+    ? readZipBundle(content)
+    : { rows: format === 'csv' ? readCsvRows(content) : readJsonRows(content) };
+
+  if (rows.length === 0) {
+    throw new ImportError('Import contains no listings');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Import cannot contain more than ${MAX_IMPORT_ROWS} listings`);
+  }
+  return { rows, files };
+};
+
+/**
+ * Resolve a row's image references (paths, or { path, caption, alt }) against
+ * the bundle, checking each file is a real JPEG, PNG or WebP image
+ * @param {*} references - Row's images value
+ * @param {Map|null} files - Zip bundle entries
+ * @returns {Object} { images: [{ name, type, caption, alt, file }], errors }
+ */
+const resolveImages = (references, files) => {
+  if (references === undefined) {
+    return { images: [], errors: [] };
+  }
+  if (!Array.isArray(references)) {
+    return { images: [], errors: ['Images must be a list of paths inside the zip bundle'] };
+  }
+  if (!files) {
+    return { images: [], errors: ['Images can only be imported from a zip bundle'] };
+  }
+  if (references.length > MAX_IMAGES) {
+    return { images: [], errors: [`Cannot import more than ${MAX_IMAGES} images per listing`] };
+  }
+
+  const images = [];
+  const errors = [];
+  references.forEach(reference => {
+    const { path: imagePath, caption, alt } = typeof reference === 'string' ? { path: reference } : (reference || {});
+    if (typeof imagePath !== 'string' || !imagePath.trim()) {
+      errors.push('Each image must be a path inside the zip bundle');
+      return;
+    }
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(imagePath)) {
+      errors.push(`Image "${imagePath}" must be a path inside the zip bundle, not a URL`);
+      return;
+    }
+    const normalised = path.posix.normalize(imagePath.trim().replace(/\\/g, '/'));
+    if (normalised.startsWith('/') || normalised.startsWith('../')) {
+      errors.push(`Image "${imagePath}" is outside the zip bundle`);
+      return;
+    }
+    const file = files.get(normalised);
+    if (!file) {
+      errors.push(`Image "${imagePath}" is not in the zip bundle`);
+      return;
+    }
+    const type = IMAGE_TYPES[path.posix.extname(normalised).toLowerCase()];
+    if (!type) {
+      errors.push(`Image "${imagePath}" must be a .jpg, .jpeg, .png or .webp file`);
+      return;
+    }
+    if (file.size > MAX_IMAGE_SIZE) {
+      errors.push(`Image "${imagePath}" cannot exceed 10MB`);
+      return;
+    }
+    try {
+      inspectImage(file.read(), type);
+    } catch (error) {
+      errors.push(`Image "${imagePath}": ${error.message}`);
+      return;
+    }
+    images.push({ name: path.posix.basename(normalised), type, caption, alt, file });
+  });
+  return { images, errors };
+};
+
+/**
+ * Key identifying listings that are probably the same property
+ * @param {Object} listing - Listing fields
+ * @returns {string} Normalised title and address
+ */
+const duplicateKey = (listing) => `${listing.title}\n${listing.address}`.toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Validate one row like POST /api/property does and resolve its images
+ * @param {Object} row - { row, line, data, warnings }
+ * @param {Map|null} files - Zip bundle entries
+ * @returns {Object} Row result: { row, line, errors, warnings, value, images }
+ */
+const checkRow = ({ row, line, data, warnings = [] }, files) => {
+  const result = { row, line, errors: [], warnings: [...warnings], value: null, images: [] };
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    result.errors.push('Listing must be an object');
+    return result;
+  }
+
+  const { images: references, ...fields } = data;
+  Object.keys(fields)
+    .filter(field => !PROPERTY_FORM_FIELDS.includes(field))
+    .forEach(field => result.warnings.push(`Unknown field "${field}" ignored`));
+
+  const { images, errors: imageErrors } = resolveImages(references, files);
+  // Image names, captions and alt text go through the same rules as submitted images
+  const { value, errors = [] } = validatePropertyFields({
+    ...fields,
+    ...(images.length > 0 && { images: images.map(({ name, type, caption, alt }) => ({ name, type, caption, alt })) })
+  });
+
+  result.errors.push(...errors, ...imageErrors);
+  if (result.errors.length > 0) {
+    return result;
+  }
+
+  result.value = value;
+  const validatedImages = value.images || [];
+  result.images = images.map((image, i) => ({ ...image, ...validatedImages[i] }));
+  if (images.length === 0) {
+    result.warnings.push('Listing has no images');
+  }
+  return result;
+};
+
+/**
+ * Public part of a row result, as returned in the import report
+ * @param {Object} result - Row result
+ * @returns {Object} { row, line, status, propertyId, title, errors, warnings }
+ */
+const describeRow = ({ row, line, status, propertyId, value, errors, warnings }) => ({
+  row,
+  ...(line !== undefined && { line }),
+  status,
+  ...(propertyId && { propertyId }),
+  ...(value && { title: value.title }),
+  errors,
+  warnings
+});
+
+/**
+ * Import listings for an owner. Every row is validated with the rules of
+ * POST /api/property, and its images resolved from the zip bundle. A dry run
+ * stops there and reports each row's errors and warnings. Otherwise the valid
+ * rows are saved as drafts in one transaction (all of them or none); with
+ * allOrNothing, a single invalid row means nothing is imported.
+ * @param {Array} rows - Rows from readImportSource
+ * @param {Object} options - Import options
+ * @param {Map|null} [options.files] - Zip bundle entries the rows' images refer to
+ * @param {string} options.ownerId - Owner of the imported listings
+ * @param {string} [options.actor] - Who is importing (defaults to the owner)
+ * @param {string} [options.requestId] - Request ID recorded on the listings' first revision
+ * @param {boolean} [options.dryRun] - Only validate
+ * @param {boolean} [options.allOrNothing] - Import nothing unless every row is valid
+ * @returns {Promise<Object>} Report: { dryRun, allOrNothing, total, valid, invalid, imported, rows }
+ */
+const importProperties = async (rows, { files = null, ownerId, actor = ownerId, requestId, dryRun = false, allOrNothing = false }) => {
+  const seen = new Map();
+  const existing = new Map(getAllProperties()
+    .filter(property => property.ownerId === ownerId)
+    .map(property => [duplicateKey(property), property.id]));
+
+  const results = rows.map(row => {
+    const result = checkRow(row, files);
+    if (result.value) {
+      const key = duplicateKey(result.value);
+      if (seen.has(key)) {
+        result.warnings.push(`Same title and address as row ${seen.get(key)}`);
+      } else {
+        seen.set(key, result.row);
+      }
+      if (existing.has(key)) {
+        result.warnings.push(`Same title and address as existing listing ${existing.get(key)}`);
+      }
+    }
+    result.status = result.errors.length > 0 ? 'invalid' : 'valid';
+    return result;
+  });
+
+  const report = () => {
+    const valid = results.filter(result => result.status !== 'invalid').length;
+    return {
+      dryRun,
+      allOrNothing,
+      total: results.length,
+      valid,
+      invalid: results.length - valid,
+      imported: results.filter(result => result.status === 'imported').length,
+      rows: results.map(describeRow)
+    };
+  };
+
+  const toImport = results.filter(result => result.status === 'valid');
+  if (dryRun || toImport.length === 0 || (allOrNothing && toImport.length < results.length)) {
+    return report();
+  }
+
+  // Images are processed before the transaction (it cannot span async work) and removed again if it fails
+  const processed = [];
+  for (const result of toImport) {
+    const imageResult = await processSubmittedImages(result.images.map(({ name, type, caption, alt, file }) => ({
+      name, type, caption, alt, data: `data:${type};base64,${file.read().toString('base64')}`
+    })));
+    if (!imageResult.success) {
+      result.status = 'invalid';
+      imageResult.errors.forEach(error => result.errors.push(`Image "${result.images[error.index].name}": ${error.errors.join(', ')}`));
+      if (allOrNothing) {
+        processed.forEach(done => removeImageFiles(done.storedImages));
+        return report();
+      }
+      continue;
+    }
+    result.storedImages = withCoverImage(imageResult.images);
+    processed.push(result);
+  }
+
+  try {
+    runInTransaction(() => processed.forEach(result => {
+      const saved = saveProperty({ ...result.value, images: result.storedImages, ownerId }, { actor, requestId });
+      result.propertyId = saved.id;
+    }));
+  } catch (error) {
+    processed.forEach(result => removeImageFiles(result.storedImages));
+    throw error;
+  }
+
+  processed.forEach(result => {
+    result.status = 'imported';
+  });
+  return report();
+};
+
+module.exports = {
+  ImportError,
+  readImportSource,
+  importProperties
+};
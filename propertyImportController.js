@@ -0,0 +1,66 @@
+const { ApiError } = require('../utils/errorHandler');
+const { importProperties } = require('../utils/propertyImport');
+
+/**
+ * Bulk import listings (rows parsed by parseImportUpload). ?dryRun=true only
+ * reports each row's errors and warnings; otherwise valid rows are saved as the
+ * caller's drafts in one transaction, or none at all with ?allOrNothing=true
+ * if any row is invalid.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const importPropertyListings = async (req, res, next) => {
+  try {
+    const { dryRun, allOrNothing } = req.validatedQuery;
+
+    console.log(`[${req.requestId}] Import of ${req.importRows.length} listing(s) received`
+      + `${req.importFiles ? ` with ${req.importFiles.size} bundled file(s)` : ''}${dryRun ? ' (dry run)' : ''}`);
+
+    const report = await importProperties(req.importRows, {
+      files: req.importFiles,
+      ownerId: req.auth.id,
+      requestId: req.requestId,
+      dryRun,
+      allOrNothing
+    });
+
+    console.log(`[${req.requestId}] Import ${dryRun ? 'checked' : 'finished'}: ${report.valid} valid, `
+      + `${report.invalid} invalid, ${report.imported} imported`);
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `Dry run: ${report.valid} of ${report.total} listing(s) can be imported`,
+        data: report,
+        requestId: req.requestId
+      });
+    }
+
+    if (report.imported === 0) {
+      return res.status(400).json({
+        success: false,
+        message: allOrNothing && report.valid > 0
+          ? `Import rejected: ${report.invalid} invalid listing(s), nothing was imported`
+          : 'No listings could be imported',
+        data: report,
+        requestId: req.requestId
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${report.imported} of ${report.total} listing(s) as drafts`,
+      data: report,
+      requestId: req.requestId
+    });
+
+  } catch (err) {
+    console.error(`[${req.requestId}] Error importing properties:`, err);
+    next(new ApiError('Failed to import properties: ' + err.message, 500));
+  }
+};
+
+module.exports = {
+  importPropertyListings
+};
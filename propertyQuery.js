@@ -0,0 +1,173 @@
+// Sort options accepted by GET /api/property: field and direction (1 = ascending).
+// `computed` sorts use per-request values passed to paginate (search score, distance).
+const SORTS = {
+  relevance: { computed: 'relevance', direction: -1 },
+  distance: { computed: 'distance', direction: 1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  newest: { field: 'createdAt', direction: -1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  beds_asc: { field: 'beds', direction: 1 },
+  beds_desc: { field: 'beds', direction: -1 },
+  sqft_asc: { field: 'sqft', direction: 1 },
+  sqft_desc: { field: 'sqft', direction: -1 }
+};
+
+/**
+ * Build a comparator for a sort option. Records missing the sort field go last;
+ * ties are broken by ID so the order is total and cursors are stable.
+ * @param {string} sort - Sort option name
+ * @returns {Function} Comparator over { value, id } keys
+ */
+const keyComparator = (sort) => {
+  const { direction } = SORTS[sort];
+  return (a, b) => {
+    const aMissing = a.value === undefined || a.value === null;
+    const bMissing = b.value === undefined || b.value === null;
+    if (aMissing !== bMissing) {
+      return aMissing ? 1 : -1;
+    }
+    if (!aMissing && a.value !== b.value) {
+      return (a.value < b.value ? -1 : 1) * direction;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+};
+
+/**
+ * Sort key of a property for a sort option
+ * @param {Object} property - Property
+ * @param {string} sort - Sort option name
+ * @param {Object} [computed] - Computed sort values: name -> Map(property ID -> value)
+ * @returns {Object} Sort key ({ value, id })
+ */
+const sortKey = (property, sort, computed) => {
+  const option = SORTS[sort];
+  return {
+    value: option.computed ? computed[option.computed].get(property.id) : property[option.field],
+    id: property.id
+  };
+};
+
+/**
+ * Encode a sort key as an opaque cursor
+ * @param {Object} key - Sort key
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {string} Cursor
+ */
+const encodeCursor = (key, direction) => Buffer
+  .from(JSON.stringify({ v: key.value, id: key.id, d: direction }))
+  .toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {Object|null} Decoded cursor or null if malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.id !== 'string' || !['next', 'prev'].includes(decoded.d)) {
+      return null;
+    }
+    return { key: { value: decoded.v, id: decoded.id }, direction: decoded.d };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Sort properties and cut out one page, either by page number or by cursor
+ * @param {Array} properties - Matching properties
+ * @param {Object} options - Validated query options
+ * @param {string} options.sort - Sort option name
+ * @param {number} options.limit - Page size
+ * @param {number} [options.page] - Page number (page mode)
+ * @param {string} [options.cursor] - Cursor (cursor mode)
+ * @param {Object} [options.computed] - Values for computed sorts ({ relevance, distance } Maps)
+ * @returns {Object|null} Page, or null if the cursor is malformed
+ */
+const paginate = (properties, { sort, limit, page, cursor, computed = {} }) => {
+  const compare = keyComparator(sort);
+  const sorted = properties
+    .map(property => ({ key: sortKey(property, sort, computed), property }))
+    .sort((a, b) => compare(a.key, b.key));
+
+  let start;
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return null;
+    }
+    // First position sorting after the cursor key (or at/after it when paging back)
+    const boundary = sorted.findIndex(entry => {
+      const order = compare(entry.key, decoded.key);
+      return decoded.direction === 'next' ? order > 0 : order >= 0;
+    });
+    const position = boundary === -1 ? sorted.length : boundary;
+    start = decoded.direction === 'next' ? position : Math.max(0, position - limit);
+  } else {
+    start = ((page || 1) - 1) * limit;
+  }
+
+  const pageEntries = sorted.slice(start, start + limit);
+  const hasNext = start + limit < sorted.length;
+  const hasPrev = start > 0 && sorted.length > 0;
+
+  return {
+    data: pageEntries.map(entry => entry.property),
+    total: sorted.length,
+    offset: start,
+    nextCursor: hasNext && pageEntries.length > 0
+      ? encodeCursor(pageEntries[pageEntries.length - 1].key, 'next')
+      : null,
+    prevCursor: hasPrev && pageEntries.length > 0
+      ? encodeCursor(pageEntries[0].key, 'prev')
+      : null,
+    hasNext,
+    hasPrev
+  };
+};
+
+/**
+ * Copy a property keeping only the requested fields (the ID is always kept)
+ * @param {Object} property - Property
+ * @param {Array} [fields] - Field names; all fields when omitted
+ * @returns {Object} Projected copy of the property
+ */
+const projectFields = (property, fields) => {
+  if (!fields) {
+    return { ...property };
+  }
+  const projected = { id: property.id };
+  fields.forEach(field => {
+    if (property[field] !== undefined) {
+      projected[field] = property[field];
+    }
+  });
+  return projected;
+};
+
+/**
+ * Build a link to the current listing endpoint with some query parameters replaced
+ * @param {Object} req - Express request object
+ * @param {Object} overrides - Query parameters to set (null removes a parameter)
+ * @returns {string} Relative URL
+ */
+const buildLink = (req, overrides) => {
+  const params = new URLSearchParams();
+  Object.entries({ ...req.query, ...overrides }).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      params.set(key, value);
+    }
+  });
+  const query = params.toString();
+  return `${req.baseUrl}${req.path}${query ? `?${query}` : ''}`;
+};
+
+module.exports = {
+  SORTS,
+  paginate,
+  projectFields,
+  buildLink
+};
@@ -0,0 +1,86 @@
+// Fields that change with every revision (or are derived from other fields) and are left out of diffs
+const UNDIFFED_FIELDS = ['revision', 'updatedAt', 'statusHistory'];
+
+/**
+ * Whether two stored values are the same (values are plain JSON)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level differences between two versions of a property
+ * @param {Object|null} before - Previous version (null for a new property)
+ * @param {Object} after - New version
+ * @returns {Array} Changes as { field, from, to }; from/to are omitted when the field was added/removed
+ */
+const diffProperties = (before, after) => {
+  const previous = before || {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(after)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (UNDIFFED_FIELDS.includes(field) || isSameValue(previous[field], after[field])) {
+      return;
+    }
+    const change = { field };
+    if (previous[field] !== undefined) {
+      change.from = previous[field];
+    }
+    if (after[field] !== undefined) {
+      change.to = after[field];
+    }
+    changes.push(change);
+  });
+  return changes;
+};
+
+/**
+ * Build the revision record for a property change
+ * @param {string} action - What happened (create, update, status, images, transfer, revert, delete, restore)
+ * @param {Object|null} before - Previous version (null for a new property)
+ * @param {Object} after - New version, with its revision number
+ * @param {Object} [details] - Who made the change and why
+ * @param {string} [details.actor] - ID of the user making the change
+ * @param {string} [details.requestId] - ID of the request that made it
+ * @param {string} [details.note] - Reason for the change
+ * @param {number} [details.revertedTo] - Revision restored by a revert
+ * @returns {Object} Revision record
+ */
+const createRevision = (action, before, after, { actor, requestId, note, revertedTo } = {}) => {
+  const revision = {
+    id: `${after.id}@${after.revision}`,
+    propertyId: after.id,
+    rev: after.revision,
+    action,
+    actor: actor || null,
+    requestId: requestId || null,
+    at: new Date().toISOString(),
+    changes: diffProperties(before, after),
+    snapshot: after
+  };
+  if (note) {
+    revision.note = note;
+  }
+  if (revertedTo !== undefined) {
+    revision.revertedTo = revertedTo;
+  }
+  return revision;
+};
+
+/**
+ * Revision summary for history listings (without the snapshot)
+ * @param {Object} revision - Revision record
+ * @returns {Object} Summary
+ */
+const summarizeRevision = (revision) => {
+  const { snapshot, ...summary } = revision;
+  return summary;
+};
+
+module.exports = {
+  diffProperties,
+  createRevision,
+  summarizeRevision
+};
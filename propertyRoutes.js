@@ -1,42 +1,240 @@
 
 const express = require('express');
 const router = express.Router();
-const { validatePropertyForm } = require('../middleware/validation');
-const { addProperty, getProperties, getProperty, updatePropertyById, deletePropertyById } = require('../controllers/propertyController');
+const { validatePropertyForm, validatePropertyPatch, validatePropertyQuery, validateImportQuery, validatePropertyImages, validateImageOrder, validateImageUpdate, validateOwnerTransfer, validateStatusChange, validateInquiryStatus, validateViewingSlots, validateViewingBooking } = require('../middleware/validation');
+const { parseMultipartProperty } = require('../middleware/imageUpload');
+const { parseImportUpload } = require('../middleware/importUpload');
+const { requireAuth, optionalAuth, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { addProperty, getProperties, getProperty, updatePropertyById, patchPropertyById, changePropertyStatus, transferPropertyOwner, deletePropertyById, getTrash, restorePropertyById } = require('../controllers/propertyController');
+const { getPropertyHistory, getPropertyRevisionById, revertProperty } = require('../controllers/propertyHistoryController');
+const { getPropertyInquiries, changeInquiryStatus } = require('../controllers/contactController');
+const { getPropertyViewingSlots, addPropertyViewingSlots, deletePropertyViewingSlot, bookPropertyViewing, getPropertyViewings, getPropertyViewingFeed, getPropertyViewing, downloadPropertyViewingCalendar, cancelPropertyViewing, confirmViewingCancellation, cancelViewingFromLink } = require('../controllers/viewingController');
+const { importPropertyListings } = require('../controllers/propertyImportController');
+const { getPropertyImage, addPropertyImages, deletePropertyImage, reorderPropertyImages, updatePropertyImage } = require('../controllers/propertyImageController');
 
 /**
  * @route   POST /api/property
- * @desc    Add new property
- * @access  Public
+ * @desc    Add new property (JSON with base64 images, or multipart/form-data with image files).
+ *          Retries with the same Idempotency-Key header replay the first response
+ * @access  Private (admin, agent, landlord)
+ */
+router.post('/property', requireAuth, authorize('create'), parseMultipartProperty, idempotent, validatePropertyForm, addProperty);
+
+/**
+ * @route   POST /api/property/import
+ * @desc    Bulk import listings as drafts from a JSON array, CSV (text/csv) or a zip bundle
+ *          (application/zip) whose listings file references images by path inside the bundle.
+ *          ?dryRun=true returns a per-row report without saving; ?allOrNothing=true imports
+ *          nothing if any row is invalid. Retries with the same Idempotency-Key replay the first response
+ * @access  Private (admin, agent, landlord)
  */
-router.post('/property', validatePropertyForm, addProperty);
+router.post('/property/import', requireAuth, authorize('create'), validateImportQuery, parseImportUpload, idempotent, importPropertyListings);
 
 /**
  * @route   GET /api/property
- * @desc    Get all properties with optional filters
+ * @desc    Get published properties (or ?status= for staff and owner=me) with optional filters, sorting, pagination and field selection
  * @access  Public
  */
-router.get('/property', getProperties);
+router.get('/property', optionalAuth, validatePropertyQuery, getProperties);
+
+/**
+ * @route   GET /api/property/trash
+ * @desc    Get deleted properties awaiting purge (all for admins and agents, otherwise the caller's own)
+ * @access  Private (API key or bearer token)
+ */
+router.get('/property/trash', requireAuth, getTrash);
 
 /**
  * @route   GET /api/property/:id
- * @desc    Get property by ID
+ * @desc    Get property by ID (unpublished properties only for their owner, admins and agents); ETag, If-None-Match
  * @access  Public
  */
-router.get('/property/:id', getProperty);
+router.get('/property/:id', optionalAuth, getProperty);
+
+/**
+ * @route   GET /api/property/:id/history
+ * @desc    Get a property's revisions (newest first) with field-level changes, actor and request ID
+ * @access  Private (admin, agent, or the owning landlord)
+ */
+router.get('/property/:id/history', requireAuth, authorize('viewHistory'), getPropertyHistory);
+
+/**
+ * @route   GET /api/property/:id/history/:rev
+ * @desc    Get one revision of a property, with the property as it was after it
+ * @access  Private (admin, agent, or the owning landlord)
+ */
+router.get('/property/:id/history/:rev', requireAuth, authorize('viewHistory'), getPropertyRevisionById);
+
+/**
+ * @route   POST /api/property/:id/revert/:rev
+ * @desc    Restore a property's listing fields to a revision (validated like an update)
+ * @access  Private (admin, agent, or the owning landlord)
+ */
+router.post('/property/:id/revert/:rev', requireAuth, authorize('update'), revertProperty);
+
+/**
+ * @route   GET /api/property/:id/images/:filename
+ * @desc    Serve a listing image, or a resized variant with ?variant=thumbnail|medium|large
+ * @access  Public
+ */
+router.get('/property/:id/images/:filename', optionalAuth, getPropertyImage);
+
+/**
+ * @route   POST /api/property/:id/images
+ * @desc    Add images to a property (JSON with base64 images, or multipart/form-data with image files)
+ * @access  Private (admin, agent, or the owning landlord)
+ */
+router.post('/property/:id/images', requireAuth, authorize('update'), parseMultipartProperty, validatePropertyImages, addPropertyImages);
+
+/**
+ * @route   PUT /api/property/:id/images/order
+ * @desc    Reorder a property's images ({ order: [filename, ...] })
+ * @access  Private (admin, agent, or the owning landlord)
+ */
+router.put('/property/:id/images/order', requireAuth, authorize('update'), validateImageOrder, reorderPropertyImages);
+
+/**
+ * @route   PATCH /api/property/:id/images/:filename
+ * @desc    Set an image's caption and alt text, or make it the cover image
+ * @access  Private (admin, agent, or the owning landlord)
+ */
+router.patch('/property/:id/images/:filename', requireAuth, authorize('update'), validateImageUpdate, updatePropertyImage);
+
+/**
+ * @route   DELETE /api/property/:id/images/:filename
+ * @desc    Remove an image from a property and delete its files
+ * @access  Private (admin, agent, or the owning landlord)
+ */
+router.delete('/property/:id/images/:filename', requireAuth, authorize('update'), deletePropertyImage);
 
 /**
  * @route   PUT /api/property/:id
- * @desc    Update property by ID
+ * @desc    Update property by ID (JSON, or multipart/form-data with image files); images sent replace the property's images. Honours If-Match
+ * @access  Private (admin, agent, or the owning landlord)
+ */
+router.put('/property/:id', requireAuth, authorize('update'), parseMultipartProperty, validatePropertyForm, updatePropertyById);
+
+/**
+ * @route   PATCH /api/property/:id
+ * @desc    Partially update property by ID (application/merge-patch+json; null clears optional fields). Honours If-Match
+ * @access  Private (admin, agent, or the owning landlord)
+ */
+router.patch('/property/:id', requireAuth, authorize('update'), validatePropertyPatch, patchPropertyById);
+
+/**
+ * @route   POST /api/property/:id/status
+ * @desc    Move a property to another lifecycle status ({ status, note }); only admins and agents can publish
+ * @access  Private (admin, agent, or the owning landlord)
+ */
+router.post('/property/:id/status', requireAuth, authorize('update'), validateStatusChange, changePropertyStatus);
+
+/**
+ * @route   POST /api/property/:id/restore
+ * @desc    Restore a deleted property from the trash
+ * @access  Private (admin, or the owning agent or landlord)
+ */
+router.post('/property/:id/restore', requireAuth, authorize('restore'), restorePropertyById);
+
+/**
+ * @route   POST /api/property/:id/owner
+ * @desc    Transfer a property to another owner ({ ownerId })
+ * @access  Private (admin)
+ */
+router.post('/property/:id/owner', requireAuth, authorize('transfer'), validateOwnerTransfer, transferPropertyOwner);
+
+/**
+ * @route   GET /api/property/:id/inquiries
+ * @desc    Get the inquiries sent about a property, newest first (?status=new|responded|closed)
+ * @access  Private (admin, or the owning agent or landlord)
+ */
+router.get('/property/:id/inquiries', requireAuth, authorize('manageInquiries'), getPropertyInquiries);
+
+/**
+ * @route   PATCH /api/property/:id/inquiries/:inquiryId
+ * @desc    Mark an inquiry as new, responded or closed ({ status })
+ * @access  Private (admin, or the owning agent or landlord)
+ */
+router.patch('/property/:id/inquiries/:inquiryId', requireAuth, authorize('manageInquiries'), validateInquiryStatus, changeInquiryStatus);
+
+/**
+ * @route   GET /api/property/:id/viewing-slots
+ * @desc    Get a property's free upcoming viewing slots (every slot, with a booked flag, for its owner)
  * @access  Public
  */
-router.put('/property/:id', validatePropertyForm, updatePropertyById);
+router.get('/property/:id/viewing-slots', optionalAuth, getPropertyViewingSlots);
 
 /**
- * @route   DELETE /api/property/:id
- * @desc    Delete property by ID
+ * @route   POST /api/property/:id/viewing-slots
+ * @desc    Publish viewing slots ({ slots: [{ startsAt, endsAt }] }); slots may not overlap
+ * @access  Private (admin, or the owning agent or landlord)
+ */
+router.post('/property/:id/viewing-slots', requireAuth, authorize('manageViewings'), validateViewingSlots, addPropertyViewingSlots);
+
+/**
+ * @route   DELETE /api/property/:id/viewing-slots/:slotId
+ * @desc    Withdraw a viewing slot that has not been booked
+ * @access  Private (admin, or the owning agent or landlord)
+ */
+router.delete('/property/:id/viewing-slots/:slotId', requireAuth, authorize('manageViewings'), deletePropertyViewingSlot);
+
+/**
+ * @route   POST /api/property/:id/viewings
+ * @desc    Book a viewing slot of a published property; the confirmation email has an .ics attached.
+ *          Returns the token needed to download or cancel the viewing
  * @access  Public
  */
-router.delete('/property/:id', deletePropertyById);
+router.post('/property/:id/viewings', validateViewingBooking, bookPropertyViewing);
+
+/**
+ * @route   GET /api/property/:id/viewings
+ * @desc    Get a property's bookings (?upcoming=true) and the URL of its calendar feed
+ * @access  Private (admin, or the owning agent or landlord)
+ */
+router.get('/property/:id/viewings', requireAuth, authorize('manageViewings'), getPropertyViewings);
+
+/**
+ * @route   GET /api/property/:id/viewings.ics
+ * @desc    iCalendar feed of a property's upcoming viewings (?token= from the bookings list, for calendar apps)
+ * @access  Private (feed token, or admin and the owning agent or landlord)
+ */
+router.get('/property/:id/viewings.ics', optionalAuth, getPropertyViewingFeed);
+
+/**
+ * @route   GET /api/property/:id/viewings/:viewingId
+ * @desc    Get a booking
+ * @access  Private (the booker's ?token=, or admin and the owning agent or landlord)
+ */
+router.get('/property/:id/viewings/:viewingId', optionalAuth, getPropertyViewing);
+
+/**
+ * @route   GET /api/property/:id/viewings/:viewingId/calendar.ics
+ * @desc    Download a booking as an .ics file
+ * @access  Private (the booker's ?token=, or admin and the owning agent or landlord)
+ */
+router.get('/property/:id/viewings/:viewingId/calendar.ics', optionalAuth, downloadPropertyViewingCalendar);
+
+/**
+ * @route   DELETE /api/property/:id/viewings/:viewingId
+ * @desc    Cancel a booking, freeing its slot; the booker is emailed the calendar update
+ * @access  Private (the booker's ?token=, or admin and the owning agent or landlord)
+ */
+router.delete('/property/:id/viewings/:viewingId', optionalAuth, cancelPropertyViewing);
+
+/**
+ * @route   GET|POST /api/property/:id/viewings/:viewingId/cancel
+ * @desc    Cancellation link from the booking confirmation email (?token=): GET shows an
+ *          HTML page asking for confirmation, POST (its form) cancels the booking
+ * @access  Public (the booker's token)
+ */
+router.get('/property/:id/viewings/:viewingId/cancel', confirmViewingCancellation);
+router.post('/property/:id/viewings/:viewingId/cancel', cancelViewingFromLink);
+
+/**
+ * @route   DELETE /api/property/:id
+ * @desc    Move property to the trash (purged with its images after TRASH_RETENTION_DAYS). Honours If-Match
+ * @access  Private (admin, or the owning agent or landlord)
+ */
+router.delete('/property/:id', requireAuth, authorize('delete'), deletePropertyById);
 
 module.exports = router;
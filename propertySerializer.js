@@ -0,0 +1,44 @@
+const { getPropertyStatus } = require('./propertyStatus');
+
+/**
+ * Shape an image entry for API responses: the server-side filepath is dropped
+ * and URLs of the image endpoint are added for the original and each variant
+ * @param {Object} image - Stored image entry
+ * @param {string} imagesUrl - URL of the listing's images endpoint
+ * @returns {Object} Public image entry
+ */
+const serializeImage = (image, imagesUrl) => {
+  const publicImage = { ...image };
+  delete publicImage.filepath;
+
+  publicImage.url = `${imagesUrl}/${encodeURIComponent(image.filename)}`;
+  if (image.variants) {
+    publicImage.variants = {};
+    Object.entries(image.variants).forEach(([name, variant]) => {
+      publicImage.variants[name] = { ...variant, url: `${publicImage.url}?variant=${name}` };
+    });
+  }
+  return publicImage;
+};
+
+/**
+ * Shape a stored property for API responses; listings stored before statuses
+ * existed get their effective status
+ * @param {Object} property - Property
+ * @param {Object} req - Express request object (for the API base URL)
+ * @returns {Object} Public copy of the property
+ */
+const serializeProperty = (property, req) => {
+  const publicProperty = { ...property, status: getPropertyStatus(property) };
+  if (!Array.isArray(property.images)) {
+    return publicProperty;
+  }
+  const imagesUrl = `${req.baseUrl}/property/${encodeURIComponent(property.id)}/images`;
+  publicProperty.images = property.images.map(image => serializeImage(image, imagesUrl));
+  return publicProperty;
+};
+
+module.exports = {
+  serializeImage,
+  serializeProperty
+};
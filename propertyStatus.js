@@ -0,0 +1,40 @@
+// Lifecycle states of a listing; only published listings are shown publicly
+const PROPERTY_STATUSES = ['draft', 'pending_review', 'published', 'let_agreed', 'archived'];
+
+// Status of newly created listings
+const DEFAULT_STATUS = 'draft';
+
+// Listings stored before statuses existed were live, so they count as published
+const LEGACY_STATUS = 'published';
+
+// Allowed transitions: current status -> statuses it can move to
+const STATUS_TRANSITIONS = {
+  draft: ['pending_review', 'published', 'archived'],
+  pending_review: ['draft', 'published', 'archived'],
+  published: ['draft', 'let_agreed', 'archived'],
+  let_agreed: ['published', 'archived'],
+  archived: ['draft']
+};
+
+/**
+ * Current status of a property
+ * @param {Object} property - Property
+ * @returns {string} Status
+ */
+const getPropertyStatus = (property) => property.status || LEGACY_STATUS;
+
+/**
+ * Whether a listing may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  PROPERTY_STATUSES,
+  DEFAULT_STATUS,
+  STATUS_TRANSITIONS,
+  getPropertyStatus,
+  canTransition
+};
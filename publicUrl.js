@@ -0,0 +1,34 @@
+// Port the server listens on by default (see server.js), for links built outside a request
+const DEFAULT_PORT = 8090;
+
+/**
+ * Absolute URL of the API, for links sent by email or to calendar apps.
+ * PUBLIC_API_URL is the server's public origin (e.g. https://api.example.com);
+ * without it the request's origin is used, or localhost outside a request.
+ * @param {Object} [req] - Express request object
+ * @returns {string} URL ending in /api
+ */
+const getPublicApiUrl = (req) => {
+  const origin = process.env.PUBLIC_API_URL
+    || (req ? `${req.protocol}://${req.get('host')}` : `http://localhost:${process.env.PORT || DEFAULT_PORT}`);
+  return `${origin.replace(/\/$/, '')}/api`;
+};
+
+/**
+ * Link to a listing for people: LISTING_URL (a front-end page, with a
+ * {propertyId} placeholder) or the listing's API URL
+ * @param {string} propertyId - Property ID
+ * @returns {string} URL
+ */
+const getListingUrl = (propertyId) => {
+  const template = process.env.LISTING_URL;
+  if (template) {
+    return template.replace('{propertyId}', encodeURIComponent(propertyId));
+  }
+  return `${getPublicApiUrl()}/property/${encodeURIComponent(propertyId)}`;
+};
+
+module.exports = {
+  getPublicApiUrl,
+  getListingUrl
+};
@@ -0,0 +1,59 @@
+/**
+ * Permanently delete listings that have been in the trash longer than the
+ * retention period, together with their image files.
+ *
+ * Usage:
+ *   node purgeTrash.js [--retention-days <days>] [--dry-run]
+ *
+ * The retention period defaults to TRASH_RETENTION_DAYS (30 days if unset);
+ * --retention-days 0 empties the whole trash. The server runs the same purge
+ * periodically, so this is for purging on demand. --dry-run only lists the
+ * listings that would be purged.
+ */
+require('dotenv').config();
+
+const { getTrashRetentionDays, getPurgeDate, purgeExpiredTrash } = require('./src/utils/trash');
+
+/**
+ * Parse command line options: --dry-run is a flag, other options take a value
+ * @param {Array} argv - Command line arguments
+ * @returns {Object} Parsed options
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+};
+
+const purge = () => {
+  const options = parseArgs(process.argv.slice(2));
+  const retentionDays = options['retention-days'] === undefined
+    ? getTrashRetentionDays()
+    : Number(options['retention-days']);
+  if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+    throw new Error('--retention-days must be a non-negative number');
+  }
+
+  const properties = purgeExpiredTrash({ retentionDays, dryRun: Boolean(options.dryRun) });
+  properties.forEach(property => {
+    console.log(`${options.dryRun ? 'Would purge' : 'Purged'} ${property.id} "${property.title}" `
+      + `(deleted ${property.deletedAt}, due ${getPurgeDate(property, retentionDays)})`);
+  });
+
+  console.log(`✅ ${properties.length} listing(s) ${options.dryRun ? 'due for purging' : 'purged'} `
+    + `(retention: ${retentionDays} day(s))`);
+};
+
+try {
+  purge();
+} catch (error) {
+  console.error('Trash purge failed:', error.message);
+  process.exit(1);
+}
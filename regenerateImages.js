@@ -0,0 +1,135 @@
+/**
+ * Backfill resized image variants (thumbnail, medium, large) for stored listings.
+ *
+ * Usage:
+ *   node regenerateImages.js [--id <propertyId>] [--force]
+ *
+ * Images saved before variants existed, or whose variant files have gone
+ * missing, get their variants generated and recorded on the property's image
+ * entries together with the original's dimensions. --force regenerates every
+ * image, e.g. after the variant sizes change. Images whose original file is
+ * missing are reported and left untouched. Exits with a non-zero status if
+ * any image failed.
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getAllProperties, getPropertyById, updatePropertyImages } = require('./src/utils/storage');
+const { VARIANT_SIZES, generateVariants } = require('./src/utils/imageVariants');
+
+const UPLOAD_DIR = 'uploads/images';
+
+/**
+ * Parse command line options: --force is a flag, other options take a value
+ * @param {Array} argv - Command line arguments
+ * @returns {Object} Parsed options
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--force') {
+      options.force = true;
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+};
+
+/**
+ * Path of an image's original file
+ * @param {Object} image - Stored image entry
+ * @returns {string} File path
+ */
+const originalPath = (image) => image.filepath || path.join(UPLOAD_DIR, image.filename);
+
+/**
+ * Whether an image already has every variant on disk
+ * @param {Object} image - Stored image entry
+ * @returns {boolean} True if nothing needs generating
+ */
+const hasAllVariants = (image) => {
+  const dir = path.dirname(originalPath(image));
+  return Object.keys(VARIANT_SIZES).every(variant => image.variants && image.variants[variant]
+    && fs.existsSync(path.join(dir, image.variants[variant].filename)));
+};
+
+/**
+ * Generate the missing variants of one property's images and store them
+ * @param {Object} property - Property
+ * @param {boolean} force - Regenerate images that already have variants
+ * @returns {Promise<Object>} Counts: { generated, skipped, missing, failed }
+ */
+const regenerateProperty = async (property, force) => {
+  const counts = { generated: 0, skipped: 0, missing: 0, failed: 0 };
+  const updates = new Map(); // filename -> fields to merge into the image entry
+
+  for (const image of property.images || []) {
+    const filepath = originalPath(image);
+    if (!force && hasAllVariants(image)) {
+      counts.skipped++;
+      continue;
+    }
+    if (!fs.existsSync(filepath)) {
+      console.warn(`⚠️  ${property.id}: original ${filepath} is missing`);
+      counts.missing++;
+      continue;
+    }
+
+    try {
+      const metadata = await sharp(filepath).metadata();
+      updates.set(image.filename, {
+        mimeType: image.mimeType || `image/${metadata.format}`,
+        width: metadata.width,
+        height: metadata.height,
+        variants: await generateVariants(filepath)
+      });
+      counts.generated++;
+    } catch (error) {
+      console.error(`❌ ${property.id}: ${image.filename} failed:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  // Merge into the images as stored now, in case the listing changed while resizing
+  if (updates.size > 0) {
+    updatePropertyImages(property.id, images => images.map(image => (
+      updates.has(image.filename) ? { ...image, ...updates.get(image.filename) } : image
+    )), { touch: false, note: 'Regenerated image variants' });
+  }
+  return counts;
+};
+
+const regenerate = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  let properties;
+  if (options.id) {
+    const property = getPropertyById(options.id);
+    if (!property) {
+      throw new Error(`Property ${options.id} not found`);
+    }
+    properties = [property];
+  } else {
+    properties = getAllProperties();
+  }
+
+  const totals = { generated: 0, skipped: 0, missing: 0, failed: 0 };
+  for (const property of properties) {
+    const counts = await regenerateProperty(property, Boolean(options.force));
+    Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+  }
+
+  console.log(`✅ ${properties.length} listing(s): ${totals.generated} image(s) regenerated, `
+    + `${totals.skipped} already up to date, ${totals.missing} missing, ${totals.failed} failed`);
+  return totals.failed === 0;
+};
+
+regenerate()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('Image regeneration failed:', error.message);
+    process.exit(1);
+  });
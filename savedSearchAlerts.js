@@ -0,0 +1,165 @@
+const { matchesSearchFilters, getPropertyById, runInTransaction } = require('./storage');
+const { getPropertyStatus } = require('./propertyStatus');
+const { queueMail } = require('./mailOutbox');
+const { getPublicApiUrl, getListingUrl } = require('./publicUrl');
+const {
+  getActiveSavedSearches,
+  recordSavedSearchAlert,
+  getPendingSavedSearchAlerts,
+  completeSavedSearchDigest
+} = require('./savedSearchStore');
+
+// Daily searches get at most one digest in this period
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// How often the server looks for digests that are due
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Search filters for a saved search, as GET /api/property builds them.
+ * Saved searches only ever match published listings.
+ * @param {Object} filters - Saved (validated) filters
+ * @returns {Object} Search filters
+ */
+const toSearchFilters = ({ q, near, radius, bbox, propertyType, location, minPrice, maxPrice, beds, baths }) => {
+  const filters = { status: 'published' };
+  if (q) filters.q = q;
+  if (near) filters.near = { ...near, radius };
+  if (bbox) filters.bbox = bbox;
+  if (propertyType) filters.propertyType = propertyType;
+  if (location) filters.location = location;
+  if (minPrice !== undefined) filters.minPrice = minPrice;
+  if (maxPrice !== undefined) filters.maxPrice = maxPrice;
+  if (beds !== undefined) filters.beds = beds;
+  if (baths !== undefined) filters.baths = baths;
+  return filters;
+};
+
+/**
+ * Link that stops a saved search's alerts
+ * @param {Object} search - Stored saved search
+ * @returns {string} URL
+ */
+const getUnsubscribeUrl = (search) => `${getPublicApiUrl()}/saved-searches/${encodeURIComponent(search.id)}/unsubscribe?token=${encodeURIComponent(search.unsubscribeToken)}`;
+
+/**
+ * Queue an alert email for listings matching a saved search
+ * @param {Object} search - Stored saved search
+ * @param {Array} properties - Matching properties
+ * @param {Object} options - queueMail options (dedupeKey, requestId)
+ * @returns {Object} Queued message
+ */
+const queueAlert = (search, properties, options) => {
+  const unsubscribeUrl = getUnsubscribeUrl(search);
+  const { unsubscribeToken, ...publicSearch } = search;
+  return queueMail('savedSearchAlert', search.email, {
+    search: publicSearch,
+    properties: properties.map(property => ({ ...property, url: getListingUrl(property.id) })),
+    unsubscribeUrl
+  }, {
+    ...options,
+    // One-click unsubscribe from the mail client (RFC 8058)
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  });
+};
+
+/**
+ * Alert the saved searches a listing matches, now that it is published: instant
+ * searches get an email straight away, daily ones on their next digest. A
+ * listing is only ever alerted once per search, however often it is republished.
+ * @param {Object} property - Property that was saved or published
+ * @param {Object} [details] - Request details
+ * @param {string} [details.requestId] - ID of the request that saved or published it
+ * @returns {Array} IDs of the saved searches alerted
+ */
+const queueSavedSearchAlerts = (property, { requestId } = {}) => {
+  if (getPropertyStatus(property) !== 'published') {
+    return [];
+  }
+
+  const alerted = [];
+  getActiveSavedSearches().forEach(search => {
+    if (!matchesSearchFilters(property, toSearchFilters(search.filters))) {
+      return;
+    }
+
+    runInTransaction(() => {
+      const instant = search.frequency === 'instant';
+      const alert = recordSavedSearchAlert(search.id, property.id, instant ? 'sent' : 'pending');
+      if (!alert) {
+        return;
+      }
+      if (instant) {
+        queueAlert(search, [property], { dedupeKey: `savedSearchAlert:${alert.id}`, requestId });
+      }
+      alerted.push(search.id);
+    });
+  });
+  return alerted;
+};
+
+/**
+ * Send the digest of every daily saved search that has pending listings and has
+ * not had one for DIGEST_INTERVAL_MS. Listings that were unpublished in the
+ * meantime are dropped (and not alerted later).
+ * @returns {number} Number of digests queued
+ */
+const sendSavedSearchDigests = () => {
+  const now = Date.now();
+  let sent = 0;
+
+  getActiveSavedSearches()
+    .filter(search => search.frequency === 'daily' && Date.parse(search.lastDigestAt) + DIGEST_INTERVAL_MS <= now)
+    .forEach(search => {
+      const pending = getPendingSavedSearchAlerts(search.id);
+      if (pending.length === 0) {
+        return;
+      }
+
+      const properties = [];
+      const outcomes = pending.map(alert => {
+        const property = getPropertyById(alert.propertyId);
+        const available = property && getPropertyStatus(property) === 'published';
+        if (available) {
+          properties.push(property);
+        }
+        return { id: alert.id, status: available ? 'sent' : 'skipped' };
+      });
+
+      runInTransaction(() => {
+        if (properties.length > 0) {
+          queueAlert(search, properties, {});
+          sent++;
+        }
+        completeSavedSearchDigest(search.id, outcomes);
+      });
+    });
+  return sent;
+};
+
+/**
+ * Send due saved search digests now and then periodically while the server runs
+ * @returns {Object} Interval timer (does not keep the process alive)
+ */
+const scheduleSavedSearchDigests = () => {
+  const run = () => {
+    try {
+      sendSavedSearchDigests();
+    } catch (error) {
+      console.error('Saved search digest failed:', error.message);
+    }
+  };
+
+  run();
+  return setInterval(run, DIGEST_CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getUnsubscribeUrl,
+  queueSavedSearchAlerts,
+  sendSavedSearchDigests,
+  scheduleSavedSearchDigests
+};
@@ -0,0 +1,119 @@
+const { ApiError } = require('../utils/errorHandler');
+const { createSavedSearch, getSavedSearchesByOwner, deleteSavedSearch, unsubscribeSavedSearch } = require('../utils/savedSearchStore');
+const { getUnsubscribeUrl } = require('../utils/savedSearchAlerts');
+
+/**
+ * Save a listing search for alerts ({ name, email, frequency, filters })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const addSavedSearch = async (req, res, next) => {
+  try {
+    const { name, email, frequency, filters } = req.validatedData;
+    const { savedSearch, unsubscribeToken } = createSavedSearch({ ownerId: req.auth.id, email, name, frequency, filters });
+
+    console.log(`[${req.requestId}] Saved search ${savedSearch.id} (${frequency}) created by ${req.auth.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: frequency === 'daily'
+        ? 'Search saved; new listings will be emailed in a daily digest'
+        : 'Search saved; new listings will be emailed as they appear',
+      data: {
+        ...savedSearch,
+        unsubscribeUrl: getUnsubscribeUrl({ id: savedSearch.id, unsubscribeToken })
+      }
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to save search: ' + err.message, 500));
+  }
+};
+
+/**
+ * Get the caller's saved searches, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getSavedSearches = async (req, res, next) => {
+  try {
+    const searches = getSavedSearchesByOwner(req.auth.id);
+
+    res.status(200).json({
+      success: true,
+      count: searches.length,
+      data: searches
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to retrieve saved searches: ' + err.message, 500));
+  }
+};
+
+/**
+ * Delete one of the caller's saved searches
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteSavedSearchById = async (req, res, next) => {
+  try {
+    const deleted = deleteSavedSearch(req.params.id, req.auth.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    console.log(`[${req.requestId}] Saved search ${deleted.id} deleted by ${req.auth.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to delete saved search: ' + err.message, 500));
+  }
+};
+
+/**
+ * Stop a saved search's alerts with the ?token= from an alert's unsubscribe link
+ * (GET from the link, or POST for one-click unsubscribe from the mail client)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unsubscribeSavedSearchById = async (req, res, next) => {
+  try {
+    const search = unsubscribeSavedSearch(req.params.id, req.query.token);
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    console.log(`[${req.requestId}] Saved search ${search.id} unsubscribed`);
+
+    res.status(200).json({
+      success: true,
+      message: 'You will no longer receive alerts for this search'
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to unsubscribe: ' + err.message, 500));
+  }
+};
+
+module.exports = {
+  addSavedSearch,
+  getSavedSearches,
+  deleteSavedSearchById,
+  unsubscribeSavedSearchById
+};
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { validateSavedSearch } = require('../middleware/validation');
+const { requireAuth } = require('../middleware/auth');
+const { addSavedSearch, getSavedSearches, deleteSavedSearchById, unsubscribeSavedSearchById } = require('../controllers/savedSearchController');
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save listing filters (as for GET /api/property) to be alerted of new matches, instantly or in a daily digest
+ * @access  Private (API key or bearer token)
+ */
+router.post('/saved-searches', requireAuth, validateSavedSearch, addSavedSearch);
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    Get the caller's saved searches
+ * @access  Private (API key or bearer token)
+ */
+router.get('/saved-searches', requireAuth, getSavedSearches);
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete one of the caller's saved searches
+ * @access  Private (API key or bearer token)
+ */
+router.delete('/saved-searches/:id', requireAuth, deleteSavedSearchById);
+
+/**
+ * @route   GET|POST /api/saved-searches/:id/unsubscribe
+ * @desc    Stop a saved search's alerts (?token= from the alert email; POST for one-click unsubscribe)
+ * @access  Public (unsubscribe token)
+ */
+router.get('/saved-searches/:id/unsubscribe', unsubscribeSavedSearchById);
+router.post('/saved-searches/:id/unsubscribe', unsubscribeSavedSearchById);
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { getStorageAdapter, runInTransaction } = require('./storage');
+
+const SAVED_SEARCHES = 'savedSearches';
+
+// One record per (saved search, listing) ever alerted: its ID is what guarantees a listing is never sent twice
+const SAVED_SEARCH_ALERTS = 'savedSearchAlerts';
+
+// instant: one email per matching listing; daily: pending listings gathered into one email a day
+const ALERT_FREQUENCIES = ['instant', 'daily'];
+
+/**
+ * Public view of a saved search (never includes the unsubscribe token)
+ * @param {Object} search - Stored saved search
+ * @returns {Object} Saved search
+ */
+const describeSavedSearch = ({ unsubscribeToken, ...search }) => search;
+
+/**
+ * Save a search for alerts. The unsubscribe token is only available in the return value
+ * (and in the alerts' unsubscribe links).
+ * @param {Object} options - Saved search
+ * @param {string} options.ownerId - ID of the caller saving it
+ * @param {string} options.email - Where alerts are sent
+ * @param {string} [options.name] - Label chosen by the subscriber
+ * @param {string} options.frequency - instant or daily
+ * @param {Object} options.filters - Validated listing filters
+ * @returns {Object} { savedSearch, unsubscribeToken }
+ */
+const createSavedSearch = ({ ownerId, email, name, frequency, filters }) => {
+  const now = new Date().toISOString();
+  const record = {
+    id: `SRCH_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    ownerId,
+    email,
+    name: name || null,
+    frequency,
+    filters,
+    unsubscribeToken: crypto.randomBytes(24).toString('base64url'),
+    unsubscribedAt: null,
+    lastDigestAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  runInTransaction(() => getStorageAdapter().insert(SAVED_SEARCHES, record));
+  return { savedSearch: describeSavedSearch(record), unsubscribeToken: record.unsubscribeToken };
+};
+
+/**
+ * A caller's saved searches, newest first
+ * @param {string} ownerId - Caller ID
+ * @returns {Array} Saved searches
+ */
+const getSavedSearchesByOwner = (ownerId) => getStorageAdapter()
+  .list(SAVED_SEARCHES)
+  .filter(search => search.ownerId === ownerId)
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  .map(describeSavedSearch);
+
+/**
+ * Saved searches still sending alerts, with their unsubscribe tokens (for building alerts)
+ * @returns {Array} Stored saved searches
+ */
+const getActiveSavedSearches = () => getStorageAdapter()
+  .list(SAVED_SEARCHES)
+  .filter(search => !search.unsubscribedAt);
+
+/**
+ * Delete a caller's saved search and its alert history
+ * @param {string} id - Saved search ID
+ * @param {string} ownerId - Caller ID; the search must be theirs
+ * @returns {Object|null} Deleted saved search, or null if not found
+ */
+const deleteSavedSearch = (id, ownerId) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const search = adapter.get(SAVED_SEARCHES, id);
+  if (!search || search.ownerId !== ownerId) {
+    return null;
+  }
+  adapter.remove(SAVED_SEARCHES, id);
+  adapter.list(SAVED_SEARCH_ALERTS)
+    .filter(alert => alert.searchId === id)
+    .forEach(alert => adapter.remove(SAVED_SEARCH_ALERTS, alert.id));
+  return describeSavedSearch(search);
+});
+
+/**
+ * Stop a saved search's alerts with the token from an alert email. Unsubscribing twice is harmless.
+ * @param {string} id - Saved search ID
+ * @param {*} token - Unsubscribe token
+ * @returns {Object|null} Saved search, or null if not found or the token does not match
+ */
+const unsubscribeSavedSearch = (id, token) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const search = adapter.get(SAVED_SEARCHES, id);
+  if (!search || typeof token !== 'string' || token.length !== search.unsubscribeToken.length
+    || !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(search.unsubscribeToken))) {
+    return null;
+  }
+  if (search.unsubscribedAt) {
+    return describeSavedSearch(search);
+  }
+  const now = new Date().toISOString();
+  return describeSavedSearch(adapter.update(SAVED_SEARCHES, id, { ...search, unsubscribedAt: now, updatedAt: now }));
+});
+
+/**
+ * Record that a listing matched a saved search, unless it already has
+ * @param {string} searchId - Saved search ID
+ * @param {string} propertyId - Matching property ID
+ * @param {string} status - sent (alerted now) or pending (waiting for the digest)
+ * @returns {Object|null} New alert record, or null if the listing was alerted before
+ */
+const recordSavedSearchAlert = (searchId, propertyId, status) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const id = `${searchId}:${propertyId}`;
+  if (adapter.get(SAVED_SEARCH_ALERTS, id)) {
+    return null;
+  }
+  const now = new Date().toISOString();
+  return adapter.insert(SAVED_SEARCH_ALERTS, {
+    id,
+    searchId,
+    propertyId,
+    status,
+    createdAt: now,
+    sentAt: status === 'sent' ? now : null
+  });
+});
+
+/**
+ * Alerts waiting for a saved search's next digest, oldest first
+ * @param {string} searchId - Saved search ID
+ * @returns {Array} Alert records
+ */
+const getPendingSavedSearchAlerts = (searchId) => getStorageAdapter()
+  .list(SAVED_SEARCH_ALERTS)
+  .filter(alert => alert.searchId === searchId && alert.status === 'pending')
+  .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+/**
+ * Close a digest: mark its alerts done and remember when it went out
+ * @param {string} searchId - Saved search ID
+ * @param {Array} alerts - [{ id, status }] with status sent or skipped (listing no longer available)
+ */
+const completeSavedSearchDigest = (searchId, alerts) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const now = new Date().toISOString();
+  alerts.forEach(({ id, status }) => {
+    const alert = adapter.get(SAVED_SEARCH_ALERTS, id);
+    if (alert) {
+      adapter.update(SAVED_SEARCH_ALERTS, id, { ...alert, status, sentAt: status === 'sent' ? now : null });
+    }
+  });
+  const search = adapter.get(SAVED_SEARCHES, searchId);
+  if (search) {
+    adapter.update(SAVED_SEARCHES, searchId, { ...search, lastDigestAt: now });
+  }
+});
+
+module.exports = {
+  ALERT_FREQUENCIES,
+  createSavedSearch,
+  getSavedSearchesByOwner,
+  getActiveSavedSearches,
+  deleteSavedSearch,
+  unsubscribeSavedSearch,
+  recordSavedSearchAlert,
+  getPendingSavedSearchAlerts,
+  completeSavedSearchDigest
+};
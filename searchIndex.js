@@ -0,0 +1,399 @@
+// Words too common to help ranking
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Relative weight of a match in each searchable property field
+const FIELD_WEIGHTS = {
+  title: 3,
+  keyFeatures: 2,
+  address: 1.5,
+  description: 1
+};
+
+// BM25 parameters: term frequency saturation and field length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const SNIPPET_LENGTH = 160;
+
+// === Porter stemmer (M.F. Porter, 1980) ===
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+/**
+ * Reduce an English word to its stem ("stations" -> "station", "renovated" -> "renov")
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+const stem = (word) => {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) {
+    w = `Y${w.slice(1)}`;
+  }
+
+  // Step 1a: plurals
+  let match;
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    if (HAS_VOWEL.test(match[1])) {
+      w = match[1];
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (ENDS_CVC.test(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c: terminal y
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = `${match[1]}i`;
+  }
+
+  // Step 2: double suffixes
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness etc.
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: -ant, -ence etc.
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) {
+      w = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) {
+      w = match[1] + match[2];
+    }
+  }
+
+  // Step 5: tidy up -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return startsWithY ? `y${w.slice(1)}` : w;
+};
+
+// === Tokenization ===
+
+/**
+ * Split text into word tokens with their positions
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens ({ term, start, end }); stop words are dropped
+ */
+const tokenizeWithOffsets = (text) => {
+  const tokens = [];
+  for (const match of String(text).matchAll(TOKEN_PATTERN)) {
+    const word = match[0].toLowerCase();
+    if (!STOP_WORDS.has(word)) {
+      tokens.push({ term: stem(word), start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Split text into stemmed search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Terms
+ */
+const tokenize = (text) => tokenizeWithOffsets(text).map(token => token.term);
+
+/**
+ * Get the searchable text of a property field
+ * @param {Object} property - Property
+ * @param {string} field - Field name
+ * @returns {string} Field text
+ */
+const fieldText = (property, field) => {
+  const value = property[field];
+  if (Array.isArray(value)) {
+    return value.join(' \n ');
+  }
+  return typeof value === 'string' ? value : '';
+};
+
+// === Inverted index ===
+
+/**
+ * Create an inverted index over the text fields of properties, ranked with a
+ * field-weighted BM25. Implements the catalogue index interface (add/remove/clear)
+ * so it is kept up to date as properties are saved, updated and deleted.
+ * @param {Object} fieldWeights - Field name -> weight
+ * @returns {Object} Index
+ */
+const createTextIndex = (fieldWeights = FIELD_WEIGHTS) => {
+  const fields = Object.keys(fieldWeights);
+  // term -> Map(id -> { field: term frequency })
+  const postings = new Map();
+  // id -> { terms: Set, lengths: { field: token count } }
+  const documents = new Map();
+  const totalLengths = {};
+
+  const resetTotals = () => fields.forEach(field => {
+    totalLengths[field] = 0;
+  });
+  resetTotals();
+
+  /**
+   * Remove a document from the index by ID
+   * @param {string} id - Property ID
+   */
+  const removeDocument = (id) => {
+    const document = documents.get(id);
+    if (!document) {
+      return;
+    }
+    document.terms.forEach(term => {
+      const termPostings = postings.get(term);
+      termPostings.delete(id);
+      if (termPostings.size === 0) {
+        postings.delete(term);
+      }
+    });
+    fields.forEach(field => {
+      totalLengths[field] -= document.lengths[field];
+    });
+    documents.delete(id);
+  };
+
+  return {
+    add: (property) => {
+      removeDocument(property.id);
+      const document = { terms: new Set(), lengths: {} };
+
+      fields.forEach(field => {
+        const terms = tokenize(fieldText(property, field));
+        document.lengths[field] = terms.length;
+        totalLengths[field] += terms.length;
+
+        terms.forEach(term => {
+          if (!postings.has(term)) {
+            postings.set(term, new Map());
+          }
+          const termPostings = postings.get(term);
+          if (!termPostings.has(property.id)) {
+            termPostings.set(property.id, {});
+          }
+          const frequencies = termPostings.get(property.id);
+          frequencies[field] = (frequencies[field] || 0) + 1;
+          document.terms.add(term);
+        });
+      });
+
+      documents.set(property.id, document);
+    },
+
+    remove: (property) => removeDocument(property.id),
+
+    clear: () => {
+      postings.clear();
+      documents.clear();
+      resetTotals();
+    },
+
+    /**
+     * Whether an indexed property matches at least one query term, as search() would find it
+     * @param {string} id - Property ID
+     * @param {string} query - Free-text query
+     * @returns {boolean} True if the property matches
+     */
+    matches: (id, query) => {
+      const document = documents.get(id);
+      return Boolean(document) && tokenize(query).some(term => document.terms.has(term));
+    },
+
+    /**
+     * Score every property matching at least one query term
+     * @param {string} query - Free-text query
+     * @returns {Map} Property ID -> relevance score
+     */
+    search: (query) => {
+      const terms = [...new Set(tokenize(query))];
+      const scores = new Map();
+      const matchedTerms = new Map();
+      const documentCount = documents.size;
+      if (terms.length === 0 || documentCount === 0) {
+        return scores;
+      }
+
+      terms.forEach(term => {
+        const termPostings = postings.get(term);
+        if (!termPostings) {
+          return;
+        }
+        const idf = Math.log(1 + (documentCount - termPostings.size + 0.5) / (termPostings.size + 0.5));
+
+        termPostings.forEach((frequencies, id) => {
+          const { lengths } = documents.get(id);
+          let termScore = 0;
+          Object.entries(frequencies).forEach(([field, frequency]) => {
+            const averageLength = totalLengths[field] / documentCount || 1;
+            const norm = 1 - B + B * (lengths[field] / averageLength);
+            termScore += fieldWeights[field] * (frequency * (K1 + 1)) / (frequency + K1 * norm);
+          });
+          scores.set(id, (scores.get(id) || 0) + idf * termScore);
+          matchedTerms.set(id, (matchedTerms.get(id) || 0) + 1);
+        });
+      });
+
+      // Favour listings matching more of the query ("balcony near station")
+      scores.forEach((score, id) => {
+        scores.set(id, score * (matchedTerms.get(id) / terms.length));
+      });
+      return scores;
+    }
+  };
+};
+
+// === Highlighting ===
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Highlight the query terms in a piece of text, trimming long text to the
+ * window with the most matches. Text is HTML-escaped; matches are wrapped in <mark>.
+ * @param {string} text - Text to highlight
+ * @param {Set} terms - Stemmed query terms
+ * @param {number} maxLength - Maximum snippet length before trimming
+ * @returns {string|null} Highlighted snippet, or null if nothing matched
+ */
+const highlightText = (text, terms, maxLength = SNIPPET_LENGTH) => {
+  const matches = tokenizeWithOffsets(text).filter(token => terms.has(token.term));
+  if (matches.length === 0) {
+    return null;
+  }
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    // Pick the window that covers the most matches
+    let best = 0;
+    matches.forEach((anchor, i) => {
+      const covered = matches.slice(i).filter(token => token.end <= anchor.start + maxLength).length;
+      if (covered > best) {
+        best = covered;
+        start = anchor.start;
+      }
+    });
+    // Show a little context before the first match, starting on a word boundary
+    start = Math.max(0, start - 30);
+    while (start > 0 && /[\p{L}\p{N}]/u.test(text[start - 1])) {
+      start++;
+    }
+    end = Math.min(text.length, start + maxLength);
+    while (end < text.length && /[\p{L}\p{N}]/u.test(text[end])) {
+      end--;
+    }
+  }
+
+  let snippet = start > 0 ? '…' : '';
+  let cursor = start;
+  matches
+    .filter(token => token.start >= start && token.end <= end)
+    .forEach(token => {
+      snippet += `${escapeHtml(text.slice(cursor, token.start))}<mark>${escapeHtml(text.slice(token.start, token.end))}</mark>`;
+      cursor = token.end;
+    });
+  snippet += escapeHtml(text.slice(cursor, end));
+  return end < text.length ? `${snippet}…` : snippet;
+};
+
+/**
+ * Build highlighted snippets of a property for a query
+ * @param {Object} property - Property
+ * @param {string} query - Free-text query
+ * @returns {Object} Field name -> snippet (keyFeatures -> array of matching features)
+ */
+const highlightProperty = (property, query) => {
+  const terms = new Set(tokenize(query));
+  const highlights = {};
+
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    if (Array.isArray(property[field])) {
+      const features = property[field]
+        .map(feature => highlightText(String(feature), terms))
+        .filter(Boolean);
+      if (features.length > 0) {
+        highlights[field] = features;
+      }
+      return;
+    }
+    const snippet = highlightText(fieldText(property, field), terms);
+    if (snippet) {
+      highlights[field] = snippet;
+    }
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  FIELD_WEIGHTS,
+  stem,
+  tokenize,
+  createTextIndex,
+  highlightProperty
+};
@@ -12,7 +12,14 @@ require('dotenv').config();
 
 const contactRoutes = require('./src/routes/contactRoutes');
 const propertyRoutes = require('./src/routes/propertyRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
+const savedSearchRoutes = require('./src/routes/savedSearchRoutes');
 const { logError } = require('./src/utils/errorHandler');
+const { initializeStorage } = require('./src/utils/storage');
+const { scheduleTrashPurge } = require('./src/utils/trash');
+const { scheduleMailDelivery } = require('./src/utils/mailOutbox');
+const { scheduleExpiryNotices } = require('./src/utils/mailNotifications');
+const { scheduleSavedSearchDigests } = require('./src/utils/savedSearchAlerts');
 
 const app = express();
 
@@ -22,15 +29,31 @@ app.use(helmet());
 // Enable compression for better performance with large payloads
 app.use(compression());
 
+// Listing image downloads: one page of listings loads dozens of thumbnails, so they
+// have their own, higher limit instead of counting against the global one
+const IMAGE_DOWNLOAD_PATH = /^\/api\/property\/[^/]+\/images\/[^/]+$/;
+const isImageDownload = (req) => (req.method === 'GET' || req.method === 'HEAD') && IMAGE_DOWNLOAD_PATH.test(req.path);
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
   message: 'Too many requests from this IP, please try again later',
   standardHeaders: true,
   legacyHeaders: false,
+  skip: isImageDownload,
+});
+
+const imageLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.IMAGE_RATE_LIMIT || '3000', 10),
+  message: 'Too many image requests from this IP, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !isImageDownload(req),
 });
 
 app.use(limiter);
+app.use(imageLimiter);
 
 const contactLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
@@ -42,7 +65,7 @@ const contactLimiter = rateLimit({
 app.use(bodyParser.json({ 
   limit: '100mb',
   parameterLimit: 50000,
-  type: 'application/json'
+  type: ['application/json', 'application/merge-patch+json']
 }));
 app.use(bodyParser.urlencoded({ 
   extended: true, 
@@ -62,12 +85,20 @@ app.use(mongoSanitize());
 app.use(xss());
 app.use(hpp());
 
+// CORS_ORIGIN is a comma-separated list of allowed origins; without it any origin may call the
+// API, but then without credentials, since browsers reject a wildcard origin with credentials
+const corsOrigins = (process.env.CORS_ORIGIN || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(origin => origin && origin !== '*');
+
 const corsOptions = {
-  origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  origin: corsOrigins.length > 0 ? corsOrigins : '*',
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match', 'If-None-Match', 'Idempotency-Key'],
+  exposedHeaders: ['X-Request-ID', 'WWW-Authenticate', 'ETag', 'Idempotent-Replayed', 'Retry-After', 'Content-Disposition'],
   maxAge: 3600,
-  credentials: true
+  credentials: corsOrigins.length > 0
 };
 app.use(cors(corsOptions));
 
@@ -105,6 +136,17 @@ async function getSecret(secretName) {
 
 // === App Startup ===
 (async () => {
+  // Refuse to start on corrupt data rather than serving (and then overwriting) an empty catalogue
+  try {
+    initializeStorage();
+  } catch (err) {
+    console.error('❌ Storage check failed:', err.message);
+    process.exit(1);
+  }
+
+  // Deleted listings are purged, images included, once TRASH_RETENTION_DAYS have passed
+  scheduleTrashPurge();
+
   // Load secrets
   if (process.env.NODE_ENV === 'production') {
     // Load secrets from GCP Secret Manager
@@ -112,22 +154,25 @@ async function getSecret(secretName) {
     // const inquiryEmailPassword = await getSecret('EMAIL_PASSWORD') || process.env.EMAIL_APP_PASSWORD;
     const inquiryEmailId = process.env.EMAIL_USER;
     const inquiryEmailPassword = process.env.EMAIL_APP_PASSWORD;
+    // Only set what was found: assigning an unset variable stores the string "undefined"
     const recipientEmail = await getSecret('TO_EMAIL_ID') || process.env.RECIPIENT_EMAIL;
-    if (inquiryEmailPassword) {
-      process.env.EMAIL_USER = inquiryEmailId;
-      process.env.EMAIL_APP_PASSWORD = inquiryEmailPassword;
-      process.env.RECIPIENT_EMAIL = recipientEmail;
+    if (inquiryEmailId && inquiryEmailPassword) {
+      if (recipientEmail) {
+        process.env.RECIPIENT_EMAIL = recipientEmail;
+      }
       console.log(`🔐 Secret loaded: Inquiry Email`);
     } else {
       console.warn('⚠️ Inquiry Email not loaded from Secret Manager');
     }
   } else {
     console.log('🧪 Skipping GCP secret loading in non-production mode');
-    process.env.EMAIL_USER = process.env.EMAIL_USER;
-    process.env.EMAIL_APP_PASSWORD = process.env.EMAIL_APP_PASSWORD;
-    process.env.RECIPIENT_EMAIL = process.env.RECIPIENT_EMAIL;
   }
 
+  // Outgoing email is sent from the outbox once the SMTP credentials are known
+  scheduleMailDelivery();
+  scheduleExpiryNotices();
+  scheduleSavedSearchDigests();
+
   // Routes (after secrets and middleware)
   app.use('/api/contact', contactLimiter); // Apply rate limit to contact
   
@@ -136,11 +181,14 @@ async function getSecret(secretName) {
     windowMs: 60 * 60 * 1000, // 1 hour
     max: 20, // Allow more requests for property submissions
     message: 'Too many property submissions from this IP, please try again later',
+    skip: (req) => req.method === 'GET' || req.method === 'HEAD', // Reads only count against the global (or image) limit
   });
   app.use('/api/property', propertyLimiter);
   
   app.use('/api', contactRoutes);
   app.use('/api', propertyRoutes);
+  app.use('/api', adminRoutes);
+  app.use('/api', savedSearchRoutes);
 
   app.get('/health', (req, res) => {
     res.status(200).json({
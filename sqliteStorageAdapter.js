@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { StorageCorruptionError } = require('./storageErrors');
+
+const COLLECTION_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const TABLE_PREFIX = 'collection_';
+
+/**
+ * Create a storage adapter backed by an embedded SQLite database.
+ * Each collection is a table of JSON documents keyed by record ID;
+ * the autoincrement `seq` column preserves insertion order.
+ * @param {Object} options - Adapter options
+ * @param {string} options.filename - Path to the SQLite database file
+ * @returns {Object} Storage adapter
+ */
+const createSqliteStorageAdapter = ({ filename }) => {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  const statements = new Map();
+  let commitCallbacks = null;
+
+  /**
+   * Get (and lazily create) the prepared statements for a collection
+   * @param {string} collection - Collection name
+   * @returns {Object} Prepared statements
+   */
+  const collectionStatements = (collection) => {
+    if (statements.has(collection)) {
+      return statements.get(collection);
+    }
+
+    if (!COLLECTION_NAME_PATTERN.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+
+    const table = `"${TABLE_PREFIX}${collection}"`;
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      data TEXT NOT NULL
+    )`);
+
+    const prepared = {
+      list: db.prepare(`SELECT data FROM ${table} ORDER BY seq`),
+      get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+      insert: db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`),
+      update: db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`),
+      remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+      clear: db.prepare(`DELETE FROM ${table}`)
+    };
+    statements.set(collection, prepared);
+    return prepared;
+  };
+
+  return {
+    name: 'sqlite',
+
+    list: (collection) => collectionStatements(collection).list.all()
+      .map(row => JSON.parse(row.data)),
+
+    get: (collection, id) => {
+      const row = collectionStatements(collection).get.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    insert: (collection, record) => {
+      collectionStatements(collection).insert.run(record.id, JSON.stringify(record));
+      return record;
+    },
+
+    update: (collection, id, record) => {
+      const { changes } = collectionStatements(collection).update.run(JSON.stringify(record), id);
+      return changes > 0 ? record : null;
+    },
+
+    remove: (collection, id) => collectionStatements(collection).remove.run(id).changes > 0,
+
+    replaceAll: (collection, records) => {
+      const prepared = collectionStatements(collection);
+      db.transaction(() => {
+        prepared.clear.run();
+        records.forEach(record => prepared.insert.run(record.id, JSON.stringify(record)));
+      })();
+    },
+
+    /**
+     * Run a function inside an IMMEDIATE transaction so concurrent writers are
+     * serialized; nested calls become savepoints of the outer transaction
+     * @param {Function} fn - Function to run
+     * @returns {*} Return value of fn
+     */
+    transaction: (fn) => {
+      if (db.inTransaction) {
+        return db.transaction(fn)();
+      }
+
+      commitCallbacks = [];
+      try {
+        return db.transaction(() => {
+          const result = fn();
+          while (commitCallbacks.length > 0) {
+            commitCallbacks.shift()();
+          }
+          return result;
+        }).immediate();
+      } finally {
+        commitCallbacks = null;
+      }
+    },
+
+    /**
+     * Run a callback once the current transaction's writes are applied, before
+     * other connections can write (immediately when no transaction is active)
+     * @param {Function} callback - Callback to run
+     */
+    onCommit: (callback) => {
+      if (commitCallbacks) {
+        commitCallbacks.push(callback);
+      } else {
+        callback();
+      }
+    },
+
+    /**
+     * Token that changes whenever another connection commits to the database.
+     * Commits made through this adapter do not change it.
+     * @returns {number} Version token
+     */
+    version: () => db.pragma('data_version', { simple: true }),
+
+    listCollections: () => db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE ?")
+      .all(`${TABLE_PREFIX}%`)
+      .map(row => row.name.slice(TABLE_PREFIX.length)),
+
+    /**
+     * Startup check: verify the database file is intact
+     */
+    recover: () => {
+      const result = db.pragma('integrity_check', { simple: true });
+      if (result !== 'ok') {
+        throw new StorageCorruptionError(`SQLite database ${filename} failed integrity check: ${result}`, filename);
+      }
+    },
+
+    close: () => db.close()
+  };
+};
+
+module.exports = {
+  createSqliteStorageAdapter
+};
@@ -1,77 +1,285 @@
-
-const fs = require('fs');
 const path = require('path');
+const { createCatalogue, createSubstringIndex, createValueIndex, createRangeIndex } = require('./propertyCatalogue');
+const { createTextIndex } = require('./searchIndex');
+const { createGeoIndex, distanceKm, hasCoordinates, isWithinBox } = require('./geoIndex');
+const { DEFAULT_STATUS, getPropertyStatus, canTransition } = require('./propertyStatus');
+const { createRevision } = require('./propertyRevisions');
+const { VersionConflictError } = require('./storageErrors');
 
 // Data directory
 const DATA_DIR = path.join(__dirname, '../../data');
-const PROPERTIES_FILE = path.join(DATA_DIR, 'properties.json');
+const PROPERTIES = 'properties';
+const REVISIONS_PREFIX = 'propertyRevisions_';
+// Before revisions were kept per listing, every listing's history shared this collection
+const LEGACY_REVISIONS = 'propertyRevisions';
+const DEFAULT_REVISION_LIMIT = 50;
 
 /**
- * Ensure data directory exists
+ * Storage adapters implement the same record-level interface, so the
+ * property functions below work unchanged on top of any of them:
+ *   list(collection)                -> Array of records in insertion order
+ *   get(collection, id)             -> Record or null
+ *   insert(collection, record)      -> Inserted record
+ *   update(collection, id, record)  -> Replaced record or null if not found
+ *   remove(collection, id)          -> true if a record was removed
+ *   replaceAll(collection, records) -> Replace the whole collection
+ *   transaction(fn)                 -> Run fn with mutations serialized and applied atomically
+ *   onCommit(callback)              -> Run callback once the current transaction is applied
+ *   version(collection)             -> Token that changes when another process modifies the data
+ *   listCollections()               -> Names of stored collections
+ *   recover()                       -> Startup integrity check and recovery
+ *   close()                         -> Release resources
  */
-const ensureDataDir = () => {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+const ADAPTERS = {
+  json: (options) => require('./jsonStorageAdapter').createJsonStorageAdapter({
+    dataDir: options.dataDir || DATA_DIR,
+    backupCount: parseInt(process.env.STORAGE_BACKUP_COUNT || '5', 10)
+  }),
+  sqlite: (options) => require('./sqliteStorageAdapter').createSqliteStorageAdapter({
+    filename: options.filename
+      || process.env.STORAGE_SQLITE_FILE
+      || path.join(options.dataDir || DATA_DIR, 'storage.sqlite')
+  })
+};
+
+/**
+ * Create a storage adapter
+ * @param {string} type - Adapter type (json or sqlite)
+ * @param {Object} options - Adapter specific options
+ * @returns {Object} Storage adapter
+ */
+const createStorageAdapter = (type, options = {}) => {
+  const factory = ADAPTERS[type];
+  if (!factory) {
+    throw new Error(`Unknown storage adapter "${type}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
   }
+  return factory(options);
 };
 
+let adapter = null;
+
 /**
- * Read properties from file
- * @returns {Array} Array of properties
+ * Get the configured storage adapter, selected by STORAGE_ADAPTER (default: json)
+ * @returns {Object} Storage adapter
  */
-const readProperties = () => {
-  try {
-    ensureDataDir();
-    if (!fs.existsSync(PROPERTIES_FILE)) {
-      return [];
+const getStorageAdapter = () => {
+  if (!adapter) {
+    adapter = createStorageAdapter(process.env.STORAGE_ADAPTER || 'json');
+  }
+  return adapter;
+};
+
+/**
+ * Name of the collection holding one listing's revisions. Each listing has its
+ * own, so a change only rewrites (and backs up) that listing's history.
+ * @param {string} id - Property ID
+ * @returns {string|null} Collection name, or null if the ID cannot be a property ID
+ */
+const revisionsCollection = (id) => (typeof id === 'string' && /^[A-Za-z0-9_]+$/.test(id)
+  ? `${REVISIONS_PREFIX}${id}`
+  : null);
+
+/**
+ * How many revisions are kept per listing (PROPERTY_REVISION_LIMIT)
+ * @returns {number} Revision limit
+ */
+const getRevisionLimit = () => {
+  const limit = parseInt(process.env.PROPERTY_REVISION_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_REVISION_LIMIT;
+};
+
+/**
+ * Move revisions from the shared collection of earlier versions into the
+ * per-listing collections, keeping the most recent of each listing
+ * @param {Object} storage - Storage adapter
+ */
+const splitLegacyRevisions = (storage) => {
+  if (!storage.listCollections().includes(LEGACY_REVISIONS)) {
+    return;
+  }
+  storage.transaction(() => {
+    const byProperty = new Map();
+    storage.list(LEGACY_REVISIONS).forEach(revision => {
+      if (!byProperty.has(revision.propertyId)) {
+        byProperty.set(revision.propertyId, []);
+      }
+      byProperty.get(revision.propertyId).push(revision);
+    });
+    if (byProperty.size === 0) {
+      return;
     }
-    const data = fs.readFileSync(PROPERTIES_FILE, 'utf8');
-    return JSON.parse(data);
+
+    byProperty.forEach((revisions, id) => {
+      const collection = revisionsCollection(id);
+      if (collection) {
+        const kept = [...storage.list(collection), ...revisions]
+          .sort((a, b) => a.rev - b.rev)
+          .slice(-getRevisionLimit());
+        storage.replaceAll(collection, kept);
+      }
+    });
+    storage.replaceAll(LEGACY_REVISIONS, []);
+    console.log(`Moved the revisions of ${byProperty.size} listing(s) into per-listing history`);
+  });
+};
+
+/**
+ * Check the configured storage at startup, restoring corrupt data from backups.
+ * Throws if the data cannot be recovered so the server does not start on an empty catalogue.
+ */
+const initializeStorage = () => {
+  const storage = getStorageAdapter();
+  storage.recover();
+  splitLegacyRevisions(storage);
+};
+
+/**
+ * Run several storage operations as one serialized, atomic unit
+ * @param {Function} fn - Function performing the operations
+ * @returns {*} Return value of fn
+ */
+const runInTransaction = (fn) => getStorageAdapter().transaction(fn);
+
+/**
+ * Whether a property is in the trash (soft-deleted, kept until purged)
+ * @param {Object} property - Stored property
+ * @returns {boolean} True if deleted
+ */
+const isTrashed = (property) => Boolean(property.deletedAt);
+
+/**
+ * Read a property that is not in the trash, inside a transaction
+ * @param {Object} adapter - Storage adapter
+ * @param {string} id - Property ID
+ * @returns {Object|null} Property or null if not found or deleted
+ */
+const getLiveProperty = (adapter, id) => {
+  const property = adapter.get(PROPERTIES, id);
+  return property && !isTrashed(property) ? property : null;
+};
+
+// In-memory read path: every property not in the trash, cached with secondary indexes for searchProperties
+const catalogue = createCatalogue({
+  load: () => getStorageAdapter().list(PROPERTIES).filter(property => !isTrashed(property)),
+  version: () => getStorageAdapter().version(PROPERTIES),
+  indexes: {
+    propertyType: createSubstringIndex('propertyType'),
+    location: createSubstringIndex('location'),
+    ownerId: createValueIndex('ownerId'),
+    status: createValueIndex('status', getPropertyStatus),
+    price: createRangeIndex('price'),
+    beds: createRangeIndex('beds'),
+    baths: createRangeIndex('baths'),
+    text: createTextIndex(),
+    geo: createGeoIndex()
+  }
+});
+
+/**
+ * Run a property mutation under the storage lock with the catalogue in sync.
+ * The mutation reports its changes to the catalogue through adapter.onCommit;
+ * if it fails, the catalogue is invalidated and reloads from storage on the next read.
+ * @param {Function} fn - Mutation, called with the storage adapter
+ * @returns {*} Return value of fn
+ */
+const mutateProperties = (fn) => {
+  try {
+    return runInTransaction(() => {
+      catalogue.refresh();
+      return fn(getStorageAdapter());
+    });
   } catch (error) {
-    console.error('Error reading properties:', error);
-    return [];
+    catalogue.invalidate();
+    throw error;
+  }
+};
+
+/**
+ * Store a new version of a property and append its revision (with a field-level
+ * diff against the stored version) in the current transaction, dropping the
+ * listing's oldest revisions beyond PROPERTY_REVISION_LIMIT. The catalogue
+ * follows once the transaction is applied.
+ * @param {Object} adapter - Storage adapter
+ * @param {string} action - Revision action (create, update, status, images, transfer, revert, delete, restore)
+ * @param {Object|null} existing - Stored version, null for a new property
+ * @param {Object} property - New version
+ * @param {Object} [details] - Revision details: actor, requestId, note, revertedTo; and
+ *   ifMatch, the revision numbers the change may apply to (any if omitted)
+ * @returns {Object} Stored property
+ * @throws {VersionConflictError} If the stored revision is not one of ifMatch
+ */
+const commitPropertyChange = (adapter, action, existing, property, { ifMatch, ...details } = {}) => {
+  const currentRevision = existing ? existing.revision || 0 : 0;
+  if (ifMatch && !ifMatch.includes(currentRevision)) {
+    throw new VersionConflictError(`Property ${property.id} is at revision ${currentRevision}`, currentRevision);
   }
+  
+  const stored = { ...property, revision: currentRevision + 1 };
+  if (existing) {
+    adapter.update(PROPERTIES, stored.id, stored);
+  } else {
+    adapter.insert(PROPERTIES, stored);
+  }
+  const collection = revisionsCollection(stored.id);
+  adapter.insert(collection, createRevision(action, existing, stored, details));
+  const revisions = adapter.list(collection);
+  revisions.slice(0, Math.max(0, revisions.length - getRevisionLimit()))
+    .forEach(revision => adapter.remove(collection, revision.id));
+  adapter.onCommit(() => (isTrashed(stored) ? catalogue.remove(stored.id) : catalogue.upsert(stored)));
+  return stored;
 };
 
 /**
- * Write properties to file
+ * Read properties from storage
+ * @returns {Array} Array of properties
+ */
+const readProperties = () => {
+  return catalogue.all();
+};
+
+/**
+ * Replace all properties in storage
  * @param {Array} properties - Array of properties
  * @returns {boolean} Success status
  */
 const writeProperties = (properties) => {
   try {
-    ensureDataDir();
-    fs.writeFileSync(PROPERTIES_FILE, JSON.stringify(properties, null, 2));
+    getStorageAdapter().replaceAll(PROPERTIES, properties);
     return true;
   } catch (error) {
     console.error('Error writing properties:', error);
     return false;
+  } finally {
+    catalogue.invalidate();
   }
 };
 
 /**
  * Save a new property
  * @param {Object} propertyData - Property data to save
+ * @param {Object} [details] - Revision details: actor, requestId
  * @returns {Object} Saved property with ID
  */
-const saveProperty = (propertyData) => {
-  const properties = readProperties();
+const saveProperty = (propertyData, details = {}) => {
   const propertyId = `PROP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const now = new Date().toISOString();
+  const status = propertyData.status || DEFAULT_STATUS;
   
   const newProperty = {
     id: propertyId,
     ...propertyData,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
+    status,
+    statusHistory: [{ status, at: now, by: propertyData.ownerId || null }],
+    createdAt: now,
+    updatedAt: now
   };
   
-  properties.push(newProperty);
-  
-  if (writeProperties(properties)) {
-    return newProperty;
+  try {
+    return mutateProperties((adapter) => commitPropertyChange(adapter, 'create', null, newProperty, details));
+  } catch (error) {
+    console.error('Error saving property:', error);
+    throw new Error('Failed to save property');
   }
-  
-  throw new Error('Failed to save property');
 };
 
 /**
@@ -88,51 +296,301 @@ const getAllProperties = () => {
  * @returns {Object|null} Property or null if not found
  */
 const getPropertyById = (id) => {
-  const properties = readProperties();
-  return properties.find(prop => prop.id === id) || null;
+  return catalogue.get(id);
 };
 
 /**
  * Update property by ID
  * @param {string} id - Property ID
  * @param {Object} updateData - Data to update
+ * @param {Object} [details] - Revision details: actor, requestId, ifMatch, and action (default update)
  * @returns {Object|null} Updated property or null if not found
+ * @throws {VersionConflictError} If the property is not at a revision listed in ifMatch
  */
-const updateProperty = (id, updateData) => {
-  const properties = readProperties();
-  const index = properties.findIndex(prop => prop.id === id);
-  
-  if (index === -1) {
-    return null;
+const updateProperty = (id, updateData, { action = 'update', ...details } = {}) => {
+  try {
+    return mutateProperties((adapter) => {
+      const existing = getLiveProperty(adapter, id);
+      
+      if (!existing) {
+        return null;
+      }
+      
+      return commitPropertyChange(adapter, action, existing, {
+        ...existing,
+        ...updateData,
+        updatedAt: new Date().toISOString()
+      }, details);
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      throw error;
+    }
+    console.error('Error updating property:', error);
+    throw new Error('Failed to update property');
   }
-  
-  properties[index] = {
-    ...properties[index],
-    ...updateData,
-    updatedAt: new Date().toISOString()
-  };
-  
-  if (writeProperties(properties)) {
-    return properties[index];
+};
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396): null removes a field, objects are
+ * merged recursively and any other value replaces the current one
+ * @param {*} target - Current value
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched copy
+ */
+const applyMergePatch = (target, patch) => {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
   }
-  
-  throw new Error('Failed to update property');
+  const result = target && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
 };
 
 /**
- * Delete property by ID
+ * Partially update a property with a JSON Merge Patch
  * @param {string} id - Property ID
- * @returns {boolean} Success status
+ * @param {Object} patch - Merge patch (null values remove fields)
+ * @param {Object} [details] - Revision details: actor, requestId, revertedTo, ifMatch, and action (default update)
+ * @returns {Object|null} Updated property or null if not found
+ * @throws {VersionConflictError} If the property is not at a revision listed in ifMatch
  */
-const deleteProperty = (id) => {
-  const properties = readProperties();
-  const filteredProperties = properties.filter(prop => prop.id !== id);
-  
-  if (filteredProperties.length === properties.length) {
-    return false; // Property not found
+const patchProperty = (id, patch, { action = 'update', ...details } = {}) => {
+  try {
+    return mutateProperties((adapter) => {
+      const existing = getLiveProperty(adapter, id);
+      
+      if (!existing) {
+        return null;
+      }
+      
+      return commitPropertyChange(adapter, action, existing, {
+        ...applyMergePatch(existing, patch),
+        id: existing.id,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      }, details);
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      throw error;
+    }
+    console.error('Error patching property:', error);
+    throw new Error('Failed to update property');
   }
-  
-  return writeProperties(filteredProperties);
+};
+
+/**
+ * Move a property to another lifecycle status if the transition table allows it,
+ * recording the transition in its statusHistory
+ * @param {string} id - Property ID
+ * @param {string} status - New status
+ * @param {Object} [details] - Revision details: actor, requestId, and note (reason for the change)
+ * @returns {Object|null} { property, from, changed } (changed is false if the transition
+ *   is not allowed from the stored status), or null if not found
+ */
+const transitionPropertyStatus = (id, status, details = {}) => {
+  try {
+    return mutateProperties((adapter) => {
+      const existing = getLiveProperty(adapter, id);
+      
+      if (!existing) {
+        return null;
+      }
+      
+      const from = getPropertyStatus(existing);
+      if (!canTransition(from, status)) {
+        return { property: existing, from, changed: false };
+      }
+      
+      const now = new Date().toISOString();
+      const entry = { status, from, at: now, by: details.actor || null };
+      if (details.note) {
+        entry.note = details.note;
+      }
+      
+      const updatedProperty = commitPropertyChange(adapter, 'status', existing, {
+        ...existing,
+        status,
+        statusHistory: (existing.statusHistory || []).concat(entry),
+        updatedAt: now
+      }, details);
+      return { property: updatedProperty, from, changed: true };
+    });
+  } catch (error) {
+    console.error('Error changing property status:', error);
+    throw new Error('Failed to change property status');
+  }
+};
+
+/**
+ * Rewrite a property's image entries from their current stored value, inside the
+ * storage transaction so concurrent image changes are not lost.
+ * @param {string} id - Property ID
+ * @param {Function} updateImages - Receives the stored images array, returns the new one
+ *   (or null to leave the property unchanged)
+ * @param {Object} [options] - Options, and revision details: actor, requestId
+ * @param {boolean} [options.touch=true] - Set updatedAt; false for derived metadata such as
+ *   resized variants (a revision is recorded either way)
+ * @returns {Object|null} Updated (or unchanged) property, or null if not found
+ */
+const updatePropertyImages = (id, updateImages, { touch = true, ...details } = {}) => {
+  try {
+    return mutateProperties((adapter) => {
+      const existing = getLiveProperty(adapter, id);
+      
+      if (!existing) {
+        return null;
+      }
+      
+      const images = updateImages(existing.images || []);
+      if (!images) {
+        return existing;
+      }
+      
+      // The revision advances either way: served content changed, so the ETag must too
+      return commitPropertyChange(adapter, 'images', existing, {
+        ...existing,
+        images,
+        ...(touch && { updatedAt: new Date().toISOString() })
+      }, details);
+    });
+  } catch (error) {
+    console.error('Error updating property images:', error);
+    throw new Error('Failed to update property images');
+  }
+};
+
+/**
+ * Move a property to the trash. It stays in storage, images included, but is
+ * hidden from every other read until restored or purged.
+ * @param {string} id - Property ID
+ * @param {Object} [details] - Revision details: actor, requestId, ifMatch
+ * @returns {Object|null} Deleted property, or null if not found (or already deleted)
+ * @throws {VersionConflictError} If the property is not at a revision listed in ifMatch
+ */
+const deleteProperty = (id, details = {}) => {
+  try {
+    return mutateProperties((adapter) => {
+      const existing = getLiveProperty(adapter, id);
+      
+      if (!existing) {
+        return null;
+      }
+      
+      return commitPropertyChange(adapter, 'delete', existing, {
+        ...existing,
+        deletedAt: new Date().toISOString(),
+        deletedBy: details.actor || null
+      }, details);
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      throw error;
+    }
+    console.error('Error deleting property:', error);
+    throw new Error('Failed to delete property');
+  }
+};
+
+/**
+ * Take a property out of the trash
+ * @param {string} id - Property ID
+ * @param {Object} [details] - Revision details: actor, requestId
+ * @returns {Object|null} Restored property, or null if it is not in the trash
+ */
+const restoreProperty = (id, details = {}) => {
+  try {
+    return mutateProperties((adapter) => {
+      const existing = adapter.get(PROPERTIES, id);
+      
+      if (!existing || !isTrashed(existing)) {
+        return null;
+      }
+      
+      const { deletedAt, deletedBy, ...rest } = existing;
+      return commitPropertyChange(adapter, 'restore', existing, {
+        ...rest,
+        updatedAt: new Date().toISOString()
+      }, details);
+    });
+  } catch (error) {
+    console.error('Error restoring property:', error);
+    throw new Error('Failed to restore property');
+  }
+};
+
+/**
+ * Permanently remove a property from the trash with its revisions (its image
+ * files are left to the caller)
+ * @param {string} id - Property ID
+ * @returns {Object|null} Removed property, or null if it is not in the trash
+ */
+const purgeProperty = (id) => {
+  try {
+    return mutateProperties((adapter) => {
+      const existing = adapter.get(PROPERTIES, id);
+      
+      if (!existing || !isTrashed(existing)) {
+        return null;
+      }
+      
+      adapter.remove(PROPERTIES, id);
+      adapter.replaceAll(revisionsCollection(id), []);
+      adapter.onCommit(() => catalogue.remove(id)); // Not cached; keeps the catalogue's version current
+      return existing;
+    });
+  } catch (error) {
+    console.error('Error purging property:', error);
+    throw new Error('Failed to purge property');
+  }
+};
+
+/**
+ * Get the properties in the trash
+ * @returns {Array} Deleted properties in storage order
+ */
+const getTrashedProperties = () => {
+  return getStorageAdapter().list(PROPERTIES).filter(isTrashed);
+};
+
+/**
+ * Get a property in the trash by ID
+ * @param {string} id - Property ID
+ * @returns {Object|null} Deleted property, or null if not found or not deleted
+ */
+const getTrashedPropertyById = (id) => {
+  const property = getStorageAdapter().get(PROPERTIES, id);
+  return property && isTrashed(property) ? property : null;
+};
+
+/**
+ * Get the kept revisions of a property, oldest first
+ * @param {string} id - Property ID
+ * @returns {Array} Revision records
+ */
+const getPropertyRevisions = (id) => {
+  const collection = revisionsCollection(id);
+  return collection
+    ? getStorageAdapter().list(collection).sort((a, b) => a.rev - b.rev)
+    : [];
+};
+
+/**
+ * Get one revision of a property
+ * @param {string} id - Property ID
+ * @param {number} rev - Revision number
+ * @returns {Object|null} Revision record or null if not found
+ */
+const getPropertyRevision = (id, rev) => {
+  const collection = revisionsCollection(id);
+  return collection ? getStorageAdapter().get(collection, `${id}@${rev}`) : null;
 };
 
 /**
@@ -141,38 +599,162 @@ const deleteProperty = (id) => {
  * @returns {Array} Filtered properties
  */
 const searchProperties = (filters = {}) => {
-  let properties = readProperties();
+  catalogue.refresh();
+  const { indexes } = catalogue;
+  
+  // Each active filter narrows the result to a set of IDs taken from its index
+  const matches = [];
+  
+  if (filters.q) {
+    matches.push(new Set(indexes.text.search(filters.q).keys()));
+  }
+  
+  if (filters.near) {
+    const { lat, lng, radius } = filters.near;
+    matches.push(new Set(indexes.geo.withinRadius(lat, lng, radius).keys()));
+  }
+  
+  if (filters.bbox) {
+    const { minLng, minLat, maxLng, maxLat } = filters.bbox;
+    matches.push(indexes.geo.withinBox({ minLat, minLng, maxLat, maxLng }));
+  }
   
-  // Apply filters
   if (filters.propertyType) {
-    properties = properties.filter(prop => 
-      prop.propertyType.toLowerCase().includes(filters.propertyType.toLowerCase())
-    );
+    matches.push(indexes.propertyType.containing(filters.propertyType));
   }
   
   if (filters.location) {
-    properties = properties.filter(prop => 
-      prop.location.toLowerCase().includes(filters.location.toLowerCase())
-    );
+    matches.push(indexes.location.containing(filters.location));
   }
   
-  if (filters.minPrice) {
-    properties = properties.filter(prop => prop.price >= filters.minPrice);
+  if (filters.status) {
+    matches.push(indexes.status.equal(filters.status));
   }
   
-  if (filters.maxPrice) {
-    properties = properties.filter(prop => prop.price <= filters.maxPrice);
+  if (filters.ownerId) {
+    matches.push(indexes.ownerId.equal(filters.ownerId));
+  }
+  
+  if (filters.minPrice || filters.maxPrice) {
+    matches.push(indexes.price.between(filters.minPrice || undefined, filters.maxPrice || undefined));
   }
   
   if (filters.beds) {
-    properties = properties.filter(prop => prop.beds >= filters.beds);
+    matches.push(indexes.beds.between(filters.beds));
   }
   
   if (filters.baths) {
-    properties = properties.filter(prop => prop.baths >= filters.baths);
+    matches.push(indexes.baths.between(filters.baths));
+  }
+  
+  if (matches.length === 0) {
+    return catalogue.all();
   }
   
-  return properties;
+  // Intersect starting from the smallest set; results keep storage order
+  matches.sort((a, b) => a.size - b.size);
+  const ids = [...matches[0]].filter(id => matches.every(set => set.has(id)));
+  return catalogue.pick(new Set(ids));
+};
+
+/**
+ * Whether a numeric field lies within bounds (inclusive), as the range indexes compare it
+ * @param {*} value - Field value
+ * @param {number} [min] - Lower bound
+ * @param {number} [max] - Upper bound
+ * @returns {boolean} True if the value is in range
+ */
+const isInRange = (value, min, max) => {
+  const number = Number(value);
+  return !Number.isNaN(number) && (min === undefined || number >= min) && (max === undefined || number <= max);
+};
+
+/**
+ * Whether a field contains the given text (case-insensitive), as the substring indexes match it
+ * @param {*} value - Field value
+ * @param {string} text - Text to look for
+ * @returns {boolean} True if the field contains the text
+ */
+const containsText = (value, text) => typeof value === 'string' && value.toLowerCase().includes(text.toLowerCase());
+
+/**
+ * Whether one property matches search filters, with the same semantics as
+ * searchProperties but without querying the whole catalogue
+ * @param {Object} property - Stored property
+ * @param {Object} filters - Search filters
+ * @returns {boolean} True if searchProperties(filters) would include the property
+ */
+const matchesSearchFilters = (property, filters = {}) => {
+  if (filters.q) {
+    catalogue.refresh();
+    if (!catalogue.indexes.text.matches(property.id, filters.q)) {
+      return false;
+    }
+  }
+
+  if (filters.near) {
+    const { lat, lng, radius } = filters.near;
+    if (!hasCoordinates(property) || distanceKm(lat, lng, property.latitude, property.longitude) > radius) {
+      return false;
+    }
+  }
+
+  if (filters.bbox && !isWithinBox(property, filters.bbox)) {
+    return false;
+  }
+
+  if (filters.propertyType && !containsText(property.propertyType, filters.propertyType)) {
+    return false;
+  }
+
+  if (filters.location && !containsText(property.location, filters.location)) {
+    return false;
+  }
+
+  if (filters.status && getPropertyStatus(property) !== filters.status) {
+    return false;
+  }
+
+  if (filters.ownerId && property.ownerId !== filters.ownerId) {
+    return false;
+  }
+
+  if ((filters.minPrice || filters.maxPrice)
+    && !isInRange(property.price, filters.minPrice || undefined, filters.maxPrice || undefined)) {
+    return false;
+  }
+
+  if (filters.beds && !isInRange(property.beds, filters.beds)) {
+    return false;
+  }
+
+  if (filters.baths && !isInRange(property.baths, filters.baths)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Score properties against a free-text query (title, description, address, keyFeatures)
+ * @param {string} query - Free-text query
+ * @returns {Map} Property ID -> relevance score for every matching property
+ */
+const getTextSearchScores = (query) => {
+  catalogue.refresh();
+  return catalogue.indexes.text.search(query);
+};
+
+/**
+ * Distances of the properties within a radius of a point
+ * @param {number} lat - Latitude of the centre
+ * @param {number} lng - Longitude of the centre
+ * @param {number} radius - Radius in kilometres
+ * @returns {Map} Property ID -> distance in kilometres
+ */
+const getDistancesFrom = (lat, lng, radius) => {
+  catalogue.refresh();
+  return catalogue.indexes.geo.withinRadius(lat, lng, radius);
 };
 
 module.exports = {
@@ -180,8 +762,25 @@ module.exports = {
   getAllProperties,
   getPropertyById,
   updateProperty,
+  patchProperty,
+  applyMergePatch,
+  transitionPropertyStatus,
+  updatePropertyImages,
   deleteProperty,
+  restoreProperty,
+  purgeProperty,
+  getTrashedProperties,
+  getTrashedPropertyById,
+  getPropertyRevisions,
+  getPropertyRevision,
   searchProperties,
+  matchesSearchFilters,
+  getTextSearchScores,
+  getDistancesFrom,
   readProperties,
-  writeProperties
+  writeProperties,
+  createStorageAdapter,
+  getStorageAdapter,
+  initializeStorage,
+  runInTransaction
 };
@@ -0,0 +1,33 @@
+const { applyMergePatch } = require('./storage');
+
+describe('applyMergePatch', () => {
+  // Test cases from RFC 7396 Appendix A
+  it.each([
+    [{ a: 'b' }, { a: 'c' }, { a: 'c' }],
+    [{ a: 'b' }, { b: 'c' }, { a: 'b', b: 'c' }],
+    [{ a: 'b' }, { a: null }, {}],
+    [{ a: 'b', b: 'c' }, { a: null }, { b: 'c' }],
+    [{ a: ['b'] }, { a: 'c' }, { a: 'c' }],
+    [{ a: 'c' }, { a: ['b'] }, { a: ['b'] }],
+    [{ a: { b: 'c' } }, { a: { b: 'd', c: null } }, { a: { b: 'd' } }],
+    [{ a: [{ b: 'c' }] }, { a: [1] }, { a: [1] }],
+    [['a', 'b'], ['c', 'd'], ['c', 'd']],
+    [{ a: 'b' }, ['c'], ['c']],
+    [{ a: 'foo' }, null, null],
+    [{ a: 'foo' }, 'bar', 'bar'],
+    [{ e: null }, { a: 1 }, { e: null, a: 1 }],
+    [[1, 2], { a: 'b', c: null }, { a: 'b' }],
+    [{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }]
+  ])('patches %j with %j', (target, patch, expected) => {
+    expect(applyMergePatch(target, patch)).toEqual(expected);
+  });
+
+  it('does not modify the target', () => {
+    const target = { title: 'Flat', address: { street: '1 Road', town: 'Bath' } };
+
+    const patched = applyMergePatch(target, { address: { town: null }, price: 900 });
+
+    expect(patched).toEqual({ title: 'Flat', address: { street: '1 Road' }, price: 900 });
+    expect(target).toEqual({ title: 'Flat', address: { street: '1 Road', town: 'Bath' } });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Base class for errors raised by the storage layer
+ */
+class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Raised when the storage lock cannot be acquired in time
+ */
+class StorageLockError extends StorageError {}
+
+/**
+ * Raised when a collection file cannot be parsed and could not be recovered
+ */
+class StorageCorruptionError extends StorageError {
+  constructor(message, file) {
+    super(message);
+    this.file = file;
+  }
+}
+
+/**
+ * Raised when a record was changed since the version a write was based on
+ */
+class VersionConflictError extends StorageError {
+  constructor(message, currentRevision) {
+    super(message);
+    this.currentRevision = currentRevision;
+  }
+}
+
+module.exports = {
+  StorageError,
+  StorageLockError,
+  StorageCorruptionError,
+  VersionConflictError
+};
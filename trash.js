@@ -0,0 +1,92 @@
+const { getTrashedProperties, purgeProperty } = require('./storage');
+const { removeImageFiles } = require('./imageHandler');
+const { removeInquiriesForProperty } = require('./inquiryStore');
+const { removeViewingsForProperty } = require('./viewingStore');
+
+// Deleted listings are kept this long before they are purged, unless TRASH_RETENTION_DAYS says otherwise
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// How often the server looks for listings to purge
+const TRASH_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days deleted listings are kept in the trash
+ * @returns {number} Retention period in days
+ */
+const getTrashRetentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  if (process.env.TRASH_RETENTION_DAYS === undefined || !Number.isFinite(days) || days < 0) {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+  return days;
+};
+
+/**
+ * When a deleted listing becomes due for purging
+ * @param {Object} property - Property in the trash
+ * @param {number} [retentionDays] - Retention period in days
+ * @returns {string} ISO date
+ */
+const getPurgeDate = (property, retentionDays = getTrashRetentionDays()) => {
+  return new Date(Date.parse(property.deletedAt) + retentionDays * DAY_MS).toISOString();
+};
+
+/**
+ * Permanently delete listings that have been in the trash longer than the
+ * retention period, together with their image files, inquiries and viewings
+ * @param {Object} [options] - Options
+ * @param {number} [options.retentionDays] - Retention period in days (defaults to TRASH_RETENTION_DAYS)
+ * @param {boolean} [options.dryRun=false] - Only report what would be purged
+ * @returns {Array} Purged (or, in a dry run, expired) properties
+ */
+const purgeExpiredTrash = ({ retentionDays = getTrashRetentionDays(), dryRun = false } = {}) => {
+  const now = Date.now();
+  const expired = getTrashedProperties()
+    .filter(property => Date.parse(getPurgeDate(property, retentionDays)) <= now);
+
+  if (dryRun) {
+    return expired;
+  }
+
+  const purged = [];
+  expired.forEach(property => {
+    // null if it was restored or purged in the meantime
+    const removed = purgeProperty(property.id);
+    if (removed) {
+      removeImageFiles(removed.images);
+      removeInquiriesForProperty(removed.id);
+      removeViewingsForProperty(removed.id);
+      purged.push(removed);
+    }
+  });
+  return purged;
+};
+
+/**
+ * Purge expired trash now and then periodically while the server runs
+ * @returns {Object} Interval timer (does not keep the process alive)
+ */
+const scheduleTrashPurge = () => {
+  const run = () => {
+    try {
+      const purged = purgeExpiredTrash();
+      if (purged.length > 0) {
+        console.log(`🗑️  Purged ${purged.length} deleted listing(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge failed:', error.message);
+    }
+  };
+
+  run();
+  return setInterval(run, TRASH_PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeDate,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
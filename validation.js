@@ -1,6 +1,12 @@
 
 const Joi = require('joi');
 const { ApiError } = require('../utils/errorHandler');
+const { PROPERTY_STATUSES } = require('../utils/propertyStatus');
+const { INQUIRY_STATUSES } = require('../utils/inquiryStore');
+const { ALERT_FREQUENCIES } = require('../utils/savedSearchStore');
+
+// How far a contact form's requestDate may be from the server clock, either way
+const REQUEST_DATE_TOLERANCE_MS = 15 * 60 * 1000;
 
 // Add additional security for email validation
 const emailPattern = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
@@ -58,7 +64,7 @@ const contactFormSchema = Joi.object({
     }),
   
   propertyId: Joi.string().required().trim()
-    .pattern(/^[A-Z0-9-]{3,30}$/) // Restrict to specific format
+    .pattern(/^(PROP_\d{1,16}_[a-z0-9]{1,12}|[A-Z0-9-]{3,30})$/) // IDs generated by saveProperty, or imported references
     .messages({
       'string.base': 'Property ID must be a string',
       'string.empty': 'Property ID is required',
@@ -67,8 +73,17 @@ const contactFormSchema = Joi.object({
     }),
   
   requestDate: Joi.date().iso().required()
-    .max(new Date(Date.now() + 15 * 60 * 1000).toISOString()) // Allow up to 15 minutes in the future
-    .min(new Date(Date.now() - 15 * 60 * 1000).toISOString()) // Allow up to 15 minutes in the past
+    .custom((value, helpers) => {
+      // Checked against the clock at validation time, not when this module was loaded
+      const now = Date.now();
+      if (value.getTime() > now + REQUEST_DATE_TOLERANCE_MS) {
+        return helpers.error('date.max');
+      }
+      if (value.getTime() < now - REQUEST_DATE_TOLERANCE_MS) {
+        return helpers.error('date.min');
+      }
+      return value;
+    })
     .messages({
       'date.base': 'Request date must be a valid date',
       'date.format': 'Request date must be in ISO format',
@@ -96,9 +111,6 @@ const validateContactForm = (req, res, next) => {
   if (error) {
     // Log validation errors with request ID for monitoring
     console.log(`[${req.requestId}] Validation error:`, error.details);
-    console.log("Max date (current UTC):", new Date().toISOString());
-    console.log("Min date (24 hours ago in UTC):", new Date(Date.now() - 86400000).toISOString());
-    console.log("Received request date:", req.body.requestDate);
     
     const errorMessages = error.details.map(detail => detail.message);
     
@@ -142,6 +154,41 @@ function containsSuspiciousPatterns(data) {
   return allChecks.some(result => result === true);
 }
 
+// Base64 payloads are binary data (and data URIs contain ';'), so only the
+// descriptive fields of images go through the suspicious pattern check
+const withoutImageData = (value) => (Array.isArray(value.images)
+  ? { ...value, images: value.images.map(image => ({ name: image.name, type: image.type, caption: image.caption, alt: image.alt })) }
+  : value);
+
+// Base64 images submitted in a JSON body. The data URI itself is checked by
+// imageHandler.validateImageData, which reports per-image error codes.
+const imagesSchema = Joi.array().items(
+  Joi.object({
+    name: Joi.string().required().max(255)
+      .messages({ 'string.max': 'Image name cannot exceed {#limit} characters' }),
+    size: Joi.number().max(10 * 1024 * 1024), // 10MB max per image
+    type: Joi.string().valid('image/jpeg', 'image/jpg', 'image/png', 'image/webp'),
+    data: Joi.string().max(15 * 1024 * 1024) // 15MB max base64 data
+      .messages({ 'string.max': 'Image data is too large' }),
+    caption: Joi.string().max(200).trim()
+      .messages({ 'string.max': 'Image caption cannot exceed {#limit} characters' }),
+    alt: Joi.string().max(250).trim()
+      .messages({ 'string.max': 'Image alt text cannot exceed {#limit} characters' })
+  })
+).max(20) // Maximum 20 images
+  .prefs({ stripUnknown: { objects: true } }) // Report invalid images instead of silently dropping them
+  .messages({
+    'array.base': 'Images must be an array',
+    'array.max': 'Cannot upload more than {#limit} images',
+    'array.min': 'At least one image is required',
+    'object.base': 'Each image must be an object',
+    'string.base': 'Image name must be a string',
+    'string.empty': 'Image name is required',
+    'any.required': 'Image name is required',
+    'number.max': 'Image size cannot exceed 10MB',
+    'any.only': 'Image type must be JPEG, PNG, or WebP'
+  });
+
 // Property validation schema
 const propertyFormSchema = Joi.object({
   title: Joi.string().required().min(2).max(200).trim()
@@ -180,6 +227,21 @@ const propertyFormSchema = Joi.object({
       'any.required': 'Address is required'
     }),
 
+  // Optional map coordinates (WGS84); latitude and longitude must be given together
+  latitude: Joi.number().min(-90).max(90)
+    .messages({
+      'number.base': 'Latitude must be a number',
+      'number.min': 'Latitude must be at least {#limit}',
+      'number.max': 'Latitude cannot exceed {#limit}'
+    }),
+
+  longitude: Joi.number().min(-180).max(180)
+    .messages({
+      'number.base': 'Longitude must be a number',
+      'number.min': 'Longitude must be at least {#limit}',
+      'number.max': 'Longitude cannot exceed {#limit}'
+    }),
+
   propertyType: Joi.string().required().valid('Flat', 'House', 'Apartment', 'Studio', 'Penthouse', 'Villa', 'Townhouse')
     .messages({
       'string.base': 'Property type must be a string',
@@ -252,26 +314,7 @@ const propertyFormSchema = Joi.object({
       'string.max': 'Each key feature cannot exceed {#limit} characters'
     }),
 
-  images: Joi.array().items(
-    Joi.object({
-      name: Joi.string().required().max(255),
-      size: Joi.number().max(10 * 1024 * 1024), // 10MB max per image
-      type: Joi.string().valid('image/jpeg', 'image/jpg', 'image/png', 'image/webp'),
-      data: Joi.string().base64().max(15 * 1024 * 1024) // 15MB max base64 data
-    })
-  ).max(20) // Maximum 20 images
-    .messages({
-      'array.base': 'Images must be an array',
-      'array.max': 'Cannot upload more than {#limit} images',
-      'object.base': 'Each image must be an object',
-      'string.base': 'Image name must be a string',
-      'string.empty': 'Image name is required',
-      'string.max': 'Image name cannot exceed {#limit} characters',
-      'number.max': 'Image size cannot exceed 10MB',
-      'any.only': 'Image type must be JPEG, PNG, or WebP',
-      'string.base64': 'Image data must be valid base64',
-      'string.max': 'Image data is too large'
-    }),
+  images: imagesSchema,
 
   // Optional contact fields
   contactName: Joi.string().allow('').max(100).trim()
@@ -312,15 +355,20 @@ const propertyFormSchema = Joi.object({
       'string.max': 'Utility bills cannot exceed {#limit} characters'
     })
 
-}).options({ stripUnknown: { objects: true, arrays: true } });
+})
+  .and('latitude', 'longitude')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  })
+  .options({ stripUnknown: { objects: true, arrays: true } });
 
-// Middleware for validating property form data
+// Middleware for validating property form data (JSON, or multipart parsed by parseMultipartProperty)
 const validatePropertyForm = (req, res, next) => {
   // Check for Content-Type
-  if (!req.is('application/json')) {
+  if (!req.is('application/json') && !req.is('multipart/form-data')) {
     return res.status(415).json({
       success: false,
-      message: 'Unsupported Media Type. Content-Type must be application/json'
+      message: 'Unsupported Media Type. Content-Type must be application/json or multipart/form-data'
     });
   }
 
@@ -344,7 +392,7 @@ const validatePropertyForm = (req, res, next) => {
   }
 
   // Additional security checks beyond Joi validation
-  if (containsSuspiciousPatterns(value)) {
+  if (containsSuspiciousPatterns(withoutImageData(value))) {
     return next(new ApiError('Request contains suspicious patterns', 403));
   }
 
@@ -353,7 +401,592 @@ const validatePropertyForm = (req, res, next) => {
   next();
 };
 
+// Partial updates (PATCH, JSON Merge Patch): every form field is optional but still
+// validated, and optional fields may be null to clear them. Images have their own endpoints.
+const propertyFormKeys = propertyFormSchema.describe().keys;
+const requiredPropertyFields = Object.keys(propertyFormKeys)
+  .filter(key => propertyFormKeys[key].flags && propertyFormKeys[key].flags.presence === 'required');
+const clearablePropertyFields = Object.keys(propertyFormKeys)
+  .filter(key => !requiredPropertyFields.includes(key) && key !== 'images');
+
+// Listing fields a client edits through the form (images have their own endpoints)
+const PROPERTY_FORM_FIELDS = [...requiredPropertyFields, ...clearablePropertyFields];
+
+const propertyPatchSchema = propertyFormSchema
+  .fork(requiredPropertyFields, field => field.optional())
+  .fork(clearablePropertyFields, field => field.allow(null))
+  .fork(['images'], field => field.forbidden())
+  .min(1)
+  .custom((value, helpers) => {
+    if (value.latitude !== undefined && (value.latitude === null) !== (value.longitude === null)) {
+      return helpers.error('object.coordinatesCleared');
+    }
+    return value;
+  })
+  .messages({
+    'any.unknown': 'Images cannot be changed with PATCH; use the property images endpoints',
+    'object.min': 'Patch must contain at least one field',
+    'object.coordinatesCleared': 'Latitude and longitude must be cleared together'
+  });
+
+// Middleware for validating partial property updates (application/merge-patch+json or application/json)
+const validatePropertyPatch = (req, res, next) => {
+  if (!req.is('application/merge-patch+json') && !req.is('application/json')) {
+    return res.status(415).json({
+      success: false,
+      message: 'Unsupported Media Type. Content-Type must be application/merge-patch+json or application/json'
+    });
+  }
+
+  // A merge patch that is not an object would replace the whole property
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Property validation error',
+      errors: ['Patch must be a JSON object'],
+      requestId: req.requestId
+    });
+  }
+
+  // noDefaults: fields the client did not send must stay untouched (e.g. sqftUnit)
+  const { error, value } = propertyPatchSchema.validate(req.body, {
+    abortEarly: false,
+    noDefaults: true
+  });
+
+  if (error) {
+    console.log(`[${req.requestId}] Property patch validation error:`, error.details);
+
+    return res.status(400).json({
+      success: false,
+      message: 'Property validation error',
+      errors: error.details.map(detail => detail.message),
+      requestId: req.requestId
+    });
+  }
+
+  if (containsSuspiciousPatterns(value)) {
+    return next(new ApiError('Request contains suspicious patterns', 403));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate listing fields that did not come from the request body (e.g. a
+ * revision being reverted to) with the same rules as the property form
+ * @param {Object} data - Listing form fields (see PROPERTY_FORM_FIELDS)
+ * @returns {Object} { value } with the validated fields, or { errors } with messages
+ */
+const validatePropertyFields = (data) => {
+  const { error, value } = propertyFormSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return { errors: error.details.map(detail => detail.message) };
+  }
+  if (containsSuspiciousPatterns(value)) {
+    return { errors: ['Property contains suspicious patterns'] };
+  }
+  return { value };
+};
+
+// Fields a client may request through the `fields` query parameter (id is always returned)
+const PROPERTY_FIELDS = [
+  'id', 'title', 'description', 'location', 'address', 'latitude', 'longitude', 'propertyType', 'price', 'rentFrequency',
+  'beds', 'baths', 'sqft', 'sqftUnit', 'availability', 'keyFeatures', 'images',
+  'contactName', 'contactEmail', 'contactPhone', 'deposit', 'serviceCharge', 'utilityBills',
+  'ownerId', 'status', 'statusHistory', 'revision', 'createdAt', 'updatedAt'
+];
+
+const PROPERTY_SORTS = ['relevance', 'distance', 'oldest', 'newest', 'price_asc', 'price_desc', 'beds_asc', 'beds_desc', 'sqft_asc', 'sqft_desc'];
+
+/**
+ * Build a Joi custom rule parsing a comma-separated list of coordinates
+ * @param {Array} names - Names of the numbers, in order
+ * @param {Array} ranges - [min, max] of each number
+ * @returns {Function} Joi custom validator returning an object keyed by name
+ */
+const coordinateList = (names, ranges) => (value, helpers) => {
+  const parts = value.split(',').map(part => part.trim());
+  if (parts.length !== names.length || parts.some(part => !/^-?\d+(\.\d+)?$/.test(part))) {
+    return helpers.error('any.invalid');
+  }
+  const numbers = parts.map(Number);
+  if (numbers.some((number, i) => number < ranges[i][0] || number > ranges[i][1])) {
+    return helpers.error('any.invalid');
+  }
+  return names.reduce((parsed, name, i) => ({ ...parsed, [name]: numbers[i] }), {});
+};
+
+// Query string schema for listing properties
+const propertyQuerySchema = Joi.object({
+  q: Joi.string().min(1).max(200).trim()
+    .messages({
+      'string.base': 'Search query must be a string',
+      'string.empty': 'Search query cannot be empty',
+      'string.max': 'Search query cannot exceed {#limit} characters'
+    }),
+
+  propertyType: Joi.string().max(50).trim()
+    .messages({
+      'string.base': 'Property type must be a string',
+      'string.max': 'Property type cannot exceed {#limit} characters'
+    }),
+
+  location: Joi.string().max(200).trim()
+    .messages({
+      'string.base': 'Location must be a string',
+      'string.max': 'Location cannot exceed {#limit} characters'
+    }),
+
+  minPrice: Joi.number().min(0).max(10000000)
+    .messages({
+      'number.base': 'Minimum price must be a number',
+      'number.min': 'Minimum price must be at least {#limit}',
+      'number.max': 'Minimum price cannot exceed {#limit}'
+    }),
+
+  maxPrice: Joi.number().min(0).max(10000000)
+    .messages({
+      'number.base': 'Maximum price must be a number',
+      'number.min': 'Maximum price must be at least {#limit}',
+      'number.max': 'Maximum price cannot exceed {#limit}'
+    }),
+
+  beds: Joi.number().integer().min(0).max(20)
+    .messages({
+      'number.base': 'Number of beds must be a number',
+      'number.integer': 'Number of beds must be a whole number',
+      'number.min': 'Number of beds must be at least {#limit}',
+      'number.max': 'Number of beds cannot exceed {#limit}'
+    }),
+
+  baths: Joi.number().integer().min(0).max(20)
+    .messages({
+      'number.base': 'Number of baths must be a number',
+      'number.integer': 'Number of baths must be a whole number',
+      'number.min': 'Number of baths must be at least {#limit}',
+      'number.max': 'Number of baths cannot exceed {#limit}'
+    }),
+
+  near: Joi.string().max(100)
+    .custom(coordinateList(['lat', 'lng'], [[-90, 90], [-180, 180]]))
+    .messages({
+      'string.base': 'Near must be a string',
+      'string.max': 'Near must be in the form lat,lng',
+      'any.invalid': 'Near must be in the form lat,lng with a valid latitude and longitude'
+    }),
+
+  radius: Joi.number().greater(0).max(500)
+    .messages({
+      'number.base': 'Radius must be a number of kilometres',
+      'number.greater': 'Radius must be greater than 0',
+      'number.max': 'Radius cannot exceed {#limit} km'
+    }),
+
+  // minLng,minLat,maxLng,maxLat (GeoJSON order); minLng > maxLng crosses the antimeridian
+  bbox: Joi.string().max(200)
+    .custom(coordinateList(
+      ['minLng', 'minLat', 'maxLng', 'maxLat'],
+      [[-180, 180], [-90, 90], [-180, 180], [-90, 90]]
+    ))
+    .messages({
+      'string.base': 'Bounding box must be a string',
+      'string.max': 'Bounding box must be in the form minLng,minLat,maxLng,maxLat',
+      'any.invalid': 'Bounding box must be in the form minLng,minLat,maxLng,maxLat with valid coordinates'
+    }),
+
+  // Defaults to published, or to every status for owner=me; "all" lists every status
+  status: Joi.string().valid(...PROPERTY_STATUSES, 'all')
+    .messages({
+      'string.base': 'Status must be a string',
+      'any.only': `Status must be one of: ${PROPERTY_STATUSES.join(', ')}, all`
+    }),
+
+  // A user ID, or "me" for the caller's own listings
+  owner: Joi.string().max(200).trim()
+    .messages({
+      'string.base': 'Owner must be a string',
+      'string.empty': 'Owner cannot be empty',
+      'string.max': 'Owner cannot exceed {#limit} characters'
+    }),
+
+  page: Joi.number().integer().min(1).max(100000)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be a whole number',
+      'number.min': 'Page must be at least {#limit}',
+      'number.max': 'Page cannot exceed {#limit}'
+    }),
+
+  limit: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be a whole number',
+      'number.min': 'Limit must be at least {#limit}',
+      'number.max': 'Limit cannot exceed {#limit}'
+    }),
+
+  cursor: Joi.string().max(500).pattern(/^[A-Za-z0-9_-]+$/)
+    .messages({
+      'string.base': 'Cursor must be a string',
+      'string.max': 'Cursor is invalid',
+      'string.pattern.base': 'Cursor is invalid'
+    }),
+
+  // Defaults to relevance when searching with q, oldest first otherwise
+  sort: Joi.string().valid(...PROPERTY_SORTS)
+    .messages({
+      'string.base': 'Sort must be a string',
+      'any.only': `Sort must be one of: ${PROPERTY_SORTS.join(', ')}`
+    }),
+
+  fields: Joi.string().max(500)
+    .custom((value, helpers) => {
+      const fields = value.split(',').map(field => field.trim()).filter(Boolean);
+      const unknown = fields.filter(field => !PROPERTY_FIELDS.includes(field));
+      if (fields.length === 0 || unknown.length > 0) {
+        return helpers.error('any.invalid', { unknown: unknown.join(', ') });
+      }
+      return fields;
+    })
+    .messages({
+      'string.base': 'Fields must be a comma-separated string',
+      'string.max': 'Fields parameter is too long',
+      'any.invalid': `Fields must be a comma-separated list of: ${PROPERTY_FIELDS.join(', ')}`
+    })
+})
+  .oxor('page', 'cursor')
+  .with('radius', 'near')
+  .custom((value, helpers) => {
+    if (value.minPrice !== undefined && value.maxPrice !== undefined && value.minPrice > value.maxPrice) {
+      return helpers.error('object.priceRange');
+    }
+    if (value.bbox && value.bbox.minLat > value.bbox.maxLat) {
+      return helpers.error('object.bboxLatitude');
+    }
+    if (value.sort === 'relevance' && !value.q) {
+      return helpers.error('object.relevanceWithoutQuery');
+    }
+    if (value.sort === 'distance' && !value.near) {
+      return helpers.error('object.distanceWithoutNear');
+    }
+    return {
+      ...value,
+      radius: value.near ? value.radius || 5 : undefined,
+      sort: value.sort || (value.q ? 'relevance' : value.near ? 'distance' : 'oldest')
+    };
+  })
+  .messages({
+    'object.oxor': 'Use either page or cursor, not both',
+    'object.priceRange': 'Minimum price cannot be greater than maximum price',
+    'object.with': 'Radius requires near',
+    'object.bboxLatitude': 'Bounding box minimum latitude cannot be greater than maximum latitude',
+    'object.relevanceWithoutQuery': 'Sorting by relevance requires a search query (q)',
+    'object.distanceWithoutNear': 'Sorting by distance requires near'
+  })
+  .options({ stripUnknown: true });
+
+// Filters a saved search alerts on: the listing filters of GET /api/property, in the same form
+const savedSearchFilterKeys = ['q', 'near', 'radius', 'bbox', 'propertyType', 'location', 'minPrice', 'maxPrice', 'beds', 'baths'];
+const savedSearchFiltersSchema = Joi.object(savedSearchFilterKeys.reduce((keys, key) => ({
+  ...keys,
+  [key]: propertyQuerySchema.extract(key)
+}), {}))
+  .min(1)
+  .with('radius', 'near')
+  .custom((value, helpers) => {
+    if (value.minPrice !== undefined && value.maxPrice !== undefined && value.minPrice > value.maxPrice) {
+      return helpers.error('object.priceRange');
+    }
+    if (value.bbox && value.bbox.minLat > value.bbox.maxLat) {
+      return helpers.error('object.bboxLatitude');
+    }
+    return { ...value, radius: value.near ? value.radius || 5 : undefined };
+  })
+  .messages({
+    'object.base': 'Filters must be an object',
+    'object.min': 'Save at least one filter',
+    'object.priceRange': 'Minimum price cannot be greater than maximum price',
+    'object.with': 'Radius requires near',
+    'object.bboxLatitude': 'Bounding box minimum latitude cannot be greater than maximum latitude'
+  })
+  .options({ stripUnknown: true });
+
+const savedSearchSchema = Joi.object({
+  name: Joi.string().allow('').max(100).trim()
+    .messages({
+      'string.base': 'Name must be a string',
+      'string.max': 'Name cannot exceed {#limit} characters'
+    }),
+  email: contactFormSchema.extract('email'),
+  frequency: Joi.string().valid(...ALERT_FREQUENCIES).default('instant')
+    .messages({
+      'string.base': 'Frequency must be a string',
+      'any.only': `Frequency must be one of: ${ALERT_FREQUENCIES.join(', ')}`
+    }),
+  filters: savedSearchFiltersSchema.required()
+    .messages({ 'any.required': 'Filters are required' })
+}).options({ stripUnknown: true });
+
+// Middleware for validating property list query parameters
+const validatePropertyQuery = (req, res, next) => {
+  const { error, value } = propertyQuerySchema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    console.log(`[${req.requestId}] Property query validation error:`, error.details);
+
+    return res.status(400).json({
+      success: false,
+      message: 'Query validation error',
+      errors: error.details.map(detail => detail.message),
+      requestId: req.requestId
+    });
+  }
+
+  // Attach the validated query to the request object
+  req.validatedQuery = value;
+  next();
+};
+
+// Bulk import options: dryRun only reports, allOrNothing imports nothing unless every row is valid
+const importQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+    .messages({ 'boolean.base': 'dryRun must be true or false' }),
+  allOrNothing: Joi.boolean().default(false)
+    .messages({ 'boolean.base': 'allOrNothing must be true or false' })
+}).messages({ 'object.unknown': '{#label} is not a valid import option' });
+
+// Middleware for validating bulk import query parameters
+const validateImportQuery = (req, res, next) => {
+  const { error, value } = importQuerySchema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Query validation error',
+      errors: error.details.map(detail => detail.message),
+      requestId: req.requestId
+    });
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+// Images added to an existing listing: base64 images in JSON, or multipart files
+const propertyImagesSchema = Joi.object({
+  images: imagesSchema.min(1).required()
+}).options({ stripUnknown: true });
+
+// New order of a listing's images: every filename exactly once
+const imageOrderSchema = Joi.object({
+  order: Joi.array().items(Joi.string().max(255)).min(1).max(20).unique().required()
+    .messages({
+      'array.base': 'Order must be an array of image filenames',
+      'array.min': 'Order must list the listing\'s images',
+      'array.max': 'Order cannot list more than {#limit} images',
+      'array.unique': 'Each image can only appear once in the order',
+      'any.required': 'Order is required'
+    })
+}).options({ stripUnknown: true });
+
+// Per-image metadata; the cover can only be moved to another image, not unset
+const imageUpdateSchema = Joi.object({
+  isCover: Joi.boolean().valid(true)
+    .messages({ 'any.only': 'isCover can only be set to true; set another image as cover instead' }),
+  caption: Joi.string().allow('').max(200).trim()
+    .messages({ 'string.max': 'Image caption cannot exceed {#limit} characters' }),
+  alt: Joi.string().allow('').max(250).trim()
+    .messages({ 'string.max': 'Image alt text cannot exceed {#limit} characters' })
+})
+  .min(1)
+  .messages({ 'object.min': 'Provide isCover, caption or alt' })
+  .options({ stripUnknown: true });
+
+// Lifecycle transition of a listing
+const statusChangeSchema = Joi.object({
+  status: Joi.string().valid(...PROPERTY_STATUSES).required()
+    .messages({
+      'string.base': 'Status must be a string',
+      'any.only': `Status must be one of: ${PROPERTY_STATUSES.join(', ')}`,
+      'any.required': 'Status is required'
+    }),
+  note: Joi.string().allow('').max(500).trim()
+    .messages({
+      'string.base': 'Note must be a string',
+      'string.max': 'Note cannot exceed {#limit} characters'
+    })
+}).options({ stripUnknown: true });
+
+// New owner of a listing
+const ownerTransferSchema = Joi.object({
+  ownerId: Joi.string().min(1).max(200).trim().required()
+    .messages({
+      'string.base': 'Owner ID must be a string',
+      'string.empty': 'Owner ID cannot be empty',
+      'string.max': 'Owner ID cannot exceed {#limit} characters',
+      'any.required': 'Owner ID is required'
+    })
+}).options({ stripUnknown: true });
+
+// Status change of an inquiry by the listing's owner
+const inquiryStatusSchema = Joi.object({
+  status: Joi.string().valid(...INQUIRY_STATUSES).required()
+    .messages({
+      'string.base': 'Status must be a string',
+      'any.only': `Status must be one of: ${INQUIRY_STATUSES.join(', ')}`,
+      'any.required': 'Status is required'
+    })
+}).options({ stripUnknown: true });
+
+// Viewing appointments last between 10 minutes and 4 hours
+const MIN_VIEWING_MS = 10 * 60 * 1000;
+const MAX_VIEWING_MS = 4 * 60 * 60 * 1000;
+
+// Viewing slots published by a listing's owner
+const viewingSlotsSchema = Joi.object({
+  slots: Joi.array().min(1).max(50).required()
+    .items(Joi.object({
+      startsAt: Joi.date().iso().required(),
+      endsAt: Joi.date().iso().required()
+    }).custom((slot, helpers) => {
+      const duration = slot.endsAt.getTime() - slot.startsAt.getTime();
+      if (slot.startsAt.getTime() <= Date.now()) {
+        return helpers.error('slot.past');
+      }
+      if (duration < MIN_VIEWING_MS || duration > MAX_VIEWING_MS) {
+        return helpers.error('slot.duration');
+      }
+      // Stored as ISO strings, which sort and compare chronologically
+      return { startsAt: slot.startsAt.toISOString(), endsAt: slot.endsAt.toISOString() };
+    }))
+    .messages({
+      'array.base': 'Slots must be an array',
+      'array.min': 'At least one slot is required',
+      'array.max': 'Cannot add more than {#limit} slots at once',
+      'any.required': 'Slots are required',
+      'date.base': 'Slot times must be valid dates',
+      'date.format': 'Slot times must be in ISO format',
+      'slot.past': 'Slots must start in the future',
+      'slot.duration': 'Slots must last between 10 minutes and 4 hours'
+    })
+}).options({ stripUnknown: true });
+
+// Booking of a viewing slot; the booker's details are validated like the contact form's
+const viewingBookingSchema = Joi.object({
+  slotId: Joi.string().required().trim()
+    .pattern(/^SLOT_\d{1,16}_[a-z0-9]{1,12}$/)
+    .messages({
+      'string.base': 'Slot ID must be a string',
+      'string.empty': 'Slot ID is required',
+      'string.pattern.base': 'Slot ID format is invalid',
+      'any.required': 'Slot ID is required'
+    }),
+  fullName: contactFormSchema.extract('fullName'),
+  email: contactFormSchema.extract('email'),
+  phoneNumber: contactFormSchema.extract('phoneNumber'),
+  message: contactFormSchema.extract('message'),
+  dataConsent: contactFormSchema.extract('dataConsent')
+}).options({ stripUnknown: true });
+
+/**
+ * Build a middleware validating a JSON body against a schema into req.validatedData
+ * @param {Object} schema - Joi schema
+ * @param {string} message - Error message for validation failures
+ * @returns {Function} Express middleware
+ */
+const validateJsonBody = (schema, message) => (req, res, next) => {
+  if (!req.is('application/json')) {
+    return res.status(415).json({
+      success: false,
+      message: 'Unsupported Media Type. Content-Type must be application/json'
+    });
+  }
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    console.log(`[${req.requestId}] ${message}:`, error.details);
+
+    return res.status(400).json({
+      success: false,
+      message,
+      errors: error.details.map(detail => detail.message),
+      requestId: req.requestId
+    });
+  }
+
+  if (containsSuspiciousPatterns(value)) {
+    return next(new ApiError('Request contains suspicious patterns', 403));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+// Middleware for validating images added to a listing (JSON, or multipart parsed by parseMultipartProperty)
+const validatePropertyImages = (req, res, next) => {
+  if (req.is('multipart/form-data')) {
+    if (!req.uploadedImages || req.uploadedImages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image validation error',
+        errors: ['At least one image file is required'],
+        requestId: req.requestId
+      });
+    }
+    req.validatedData = { images: [] };
+    return next();
+  }
+
+  if (!req.is('application/json')) {
+    return res.status(415).json({
+      success: false,
+      message: 'Unsupported Media Type. Content-Type must be application/json or multipart/form-data'
+    });
+  }
+
+  const { error, value } = propertyImagesSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    console.log(`[${req.requestId}] Image validation error:`, error.details);
+
+    return res.status(400).json({
+      success: false,
+      message: 'Image validation error',
+      errors: error.details.map(detail => detail.message),
+      requestId: req.requestId
+    });
+  }
+
+  if (containsSuspiciousPatterns(withoutImageData(value))) {
+    return next(new ApiError('Request contains suspicious patterns', 403));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
 module.exports = {
+  PROPERTY_FORM_FIELDS,
+  validatePropertyFields,
   validateContactForm,
-  validatePropertyForm
+  validatePropertyForm,
+  validatePropertyPatch,
+  validatePropertyQuery,
+  validateImportQuery,
+  validatePropertyImages,
+  validateImageOrder: validateJsonBody(imageOrderSchema, 'Image order validation error'),
+  validateImageUpdate: validateJsonBody(imageUpdateSchema, 'Image validation error'),
+  validateOwnerTransfer: validateJsonBody(ownerTransferSchema, 'Owner validation error'),
+  validateStatusChange: validateJsonBody(statusChangeSchema, 'Status validation error'),
+  validateInquiryStatus: validateJsonBody(inquiryStatusSchema, 'Inquiry validation error'),
+  validateViewingSlots: validateJsonBody(viewingSlotsSchema, 'Viewing slot validation error'),
+  validateViewingBooking: validateJsonBody(viewingBookingSchema, 'Viewing booking validation error'),
+  validateSavedSearch: validateJsonBody(savedSearchSchema, 'Saved search validation error')
 };
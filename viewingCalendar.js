@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { buildCalendar } = require('./icalendar');
+
+/**
+ * Where a viewing takes place
+ * @param {Object} property - Property
+ * @returns {string} Address and area
+ */
+const getViewingLocation = (property) => [property.address, property.location].filter(Boolean).join(', ');
+
+/**
+ * Calendar event of a viewing; cancelled viewings become a newer version of the same event
+ * @param {Object} viewing - Viewing
+ * @param {Object} property - Property viewed
+ * @param {string} description - Event description
+ * @returns {Object} Event for buildCalendar
+ */
+const toEvent = (viewing, property, description) => ({
+  uid: `${viewing.id}@asset-property-listings`,
+  start: viewing.startsAt,
+  end: viewing.endsAt,
+  summary: `Viewing: ${property.title}`,
+  description,
+  location: getViewingLocation(property),
+  status: viewing.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  sequence: viewing.status === 'cancelled' ? 1 : 0
+});
+
+/**
+ * .ics for the person who booked a viewing: the appointment, or its cancellation
+ * @param {Object} viewing - Viewing
+ * @param {Object} property - Property viewed
+ * @returns {string} iCalendar text
+ */
+const buildViewingCalendar = (viewing, property) => buildCalendar({
+  method: viewing.status === 'cancelled' ? 'CANCEL' : 'PUBLISH',
+  events: [toEvent(viewing, property, `Viewing of ${property.title} (${property.id}). Reference: ${viewing.id}`)]
+});
+
+/**
+ * .ics feed of a listing's upcoming viewings for its owner
+ * @param {Array} viewings - Upcoming viewings
+ * @param {Object} property - Property
+ * @returns {string} iCalendar text
+ */
+const buildViewingFeed = (viewings, property) => buildCalendar({
+  name: `Viewings: ${property.title}`,
+  events: viewings.map(viewing => toEvent(viewing, property, [
+    `Booked by ${viewing.fullName}`,
+    `Email: ${viewing.email}`,
+    `Phone: ${viewing.phoneNumber}`,
+    viewing.message ? `Message: ${viewing.message}` : null
+  ].filter(Boolean).join('\n')))
+});
+
+/**
+ * Token for subscribing to a listing's viewing feed without other credentials
+ * (calendar apps cannot send an Authorization header). Derived from
+ * CALENDAR_FEED_SECRET, so rotating the secret revokes every feed URL.
+ * @param {string} propertyId - Property ID
+ * @returns {string|null} Token, or null if CALENDAR_FEED_SECRET is not set
+ */
+const getViewingFeedToken = (propertyId) => {
+  const secret = process.env.CALENDAR_FEED_SECRET;
+  if (!secret) {
+    return null;
+  }
+  return crypto.createHmac('sha256', secret).update(`viewings:${propertyId}`).digest('base64url');
+};
+
+/**
+ * Whether a token grants access to a listing's viewing feed
+ * @param {string} propertyId - Property ID
+ * @param {*} token - Token from the feed URL
+ * @returns {boolean} True if valid
+ */
+const isViewingFeedToken = (propertyId, token) => {
+  const expected = getViewingFeedToken(propertyId);
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+};
+
+module.exports = {
+  buildViewingCalendar,
+  buildViewingFeed,
+  getViewingFeedToken,
+  isViewingFeedToken
+};
@@ -0,0 +1,526 @@
+const { ApiError } = require('../utils/errorHandler');
+const { getPropertyById, runInTransaction } = require('../utils/storage');
+const { can, canView } = require('../utils/permissions');
+const { addViewingSlots, getViewingSlots, removeViewingSlot, bookViewing, getViewings, getViewing, cancelViewing } = require('../utils/viewingStore');
+const { buildViewingCalendar, buildViewingFeed, getViewingFeedToken, isViewingFeedToken } = require('../utils/viewingCalendar');
+const { notifyViewingConfirmed, notifyViewingCancelled } = require('../utils/mailNotifications');
+const { getPublicApiUrl } = require('../utils/publicUrl');
+const { escapeHtml, formatTimeRange } = require('../utils/mailTemplates');
+
+/**
+ * Link the person who booked a viewing follows to cancel it: VIEWING_CANCEL_URL
+ * (a front-end page, with {propertyId}, {viewingId} and {token} placeholders) or
+ * the API's cancellation page, which asks for confirmation before cancelling
+ * @param {Object} req - Express request object
+ * @param {Object} viewing - Viewing
+ * @param {string} token - Booker's token
+ * @returns {string} URL
+ */
+const getCancelUrl = (req, viewing, token) => {
+  const template = process.env.VIEWING_CANCEL_URL;
+  if (template) {
+    return template
+      .replace('{propertyId}', encodeURIComponent(viewing.propertyId))
+      .replace('{viewingId}', encodeURIComponent(viewing.id))
+      .replace('{token}', encodeURIComponent(token));
+  }
+  return `${getPublicApiUrl(req)}/property/${encodeURIComponent(viewing.propertyId)}/viewings/${encodeURIComponent(viewing.id)}/cancel?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send a calendar as an .ics download
+ * @param {Object} res - Express response object
+ * @param {string} filename - Download file name
+ * @param {string} calendar - iCalendar text
+ */
+const sendCalendar = (res, filename, calendar) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'private, no-cache'
+  });
+  res.status(200).send(calendar);
+};
+
+/**
+ * Load the listing and viewing named by the :id and :viewingId route parameters
+ * for the person who booked it (?token=) or a caller who manages the listing's
+ * viewings; sends a 404 otherwise, without saying which it was
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { property, viewing }, or null if a response was sent
+ */
+const findAccessibleViewing = (req, res) => {
+  const { id, viewingId } = req.params;
+  const { token } = req.query;
+  const property = getPropertyById(id);
+
+  let viewing = null;
+  if (property && typeof token === 'string') {
+    viewing = getViewing(id, viewingId, token);
+  } else if (property && can(req.auth, 'manageViewings', property)) {
+    viewing = getViewing(id, viewingId);
+  }
+
+  if (!viewing) {
+    res.status(404).json({
+      success: false,
+      message: 'Viewing not found'
+    });
+    return null;
+  }
+  return { property, viewing };
+};
+
+/**
+ * Send a minimal HTML page, for the cancellation link opened from an email
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} heading - Heading (plain text)
+ * @param {string} body - HTML body
+ */
+const sendCancelPage = (res, status, heading, body) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(heading)}</title></head>
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    <h2 style="color: #1a4d7a;">${escapeHtml(heading)}</h2>
+    ${body}
+  </body>
+</html>`);
+};
+
+/**
+ * Load the listing and viewing named by the route parameters for the booker's
+ * ?token= (the cancellation link), or send a 404 page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { property, viewing }, or null if a response was sent
+ */
+const findLinkedViewing = (req, res) => {
+  const { id, viewingId } = req.params;
+  const { token } = req.query;
+  const property = getPropertyById(id);
+  const viewing = property && typeof token === 'string' ? getViewing(id, viewingId, token) : null;
+
+  if (!viewing) {
+    sendCancelPage(res, 404, 'Viewing not found', '<p>This cancellation link is not valid.</p>');
+    return null;
+  }
+  return { property, viewing };
+};
+
+/**
+ * Whether a booked viewing has started (and can no longer be cancelled)
+ * @param {Object} viewing - Viewing
+ * @returns {boolean} True if started
+ */
+const hasStarted = (viewing) => viewing.status === 'booked' && viewing.startsAt <= new Date().toISOString();
+
+/**
+ * Cancel a viewing and email the booker the calendar update
+ * @param {Object} req - Express request object
+ * @param {Object} property - Property viewed
+ * @param {Object} viewing - Viewing
+ * @param {string} by - Who cancelled: 'booker', or the owner's ID
+ * @returns {Object} { viewing, cancelled }
+ */
+const cancelAndNotify = (req, property, viewing, by) => {
+  const result = runInTransaction(() => {
+    const cancellation = cancelViewing(property.id, viewing.id, { by });
+    if (cancellation && cancellation.cancelled) {
+      notifyViewingCancelled(property, cancellation.viewing, { requestId: req.requestId });
+    }
+    return cancellation;
+  });
+
+  if (result.cancelled) {
+    console.log(`[${req.requestId}] Viewing ${result.viewing.id} of ${property.id} cancelled by ${by}`);
+  }
+  return result;
+};
+
+/**
+ * Get a listing's upcoming viewing slots: the free ones, or every slot with a
+ * booked flag for callers who manage the listing's viewings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPropertyViewingSlots = async (req, res, next) => {
+  try {
+    const property = getPropertyById(req.params.id);
+    if (!property || !canView(req.auth, property)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const slots = getViewingSlots(property.id, { availableOnly: !can(req.auth, 'manageViewings', property) });
+
+    res.status(200).json({
+      success: true,
+      count: slots.length,
+      data: slots
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to retrieve viewing slots: ' + err.message, 500));
+  }
+};
+
+/**
+ * Publish viewing slots for a listing ({ slots: [{ startsAt, endsAt }] })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const addPropertyViewingSlots = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { created, overlapping } = addViewingSlots(id, req.validatedData.slots, { actor: req.auth.id });
+
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Slots cannot overlap each other or existing slots',
+        overlapping,
+        requestId: req.requestId
+      });
+    }
+
+    console.log(`[${req.requestId}] ${created.length} viewing slot(s) added to ${id} by ${req.auth.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} viewing slot(s) added`,
+      data: created
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to add viewing slots: ' + err.message, 500));
+  }
+};
+
+/**
+ * Withdraw a viewing slot nobody has booked
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deletePropertyViewingSlot = async (req, res, next) => {
+  try {
+    const { id, slotId } = req.params;
+    const result = removeViewingSlot(id, slotId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Viewing slot not found'
+      });
+    }
+
+    if (!result.removed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is booked; cancel the viewing first',
+        requestId: req.requestId
+      });
+    }
+
+    console.log(`[${req.requestId}] Viewing slot ${slotId} removed from ${id} by ${req.auth.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Viewing slot removed'
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to remove viewing slot: ' + err.message, 500));
+  }
+};
+
+/**
+ * Book a viewing slot of a published listing. The response carries the booker's
+ * token (also in the confirmation email, which has the appointment attached);
+ * it is needed to download or cancel the viewing.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const bookPropertyViewing = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { slotId, ...booker } = req.validatedData;
+    const property = getPropertyById(id);
+
+    // Only listings the public can see take bookings
+    if (!property || !canView(null, property)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    // The confirmation is queued with the booking, so a booked viewing always gets one
+    const result = runInTransaction(() => {
+      const booking = bookViewing(id, slotId, booker, { requestId: req.requestId });
+      if (booking.state === 'booked') {
+        notifyViewingConfirmed(property, booking.viewing, {
+          cancelUrl: getCancelUrl(req, booking.viewing, booking.token),
+          requestId: req.requestId
+        });
+      }
+      return booking;
+    });
+
+    if (result.state === 'unavailable') {
+      return res.status(404).json({
+        success: false,
+        message: 'Viewing slot not found or no longer available',
+        requestId: req.requestId
+      });
+    }
+
+    if (result.state !== 'booked') {
+      return res.status(409).json({
+        success: false,
+        message: result.state === 'taken'
+          ? 'This slot has just been booked; choose another'
+          : 'You already have an upcoming viewing of this property',
+        requestId: req.requestId
+      });
+    }
+
+    const { viewing, token } = result;
+    const viewingUrl = `${req.baseUrl}/property/${encodeURIComponent(id)}/viewings/${encodeURIComponent(viewing.id)}`;
+    console.log(`[${req.requestId}] Viewing ${viewing.id} booked for ${id} at ${viewing.startsAt}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Viewing booked; a confirmation has been emailed',
+      data: viewing,
+      token,
+      links: {
+        self: `${viewingUrl}?token=${encodeURIComponent(token)}`,
+        calendar: `${viewingUrl}/calendar.ics?token=${encodeURIComponent(token)}`
+      },
+      requestId: req.requestId
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to book viewing: ' + err.message, 500));
+  }
+};
+
+/**
+ * Get a listing's bookings, soonest first (?upcoming=true for booked viewings still to come),
+ * with the URL of its calendar feed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPropertyViewings = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const viewings = getViewings(id, { upcoming: req.query.upcoming === 'true' });
+    const feedToken = getViewingFeedToken(id);
+    const feedUrl = `${getPublicApiUrl(req)}/property/${encodeURIComponent(id)}/viewings.ics`;
+
+    res.status(200).json({
+      success: true,
+      count: viewings.length,
+      data: viewings,
+      // Without CALENDAR_FEED_SECRET the feed needs the caller's own credentials
+      calendarFeedUrl: feedToken ? `${feedUrl}?token=${feedToken}` : feedUrl
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to retrieve viewings: ' + err.message, 500));
+  }
+};
+
+/**
+ * iCalendar feed of a listing's upcoming viewings, for its owner's calendar app
+ * (?token= from the viewings list, or the caller's credentials)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPropertyViewingFeed = async (req, res, next) => {
+  try {
+    const property = getPropertyById(req.params.id);
+    if (!property || !(isViewingFeedToken(property.id, req.query.token) || can(req.auth, 'manageViewings', property))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    sendCalendar(res, `viewings-${property.id}.ics`, buildViewingFeed(getViewings(property.id, { upcoming: true }), property));
+
+  } catch (err) {
+    next(new ApiError('Failed to build viewing calendar: ' + err.message, 500));
+  }
+};
+
+/**
+ * Get one booking, for the person who booked it (?token=) or the listing's owner
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPropertyViewing = async (req, res, next) => {
+  try {
+    const found = findAccessibleViewing(req, res);
+    if (!found) {
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: found.viewing
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to retrieve viewing: ' + err.message, 500));
+  }
+};
+
+/**
+ * Download one booking as an .ics file (a cancellation once it is cancelled)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const downloadPropertyViewingCalendar = async (req, res, next) => {
+  try {
+    const found = findAccessibleViewing(req, res);
+    if (!found) {
+      return;
+    }
+
+    sendCalendar(res, `viewing-${found.viewing.id}.ics`, buildViewingCalendar(found.viewing, found.property));
+
+  } catch (err) {
+    next(new ApiError('Failed to build viewing calendar: ' + err.message, 500));
+  }
+};
+
+/**
+ * Cancel a booking, by the person who booked it (?token=) or the listing's owner.
+ * The slot becomes free again and the booker is emailed the calendar update.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const cancelPropertyViewing = async (req, res, next) => {
+  try {
+    const found = findAccessibleViewing(req, res);
+    if (!found) {
+      return;
+    }
+
+    const { property, viewing } = found;
+    if (hasStarted(viewing)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This viewing has already started and can no longer be cancelled',
+        requestId: req.requestId
+      });
+    }
+
+    const by = typeof req.query.token === 'string' ? 'booker' : req.auth.id;
+    const result = cancelAndNotify(req, property, viewing, by);
+
+    res.status(200).json({
+      success: true,
+      message: result.cancelled ? 'Viewing cancelled' : 'Viewing was already cancelled',
+      data: result.viewing
+    });
+
+  } catch (err) {
+    next(new ApiError('Failed to cancel viewing: ' + err.message, 500));
+  }
+};
+
+/**
+ * Cancellation page the booker's emailed link opens: shows the booking and asks
+ * for confirmation, so opening (or prefetching) the link does not cancel anything
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const confirmViewingCancellation = async (req, res, next) => {
+  try {
+    const found = findLinkedViewing(req, res);
+    if (!found) {
+      return;
+    }
+
+    const { property, viewing } = found;
+    const booking = `Your viewing of <strong>${escapeHtml(property.title)}</strong> (${escapeHtml(property.location)}) `
+      + `on ${escapeHtml(formatTimeRange(viewing.startsAt, viewing.endsAt))}`;
+
+    if (viewing.status === 'cancelled') {
+      return sendCancelPage(res, 200, 'Viewing already cancelled', `<p>${booking} has already been cancelled.</p>`);
+    }
+    if (hasStarted(viewing)) {
+      return sendCancelPage(res, 409, 'Viewing has started', `<p>${booking} has already started and can no longer be cancelled.</p>`);
+    }
+
+    // No action: the form posts back to this URL, token included
+    sendCancelPage(res, 200, 'Cancel your viewing?', `<p>${booking} is booked. Do you want to cancel it?</p>
+    <form method="post">
+      <button type="submit">Cancel the viewing</button>
+    </form>`);
+
+  } catch (err) {
+    next(new ApiError('Failed to load viewing: ' + err.message, 500));
+  }
+};
+
+/**
+ * Cancel a viewing from the confirmation page of the booker's emailed link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const cancelViewingFromLink = async (req, res, next) => {
+  try {
+    const found = findLinkedViewing(req, res);
+    if (!found) {
+      return;
+    }
+
+    const { property, viewing } = found;
+    if (hasStarted(viewing)) {
+      return sendCancelPage(res, 409, 'Viewing has started', '<p>This viewing has already started and can no longer be cancelled.</p>');
+    }
+
+    const result = cancelAndNotify(req, property, viewing, 'booker');
+    sendCancelPage(res, 200, result.cancelled ? 'Viewing cancelled' : 'Viewing already cancelled',
+      `<p>Your viewing of <strong>${escapeHtml(property.title)}</strong> on `
+      + `${escapeHtml(formatTimeRange(viewing.startsAt, viewing.endsAt))} is cancelled.`
+      + `${result.cancelled ? ' We have emailed you the calendar update.' : ''}</p>`);
+
+  } catch (err) {
+    next(new ApiError('Failed to cancel viewing: ' + err.message, 500));
+  }
+};
+
+module.exports = {
+  getPropertyViewingSlots,
+  addPropertyViewingSlots,
+  deletePropertyViewingSlot,
+  bookPropertyViewing,
+  getPropertyViewings,
+  getPropertyViewingFeed,
+  getPropertyViewing,
+  downloadPropertyViewingCalendar,
+  cancelPropertyViewing,
+  confirmViewingCancellation,
+  cancelViewingFromLink
+};
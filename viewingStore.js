@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { getStorageAdapter, runInTransaction } = require('./storage');
+
+const VIEWING_SLOTS = 'viewingSlots';
+const VIEWINGS = 'viewings';
+
+/**
+ * Random record ID with a prefix, like the other stored records
+ * @param {string} prefix - ID prefix
+ * @returns {string} ID
+ */
+const createId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * SHA-256 hash of a viewing's access token
+ * @param {string} token - Token given to the person who booked
+ * @returns {string} Hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether two time ranges overlap
+ * @param {Object} a - { startsAt, endsAt }
+ * @param {Object} b - { startsAt, endsAt }
+ * @returns {boolean} True if they share any time
+ */
+const overlaps = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+/**
+ * Public view of a booking (never includes the token hash)
+ * @param {Object} viewing - Stored viewing
+ * @returns {Object} Viewing
+ */
+const describeViewing = ({ tokenHash, ...viewing }) => viewing;
+
+/**
+ * Active (not cancelled) bookings of a listing, inside or outside a transaction
+ * @param {Object} adapter - Storage adapter
+ * @param {string} propertyId - Property ID
+ * @returns {Array} Stored viewings
+ */
+const listActiveViewings = (adapter, propertyId) => adapter.list(VIEWINGS)
+  .filter(viewing => viewing.propertyId === propertyId && viewing.status === 'booked');
+
+/**
+ * Publish viewing slots for a listing. Slots may not overlap each other or the
+ * listing's existing slots; if any does, none are added.
+ * @param {string} propertyId - Property ID
+ * @param {Array} slots - [{ startsAt, endsAt }] as ISO dates
+ * @param {Object} [details] - Change details
+ * @param {string} [details.actor] - ID of the caller adding them
+ * @returns {Object} { created, overlapping }: the new slots, or the requested slots that clash
+ */
+const addViewingSlots = (propertyId, slots, { actor } = {}) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const existing = adapter.list(VIEWING_SLOTS).filter(slot => slot.propertyId === propertyId);
+
+  const overlapping = slots.filter((slot, index) => existing.some(other => overlaps(slot, other))
+    || slots.some((other, otherIndex) => otherIndex !== index && overlaps(slot, other)));
+  if (overlapping.length > 0) {
+    return { created: [], overlapping };
+  }
+
+  const now = new Date().toISOString();
+  const created = slots
+    .map(({ startsAt, endsAt }) => ({
+      id: createId('SLOT'),
+      propertyId,
+      startsAt,
+      endsAt,
+      createdBy: actor || null,
+      createdAt: now
+    }))
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+  created.forEach(slot => adapter.insert(VIEWING_SLOTS, slot));
+  return { created, overlapping: [] };
+});
+
+/**
+ * A listing's upcoming viewing slots, soonest first, each with whether it is booked
+ * @param {string} propertyId - Property ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.availableOnly=false] - Leave out booked slots
+ * @returns {Array} Slots with a booked flag
+ */
+const getViewingSlots = (propertyId, { availableOnly = false } = {}) => {
+  const adapter = getStorageAdapter();
+  const now = new Date().toISOString();
+  const bookedSlots = new Set(listActiveViewings(adapter, propertyId).map(viewing => viewing.slotId));
+
+  return adapter.list(VIEWING_SLOTS)
+    .filter(slot => slot.propertyId === propertyId && slot.startsAt > now)
+    .map(slot => ({ ...slot, booked: bookedSlots.has(slot.id) }))
+    .filter(slot => !availableOnly || !slot.booked)
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+};
+
+/**
+ * Withdraw a viewing slot that nobody has booked
+ * @param {string} propertyId - Property ID the slot must belong to
+ * @param {string} slotId - Slot ID
+ * @returns {Object|null} { removed, slot }: removed is false if the slot is booked; null if not found
+ */
+const removeViewingSlot = (propertyId, slotId) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const slot = adapter.get(VIEWING_SLOTS, slotId);
+  if (!slot || slot.propertyId !== propertyId) {
+    return null;
+  }
+  if (listActiveViewings(adapter, propertyId).some(viewing => viewing.slotId === slotId)) {
+    return { removed: false, slot };
+  }
+  adapter.remove(VIEWING_SLOTS, slotId);
+  return { removed: true, slot };
+});
+
+/**
+ * Book a viewing slot. A slot takes one booking, and one person (by email) can
+ * hold one upcoming viewing per listing. The token returned lets the booker
+ * download and cancel the viewing; only its hash is stored.
+ * @param {string} propertyId - Property ID
+ * @param {string} slotId - Slot to book
+ * @param {Object} booker - { fullName, email, phoneNumber, message }
+ * @param {Object} [details] - Request details
+ * @param {string} [details.requestId] - ID of the request that booked it
+ * @returns {Object} { state, viewing, token }: state is 'booked', 'unavailable'
+ *   (no such upcoming slot), 'taken' (already booked) or 'duplicate' (the booker
+ *   already has an upcoming viewing of the listing)
+ */
+const bookViewing = (propertyId, slotId, booker, { requestId } = {}) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const now = new Date().toISOString();
+  const slot = adapter.get(VIEWING_SLOTS, slotId);
+  if (!slot || slot.propertyId !== propertyId || slot.startsAt <= now) {
+    return { state: 'unavailable' };
+  }
+
+  const active = listActiveViewings(adapter, propertyId);
+  if (active.some(viewing => viewing.slotId === slotId)) {
+    return { state: 'taken' };
+  }
+  const duplicate = active.find(viewing => viewing.email === booker.email && viewing.startsAt > now);
+  if (duplicate) {
+    return { state: 'duplicate', viewing: describeViewing(duplicate) };
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const viewing = {
+    id: createId('VIEW'),
+    propertyId,
+    slotId,
+    startsAt: slot.startsAt,
+    endsAt: slot.endsAt,
+    fullName: booker.fullName,
+    email: booker.email,
+    phoneNumber: booker.phoneNumber,
+    message: booker.message || '',
+    status: 'booked',
+    tokenHash: hashToken(token),
+    requestId: requestId || null,
+    createdAt: now,
+    updatedAt: now
+  };
+  adapter.insert(VIEWINGS, viewing);
+  return { state: 'booked', viewing: describeViewing(viewing), token };
+});
+
+/**
+ * A listing's bookings, soonest first
+ * @param {string} propertyId - Property ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.upcoming=false] - Only booked viewings that have not started
+ * @returns {Array} Viewings
+ */
+const getViewings = (propertyId, { upcoming = false } = {}) => {
+  const now = new Date().toISOString();
+  return getStorageAdapter().list(VIEWINGS)
+    .filter(viewing => viewing.propertyId === propertyId
+      && (!upcoming || (viewing.status === 'booked' && viewing.startsAt > now)))
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt))
+    .map(describeViewing);
+};
+
+/**
+ * Get one booking of a listing
+ * @param {string} propertyId - Property ID the viewing must belong to
+ * @param {string} id - Viewing ID
+ * @param {string} [token] - Booker's token; if given, it must match
+ * @returns {Object|null} Viewing, or null if not found (or the token does not match)
+ */
+const getViewing = (propertyId, id, token) => {
+  const viewing = getStorageAdapter().get(VIEWINGS, id);
+  if (!viewing || viewing.propertyId !== propertyId) {
+    return null;
+  }
+  if (token !== undefined) {
+    const expected = Buffer.from(viewing.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(String(token)), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+  }
+  return describeViewing(viewing);
+};
+
+/**
+ * Cancel a booking, freeing its slot. Cancelling twice is harmless.
+ * @param {string} propertyId - Property ID the viewing must belong to
+ * @param {string} id - Viewing ID
+ * @param {Object} [details] - Change details
+ * @param {string} [details.by] - Who cancelled: 'booker', or the owner's ID
+ * @returns {Object|null} { viewing, cancelled }: cancelled is false if it already was; null if not found
+ */
+const cancelViewing = (propertyId, id, { by } = {}) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  const viewing = adapter.get(VIEWINGS, id);
+  if (!viewing || viewing.propertyId !== propertyId) {
+    return null;
+  }
+  if (viewing.status === 'cancelled') {
+    return { viewing: describeViewing(viewing), cancelled: false };
+  }
+
+  const now = new Date().toISOString();
+  const cancelled = adapter.update(VIEWINGS, id, {
+    ...viewing,
+    status: 'cancelled',
+    cancelledAt: now,
+    cancelledBy: by || null,
+    updatedAt: now
+  });
+  return { viewing: describeViewing(cancelled), cancelled: true };
+});
+
+/**
+ * Delete every slot and booking of a listing (when the listing is purged)
+ * @param {string} propertyId - Property ID
+ * @returns {number} Number of records deleted
+ */
+const removeViewingsForProperty = (propertyId) => runInTransaction(() => {
+  const adapter = getStorageAdapter();
+  let removed = 0;
+  [VIEWING_SLOTS, VIEWINGS].forEach(collection => {
+    adapter.list(collection)
+      .filter(record => record.propertyId === propertyId)
+      .forEach(record => {
+        adapter.remove(collection, record.id);
+        removed++;
+      });
+  });
+  return removed;
+});
+
+module.exports = {
+  addViewingSlots,
+  getViewingSlots,
+  removeViewingSlot,
+  bookViewing,
+  getViewings,
+  getViewing,
+  cancelViewing,
+  removeViewingsForProperty
+};
@@ -0,0 +1,111 @@
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The end record is 22 bytes, followed by a comment of up to 64KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Raised when a zip archive cannot be read
+ */
+class ZipArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipArchiveError';
+  }
+}
+
+/**
+ * Find the end of central directory record
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {number} Offset of the record
+ */
+const findEndRecord = (buffer) => {
+  const stop = Math.max(0, buffer.length - MAX_END_RECORD_SEARCH);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new ZipArchiveError('Not a zip archive');
+};
+
+/**
+ * Read the entry list of a zip archive. Files are only decompressed when read,
+ * and never beyond their declared size (zip bomb protection). Supports stored
+ * and deflated entries; encrypted and ZIP64 archives are rejected.
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {Map} File path (forward slashes) => { path, size, read() returning a Buffer }
+ * @throws {ZipArchiveError} If the archive is malformed or unsupported
+ */
+const readZipEntries = (buffer) => {
+  if (buffer.length < 22) {
+    throw new ZipArchiveError('Not a zip archive');
+  }
+
+  const end = findEndRecord(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw new ZipArchiveError('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  let offset = directoryOffset;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new ZipArchiveError('Zip central directory is corrupt');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength).replace(/\\/g, '/');
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue; // Directory
+    }
+    if (flags & 0x1) {
+      throw new ZipArchiveError(`${name} is encrypted`);
+    }
+    if (method !== STORED && method !== DEFLATED) {
+      throw new ZipArchiveError(`${name} uses an unsupported compression method`);
+    }
+
+    const read = () => {
+      if (headerOffset + 30 > buffer.length || buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) {
+        throw new ZipArchiveError(`${name} is corrupt`);
+      }
+      const dataOffset = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+      const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+      let content;
+      try {
+        content = method === STORED ? data : zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        throw new ZipArchiveError(`${name} is corrupt: ${error.message}`);
+      }
+      if (content.length !== size) {
+        throw new ZipArchiveError(`${name} is corrupt`);
+      }
+      return content;
+    };
+
+    entries.set(name, { path: name, size, read });
+  }
+  return entries;
+};
+
+module.exports = {
+  ZipArchiveError,
+  readZipEntries
+};
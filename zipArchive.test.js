@@ -0,0 +1,104 @@
+const zlib = require('zlib');
+const { ZipArchiveError, readZipEntries } = require('./zipArchive');
+
+/**
+ * Build a zip archive
+ * @param {Array} files - { name, content, method (0 stored, 8 deflated), flags, size }
+ * @returns {Buffer} Archive bytes
+ */
+const createZip = (files) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content = Buffer.alloc(0), method = 8, flags = 0, size = content.length }) => {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const data = method === 8 ? zlib.deflateRawSync(content) : content;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    localParts.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, directory, end]);
+};
+
+describe('readZipEntries', () => {
+  it('lists files and reads stored and deflated entries', () => {
+    const csv = Buffer.from('title,price\nFlat,900\n'.repeat(20));
+    const entries = readZipEntries(createZip([
+      { name: 'listings/', method: 0 },
+      { name: 'listings/listings.csv', content: csv },
+      { name: 'listings\\photo.jpg', content: Buffer.from([0xff, 0xd8, 0xff]), method: 0 }
+    ]));
+
+    expect([...entries.keys()]).toEqual(['listings/listings.csv', 'listings/photo.jpg']);
+    expect(entries.get('listings/listings.csv').size).toBe(csv.length);
+    expect(entries.get('listings/listings.csv').read()).toEqual(csv);
+    expect(entries.get('listings/photo.jpg').read()).toEqual(Buffer.from([0xff, 0xd8, 0xff]));
+  });
+
+  it('reads an empty archive', () => {
+    expect(readZipEntries(createZip([])).size).toBe(0);
+  });
+
+  it('rejects data that is not a zip archive', () => {
+    expect(() => readZipEntries(Buffer.from('title,price\n'))).toThrow(ZipArchiveError);
+    expect(() => readZipEntries(Buffer.alloc(100))).toThrow('Not a zip archive');
+  });
+
+  it('rejects encrypted entries and unsupported compression methods', () => {
+    expect(() => readZipEntries(createZip([{ name: 'a.csv', content: Buffer.from('a'), flags: 0x1 }])))
+      .toThrow('a.csv is encrypted');
+    expect(() => readZipEntries(createZip([{ name: 'a.csv', content: Buffer.from('a'), method: 12 }])))
+      .toThrow('a.csv uses an unsupported compression method');
+  });
+
+  it('never inflates beyond the declared size', () => {
+    const bomb = Buffer.alloc(1024 * 1024);
+    const entries = readZipEntries(createZip([{ name: 'bomb.csv', content: bomb, size: 10 }]));
+
+    expect(() => entries.get('bomb.csv').read()).toThrow(ZipArchiveError);
+  });
+
+  it('rejects entries whose content does not match the declared size', () => {
+    const entries = readZipEntries(createZip([{ name: 'a.csv', content: Buffer.from('abc'), method: 0, size: 5 }]));
+
+    expect(() => entries.get('a.csv').read()).toThrow('a.csv is corrupt');
+  });
+
+  it('rejects a corrupt central directory', () => {
+    const zip = createZip([{ name: 'a.csv', content: Buffer.from('a') }]);
+    const directoryOffset = zip.readUInt32LE(zip.length - 6);
+    zip.writeUInt32LE(0, directoryOffset);
+
+    expect(() => readZipEntries(zip)).toThrow('Zip central directory is corrupt');
+  });
+});